@@ -0,0 +1,8 @@
+const esmImport = require('esm')(module);
+const Logger = esmImport('./lib/logger').default;
+const Cli = esmImport('./lib/cli').default;
+
+// Log to standard error, keeping standard output for the replies
+Logger.root.output.write = (line) => process.stderr.write(`${line}\n`);
+new Cli().run(process.argv.slice(2))
+  .then((code) => { process.exitCode = code; });
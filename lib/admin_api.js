@@ -0,0 +1,72 @@
+import express from 'express';
+import TokenAuthenticator from './token_authenticator';
+
+/**
+ * Class that serves authenticated admin routes for operators: the data
+ * freshness and dataset size of each resource's DataUpdater, and a way to
+ * refresh the data on demand
+ */
+export default class AdminApi {
+  /**
+   * Class constructor
+   * @param {Object<string,DataUpdater>} updaters - the DataUpdater for each kind of resource, keyed by resource name
+   * @param {string} token - the token admin requests must send as "Authorization: Bearer <token>"
+   * @returns {AdminApi} - the created AdminApi instance
+   */
+  constructor (updaters, token) {
+    if (!token) {
+      throw new Error('An admin token is required');
+    }
+    this.updaters = updaters;
+    this.authenticator = new TokenAuthenticator(token);
+  }
+
+  /**
+   * Build the Express router serving the admin routes
+   * @returns {express.Router} - the router, to be mounted e.g. at /admin
+   */
+  router () {
+    const router = express.Router();
+    router.use(this.authenticator.middleware());
+    router.get('/status', (req, res) => res.json(this.status()));
+    router.post('/refresh', (req, res) => {
+      const result = this.refresh(req.query.resource, req.query.force === 'true');
+      res.status(result === null ? 404 : 202).json(result || { error: `Unknown resource: ${req.query.resource}` });
+    });
+    return router;
+  }
+
+  /**
+   * Report the update status of each resource's data
+   * @returns {Object} - the status of each resource keyed by name, and the current time
+   */
+  status () {
+    const resources = {};
+    for (let name in this.updaters) {
+      resources[name] = this.updaters[name].status();
+    }
+    return { now: new Date(), resources };
+  }
+
+  /**
+   * Start updates of the resources' data, skipping those already updating
+   * @param {string} name - (optional) the resource to refresh (default: every resource)
+   * @param {boolean} force - (optional) whether to accept the data however far its feature count dropped, as for
+   *   DataUpdater#performUpdate (default: false)
+   * @returns {Object|null} - the resources started and those already in progress, or null for an unknown resource
+   */
+  refresh (name, force = false) {
+    if (name !== undefined && !this.updaters.hasOwnProperty(name)) { return null; }
+    const names = name === undefined ? Object.keys(this.updaters) : [name];
+    const started = [], alreadyInProgress = [];
+    for (let n of names) {
+      if (this.updaters[n].updateInProgress) {
+        alreadyInProgress.push(n);
+      } else {
+        this.updaters[n].performUpdate(undefined, force);
+        started.push(n);
+      }
+    }
+    return { started, alreadyInProgress };
+  }
+}
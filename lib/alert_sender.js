@@ -0,0 +1,99 @@
+import Logger from './logger';
+
+/**
+ * Class that texts subscribers when resources open near them, through the
+ * Twilio REST client. Messages are queued and sent at a limited rate, and
+ * each is dropped if its subscriber opted out while it waited.
+ */
+export default class AlertSender {
+  /**
+   * Class constructor
+   * @param {Object} client - the Twilio REST client, or anything with a compatible messages.create(...)
+   * @param {string} from - the Twilio phone number to send from
+   * @param {SubscriptionStore} subscriptionStore - the store of subscriptions
+   * @param {number} messagesPerSecond - (optional) the most messages to send per second
+   *   (default: AlertSender.DEFAULT_MESSAGES_PER_SECOND)
+   * @param {Logger} logger - (optional) the logger to log alerts and failures to send them with (default: Logger.root)
+   * @returns {AlertSender} - the created AlertSender instance
+   */
+  constructor (client, from, subscriptionStore, messagesPerSecond = AlertSender.DEFAULT_MESSAGES_PER_SECOND,
+    logger = Logger.root) {
+    this.client = client;
+    this.from = from;
+    this.subscriptionStore = subscriptionStore;
+    this.interval = 1000 / messagesPerSecond;
+    this.queue = [];
+    this.sending = false;
+    this.logger = logger;
+  }
+
+  /**
+   * Alert the subscribers to a kind of resource about the resources that opened since the previous location data
+   * @param {SheltersFinder} finder - the finder for the resource, holding the new location data
+   * @param {Map<string,Array<Object>>} previousData - the previous location data
+   * @returns {Promise<number>} - the number of subscribers alerted, once their messages are queued
+   */
+  notify (finder, previousData) {
+    const opened = finder.openedShelters(previousData);
+    if (opened.length == 0) { return Promise.resolve(0); }
+    return this.subscriptionStore.list(finder.resource.name)
+      .then((subscriptions) => {
+        let alerted = 0;
+        for (let subscription of subscriptions) {
+          const messages = finder.buildAlertMessages(opened, subscription.zips, subscription.locale);
+          if (messages.length == 0) { continue; }
+          alerted += 1;
+          messages.forEach((body) => {
+            this.send(subscription.phoneNumber, body)
+              .catch((e) => this.logger.error('Failed to send alert', { error: e }));
+          });
+        }
+        this.logger.info('Alerting subscribers to opened locations', {
+          resource: finder.resource.name,
+          subscribers: alerted,
+          opened: opened.length
+        });
+        return alerted;
+      });
+  }
+
+  /**
+   * Queue a message to a subscriber
+   * @param {string} to - the subscriber's phone number
+   * @param {string} body - the text of the message
+   * @returns {Promise<boolean>} - whether the message was sent, false if the subscriber opted out first
+   */
+  send (to, body) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ to, body, resolve, reject });
+      this.sendNext();
+    });
+  }
+
+  /**
+   * Send the next queued message, unless one was sent within the rate limit's interval
+   * @returns {void}
+   */
+  sendNext () {
+    if (this.sending || this.queue.length == 0) { return; }
+    this.sending = true;
+    const { to, body, resolve, reject } = this.queue.shift();
+    this.subscriptionStore.isSubscribed(to)
+      .then((subscribed) => {
+        if (!subscribed) { return false; }
+        return this.client.messages.create({ to, from: this.from, body }).then(() => true);
+      })
+      .then(resolve, reject)
+      .then(() => {
+        setTimeout(() => {
+          this.sending = false;
+          this.sendNext();
+        }, this.interval);
+      });
+  }
+}
+
+/**
+ * Default most messages to send per second, Twilio's limit for a long code.
+ */
+AlertSender.DEFAULT_MESSAGES_PER_SECOND = 1;
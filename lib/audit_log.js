@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import Logger from './logger';
+
+/**
+ * Class that records an audit entry for each inbound message: who sent it
+ * (as a keyed hash of their address, so entries from one sender can be
+ * tied together without logging phone numbers), what was looked up, which
+ * shelters the reply listed, how many segments it took and how long it
+ * took to answer. Entries are written as info entries with type 'audit',
+ * for reporting on what the bot told people after a storm.
+ */
+export default class AuditLog {
+  /**
+   * Class constructor
+   * @param {Logger} logger - (optional) the logger to write entries with (default: Logger.root)
+   * @param {string} hashKey - (optional) the secret key senders are hashed with; keep it the same across restarts
+   *   and servers to tie together entries from one sender (default: null, for a random key per process)
+   * @returns {AuditLog} - the created AuditLog instance
+   */
+  constructor (logger = Logger.root, hashKey = null) {
+    this.logger = logger;
+    this.hashKey = hashKey || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Hash a sender's address, so entries don't hold phone numbers but can still be grouped by sender
+   * @param {string} from - the sender's phone number or other address
+   * @returns {string|null} - the first AuditLog.HASH_LENGTH hex digits of its HMAC-SHA256, or null if there is no
+   *   sender
+   */
+  hashSender (from) {
+    if (!from) { return null; }
+    return crypto.createHmac('sha256', this.hashKey).update(from).digest('hex').substring(0, AuditLog.HASH_LENGTH);
+  }
+
+  /**
+   * Record the answer to an inbound message
+   * @param {string} from - the sender's phone number or other address (may be undefined)
+   * @param {Object} reply - the reply from MessageHandler#handleReply
+   * @param {number|null} segments - the SMS segments the reply was sent as, or null if not billed by the segment
+   * @param {number} latencyMs - the milliseconds taken to answer
+   * @param {Logger} log - (optional) the logger for the request, e.g. adding its ID and channel (default: this.logger)
+   * @returns {void}
+   */
+  record (from, reply, segments, latencyMs, log = this.logger) {
+    log.info('Answered message', {
+      type: 'audit',
+      sender: this.hashSender(from),
+      action: reply.action,
+      locale: reply.locale,
+      zips: (reply.zips || []).map(_placeLabel),
+      shelters: reply.shelters.map((shelter) => shelter.shelter),
+      messages: reply.messages.length,
+      segments,
+      latencyMs
+    });
+  }
+}
+
+/**
+ * Number of hex digits of the sender hash kept in entries.
+ */
+AuditLog.HASH_LENGTH = 16;
+
+// Helper functions
+export const _placeLabel = function (zip) {
+  return typeof zip === 'object' ? zip.label : zip;
+};
@@ -0,0 +1,229 @@
+import path from 'path';
+import readline from 'readline';
+import url from 'url';
+import DataUpdater from './data_updater';
+import SheltersFinder from './shelters_finder';
+import MessageHandler from './message_handler';
+import MessagePacker from './message_packer';
+import TwilioFormatter from './reply_formatters/twilio_formatter';
+import Logger from './logger';
+
+/**
+ * Class behind `npm run cli`, for checking a deployment's data without
+ * Twilio: it loads a geo.json file or URL (or other feed) through
+ * DataUpdater, then answers messages as the bot would, printing each SMS
+ * message as it would be sent, with its segment count. Given no messages
+ * to answer, it runs a REPL simulating a phone conversation, so MORE,
+ * DETAILS and language keywords work as they do for texters.
+ */
+export default class Cli {
+  /**
+   * Class constructor
+   * @param {stream.Writable} output - (optional) where to print replies (default: process.stdout)
+   * @param {stream.Writable} errorOutput - (optional) where to print usage and errors (default: process.stderr)
+   * @param {Logger} logger - (optional) the logger to log the data update and lookups with (default: Logger.root)
+   * @returns {Cli} - the created Cli instance
+   */
+  constructor (output = process.stdout, errorOutput = process.stderr, logger = Logger.root) {
+    this.output = output;
+    this.errorOutput = errorOutput;
+    this.logger = logger;
+    this.handler = null;
+    this.messagePacker = null;
+    this.formatter = null;
+  }
+
+  /**
+   * Run the command with its arguments: load the data, then answer the messages given, or start the REPL
+   * @param {Array<string>} args - the command line arguments, as described in Cli.USAGE
+   * @param {stream.Readable} input - (optional) where the REPL reads messages from (default: process.stdin)
+   * @returns {Promise<number>} - the exit code: 0 on success, 1 if the data couldn't be loaded, 2 for bad arguments
+   */
+  run (args, input = process.stdin) {
+    let options;
+    try {
+      options = _parseArgs(args);
+      this.logger.setLevel(options.logLevel);
+    } catch (e) {
+      this.errorOutput.write(`${e.message}\n\n${Cli.USAGE}`);
+      return Promise.resolve(2);
+    }
+    if (options.help) {
+      this.output.write(Cli.USAGE);
+      return Promise.resolve(0);
+    }
+    return Promise.resolve()
+      .then(() => this.load(options))
+      .then(() => options.messages.reduce((chain, text) => chain.then(() => this.ask(text)), Promise.resolve()))
+      .then(() => {
+        if (options.interactive || options.messages.length == 0) {
+          return this.repl(input);
+        }
+      })
+      .then(() => 0)
+      .catch((e) => {
+        this.errorOutput.write(`Couldn't load ${options.source}: ${e.message}\n`);
+        return 1;
+      });
+  }
+
+  /**
+   * Load the data and set up the bot to answer from it
+   * @param {Object} options - the options from the command line arguments
+   * @returns {Promise<void>} - resolves once the data is loaded; rejects if it can't be, or fails validation
+   */
+  load (options) {
+    const updater = new DataUpdater(_dataUrl(options.source), options.fields, options.format, false,
+      DataUpdater.WORKER_TIMEOUT, DataUpdater.WORKER_RETRIES, this.logger);
+    this.messagePacker = new MessagePacker(options.maxSegments, options.transliterate, undefined, this.logger);
+    this.formatter = new TwilioFormatter(this.messagePacker, undefined, this.logger);
+    return updater.fetchLocationData(0)
+      .then((data) => {
+        let features = 0;
+        for (let records of data.values()) {
+          features += records.length;
+        }
+        this.output.write(`Loaded ${features} locations in ${data.size} ZIP codes from ${options.source}.\n`);
+        const finder = new SheltersFinder(data, options.radius, {}, { url: options.source }, undefined,
+          this.messagePacker, undefined, this.logger);
+        this.handler = new MessageHandler(finder, undefined, undefined, null, this.logger);
+      });
+  }
+
+  /**
+   * Answer a message as the bot would, continuing the conversation, and print the reply
+   * @param {string} text - the text of the message
+   * @returns {Promise<Object>} - the reply from MessageHandler#handleReply
+   */
+  ask (text) {
+    return this.handler.handleReply(Cli.FROM, text)
+      .then((reply) => {
+        this.output.write(this.render(reply.messages));
+        return reply;
+      });
+  }
+
+  /**
+   * Render reply messages as they would be sent by SMS, each with its length, encoding and segment count
+   * @param {Array<string>} messages - the reply messages
+   * @returns {string} - the rendered text
+   */
+  render (messages) {
+    const sent = this.formatter.validateMessages(this.formatter.numberMessages(messages));
+    let segments = 0;
+    const rendered = sent.map((message, idx) => {
+      const count = this.messagePacker.segmentCount(message);
+      segments += count;
+      return `--- Message ${idx + 1} of ${sent.length}: ${message.length} characters, ` +
+        `${this.messagePacker.encoding(message)}, ${count} segment${count == 1 ? '' : 's'} ---\n${message}\n`;
+    });
+    return `${rendered.join('')}=== ${sent.length} message${sent.length == 1 ? '' : 's'}, ${segments} segment` +
+      `${segments == 1 ? '' : 's'} ===\n`;
+  }
+
+  /**
+   * Answer messages read a line at a time, as a texter would send them, until the input ends
+   * @param {stream.Readable} input - where to read messages from
+   * @returns {Promise<void>} - resolves once the input ends and every message is answered
+   */
+  repl (input) {
+    return new Promise((resolve) => {
+      const rl = readline.createInterface({ input, output: this.output, prompt: '> ' });
+      let chain = Promise.resolve();
+      this.output.write('Text the bot as a texter would, e.g. 70118, PETS 70118, MORE, DETAILS 1 or ESPAÑOL. ' +
+        'Press Ctrl-D to quit.\n');
+      rl.prompt();
+      rl.on('line', (line) => {
+        chain = chain.then(() => {
+          if (line.trim().length > 0) { return this.ask(line); }
+        }).then(() => rl.prompt());
+      });
+      rl.on('close', () => chain.then(() => {
+        this.output.write('\n');
+        resolve();
+      }));
+    });
+  }
+}
+
+/**
+ * The phone number the conversation is simulated from.
+ */
+Cli.FROM = '+15555550100';
+
+/**
+ * The usage message.
+ */
+Cli.USAGE = `Usage: npm run cli -- [options] <file or URL> [message...]
+
+Loads the location data from a file or URL, then answers each message as
+the bot would, printing the SMS messages it would send with their segment
+counts. Without messages, answers messages typed one per line.
+
+Options:
+  --format <format>      the format of the data: geojson, csv or arcgis, like DATA_FORMAT (default: geojson)
+  --fields <json>        the data property to read each property from, like DATA_FIELDS
+  --radius <miles>       the radius to find locations within, like MILE_RADIUS (default: 30)
+  --max-segments <n>     the most segments each message listing locations may take, like MAX_SEGMENTS (default: 5)
+  --transliterate        replace characters outside GSM-7, like TRANSLITERATE
+  --log-level <level>    the lowest level of log entries to write to standard error (default: warn)
+  -i, --interactive      answer messages typed one per line after the ones given
+  -h, --help             print this message
+`;
+
+// Helper functions
+export const _parseArgs = function (args) {
+  const options = {
+    source: null,
+    messages: [],
+    format: 'geojson',
+    fields: {},
+    radius: 30,
+    maxSegments: undefined,
+    transliterate: false,
+    logLevel: 'warn',
+    interactive: false,
+    help: false
+  };
+  const positional = [];
+  for (let idx = 0; idx < args.length; idx++) {
+    const arg = args[idx];
+    const value = () => {
+      if (idx + 1 >= args.length) { throw new Error(`Missing value for ${arg}`); }
+      idx += 1;
+      return args[idx];
+    };
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '-i' || arg === '--interactive') {
+      options.interactive = true;
+    } else if (arg === '--transliterate') {
+      options.transliterate = true;
+    } else if (arg === '--format') {
+      options.format = value();
+    } else if (arg === '--fields') {
+      options.fields = JSON.parse(value());
+    } else if (arg === '--radius') {
+      options.radius = parseFloat(value());
+    } else if (arg === '--max-segments') {
+      options.maxSegments = parseInt(value(), 10);
+    } else if (arg === '--log-level') {
+      options.logLevel = value();
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  options.source = positional.length > 0 ? positional.shift() : null;
+  options.messages = positional;
+  if (!options.source && !options.help) {
+    throw new Error('Give the file or URL to load the location data from');
+  }
+  return options;
+};
+
+export const _dataUrl = function (source) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(source)) { return source; }
+  return url.pathToFileURL(path.resolve(source)).href;
+};
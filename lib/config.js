@@ -0,0 +1,256 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import url from 'url';
+import yaml from 'js-yaml';
+import DataUpdater from './data_updater';
+import Logger from './logger';
+
+/**
+ * Class that reads the app's settings from its environment variables and,
+ * optionally, a JSON or YAML file named by CONFIG_FILE, checking them all
+ * at startup so a mistyped setting fails the start rather than a lookup.
+ * Environment variables take precedence over the file. Each setting is a
+ * property of the instance, named as in Config.SETTINGS (e.g. mileRadius
+ * for MILE_RADIUS), and left undefined, where it has no default, for the
+ * class it configures to use its own.
+ */
+export default class Config {
+  /**
+   * Class constructor
+   * @param {Object<string,string>} env - (optional) the environment variables to read (default: process.env)
+   * @returns {Config} - the created Config instance
+   * @throws {Error} - if the file can't be read, or any setting is missing or invalid, listing every problem found
+   */
+  constructor (env = process.env) {
+    const file = env.CONFIG_FILE ? _readFile(env.CONFIG_FILE) : {};
+    const errors = Object.keys(file)
+      .filter((name) => !Config.SETTINGS.hasOwnProperty(name))
+      .map((name) => `${name} in CONFIG_FILE: unknown setting`);
+    for (let name in Config.SETTINGS) {
+      const setting = Config.SETTINGS[name];
+      let value = env[setting.env], label = setting.env;
+      if (value === undefined || value === '') {
+        value = file[name];
+        label = `${name} in CONFIG_FILE`;
+      }
+      if (value === undefined || value === null) {
+        this[name] = setting.default;
+        if (setting.required) { errors.push(`${setting.env} (or ${name} in CONFIG_FILE): required`); }
+        continue;
+      }
+      try {
+        this[name] = _parseValue(value, setting);
+      } catch (e) {
+        errors.push(`${label}: ${e.message}`);
+      }
+    }
+    errors.push(...this.checkResources(), ...this.checkSignatures());
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration:\n${errors.map((error) => `- ${error}`).join('\n')}`);
+    }
+  }
+
+  /**
+   * Check each entry of the resources setting against Config.RESOURCE_SETTINGS, parsing its values in place
+   * @returns {Array<string>} - the problems found, if any
+   */
+  checkResources () {
+    const errors = [];
+    const names = ['shelters'];
+    (this.resources || []).forEach((definition, idx) => {
+      const label = `RESOURCES[${idx}]`;
+      if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+        errors.push(`${label}: expected an object`);
+        return;
+      }
+      for (let key in definition) {
+        if (!Config.RESOURCE_SETTINGS.hasOwnProperty(key)) {
+          errors.push(`${label}.${key}: unknown setting`);
+        }
+      }
+      for (let key in Config.RESOURCE_SETTINGS) {
+        const setting = Config.RESOURCE_SETTINGS[key];
+        if (definition[key] === undefined || definition[key] === null) {
+          if (setting.required) { errors.push(`${label}.${key}: required`); }
+          continue;
+        }
+        try {
+          definition[key] = _parseValue(definition[key], setting);
+        } catch (e) {
+          errors.push(`${label}.${key}: ${e.message}`);
+        }
+      }
+      if (names.includes(definition.name)) {
+        errors.push(`${label}.name: ${definition.name} is already served` +
+          `${definition.name === 'shelters' ? ' from DATA_URL' : ''}`);
+      }
+      names.push(definition.name);
+    });
+    return errors;
+  }
+
+  /**
+   * Check requests to the Twilio webhooks can be validated
+   * @returns {Array<string>} - the problems found, if any
+   */
+  checkSignatures () {
+    if (this.twilioAuthToken || this.allowUnsignedRequests) { return []; }
+    return ['TWILIO_AUTH_TOKEN (or twilioAuthToken in CONFIG_FILE): required unless ALLOW_UNSIGNED_REQUESTS is true'];
+  }
+
+  /**
+   * The kinds of resource to serve: shelters from dataUrl, then those in the resources setting, each with the
+   * mileRadius, sheltersPerLookup and refreshIntervalMinutes settings unless it sets its own
+   * @returns {Array<Object>} - the resource definitions, as for SheltersFinder and DataUpdater
+   */
+  resourceDefinitions () {
+    const defaults = {
+      mileRadius: this.mileRadius,
+      sheltersPerLookup: this.sheltersPerLookup,
+      refreshIntervalMinutes: this.refreshIntervalMinutes
+    };
+    return [{
+      name: 'shelters',
+      url: this.dataUrl,
+      source: this.dataSource,
+      format: this.dataFormat,
+      fields: this.dataFields
+    }]
+      .concat(this.resources)
+      .map((definition) => ({ ...defaults, ...definition }));
+  }
+}
+
+/**
+ * Settings read from the environment variable `env` or, failing that, the
+ * same-named key of the CONFIG_FILE, each with its type (string, url,
+ * integer, number, boolean, object or array), allowed values or bounds,
+ * and default. Numbers and booleans may be given as strings, and objects
+ * and arrays as JSON.
+ */
+Config.SETTINGS = {
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+  logLevel: { env: 'LOG_LEVEL', type: 'string', values: Object.keys(Logger.LEVELS), default: Logger.DEFAULT_LEVEL },
+  dataUrl: { env: 'DATA_URL', type: 'url', required: true },
+  dataFormat: { env: 'DATA_FORMAT', type: 'string', values: Object.keys(DataUpdater.INPUT_ADAPTERS) },
+  dataFields: { env: 'DATA_FIELDS', type: 'object', items: 'string' },
+  dataSource: { env: 'DATA_SOURCE', type: 'string' },
+  resources: { env: 'RESOURCES', type: 'array', default: [] },
+  dataMaxDrop: { env: 'DATA_MAX_DROP', type: 'number', min: 0, max: 1 },
+  dataMaxRejected: { env: 'DATA_MAX_REJECTED', type: 'number', min: 0, max: 1 },
+  dataMaxZipMiles: { env: 'DATA_MAX_ZIP_MILES', type: 'number', above: 0 },
+  dataDropConfirmations: { env: 'DATA_DROP_CONFIRMATIONS', type: 'integer', min: 1 },
+  mileRadius: { env: 'MILE_RADIUS', type: 'number', above: 0, default: 30 },
+  sheltersPerLookup: { env: 'SHELTERS_PER_LOOKUP', type: 'integer', min: 1 },
+  archivedShelters: { env: 'ARCHIVED_SHELTERS', type: 'string', values: ['include', 'mark', 'exclude'] },
+  fullShelters: { env: 'FULL_SHELTERS', type: 'string', values: ['include', 'mark', 'exclude'] },
+  refreshIntervalMinutes: { env: 'REFRESH_INTERVAL_MINUTES', type: 'number', above: 0 },
+  updateTimeoutSeconds: { env: 'UPDATE_TIMEOUT_SECONDS', type: 'number', above: 0 },
+  snapshotDir: { env: 'SNAPSHOT_DIR', type: 'string', default: path.join(os.tmpdir(), 'sms-location-bot') },
+  snapshotMaxAgeMinutes: { env: 'SNAPSHOT_MAX_AGE_MINUTES', type: 'number', above: 0 },
+  staleDataMinutes: { env: 'STALE_DATA_MINUTES', type: 'number', above: 0 },
+  maxSegments: { env: 'MAX_SEGMENTS', type: 'integer', min: 1 },
+  transliterate: { env: 'TRANSLITERATE', type: 'boolean', default: false },
+  mapLinks: { env: 'MAP_LINKS', type: 'string', default: null },
+  mapImageUrl: { env: 'MAP_IMAGE_URL', type: 'string', default: null },
+  twilioAuthToken: { env: 'TWILIO_AUTH_TOKEN', type: 'string' },
+  publicUrl: { env: 'PUBLIC_URL', type: 'url' },
+  allowUnsignedRequests: { env: 'ALLOW_UNSIGNED_REQUESTS', type: 'boolean', default: false },
+  twilioAccountSid: { env: 'TWILIO_ACCOUNT_SID', type: 'string' },
+  twilioFromNumber: { env: 'TWILIO_FROM_NUMBER', type: 'string' },
+  alertsPerSecond: { env: 'ALERTS_PER_SECOND', type: 'number', above: 0 },
+  sessionTtlMinutes: { env: 'SESSION_TTL_MINUTES', type: 'number', above: 0 },
+  rateLimitBurst: { env: 'RATE_LIMIT_BURST', type: 'integer', min: 1 },
+  rateLimitPerMinute: { env: 'RATE_LIMIT_PER_MINUTE', type: 'number', above: 0 },
+  maxLocationsPerMessage: { env: 'MAX_LOCATIONS_PER_MESSAGE', type: 'integer', min: 1 },
+  adminToken: { env: 'ADMIN_TOKEN', type: 'string' },
+  chatToken: { env: 'CHAT_TOKEN', type: 'string' },
+  auditHashKey: { env: 'AUDIT_HASH_KEY', type: 'string', default: null }
+};
+
+/**
+ * Settings of each entry of the resources setting, typed as in
+ * Config.SETTINGS. The last three override the same-named settings for
+ * that kind of resource.
+ */
+Config.RESOURCE_SETTINGS = {
+  name: { type: 'string', required: true },
+  url: { type: 'url', required: true },
+  format: { type: 'string', values: Object.keys(DataUpdater.INPUT_ADAPTERS) },
+  fields: { type: 'object', items: 'string' },
+  source: { type: 'string' },
+  keywords: { type: 'array', items: 'string' },
+  nouns: { type: 'object', items: 'string' },
+  template: { type: 'string' },
+  mileRadius: { type: 'number', above: 0 },
+  sheltersPerLookup: { type: 'integer', min: 1 },
+  refreshIntervalMinutes: { type: 'number', above: 0 }
+};
+
+/**
+ * Protocols a url setting may use.
+ */
+Config.URL_PROTOCOLS = ['http:', 'https:', 'file:'];
+
+// Helper functions
+export const _readFile = function (filePath) {
+  let settings;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    settings = /\.ya?ml$/i.test(filePath) ? yaml.safeLoad(text) : JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Couldn't read CONFIG_FILE ${filePath}: ${e.message}`);
+  }
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`Couldn't read CONFIG_FILE ${filePath}: expected an object of settings`);
+  }
+  return settings;
+};
+
+export const _parseValue = function (value, setting) {
+  const given = JSON.stringify(value);
+  if (setting.type === 'integer' || setting.type === 'number') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isFinite(number)) { throw new Error(`expected a number, got ${given}`); }
+    if (setting.type === 'integer' && !Number.isInteger(number)) {
+      throw new Error(`expected a whole number, got ${given}`);
+    }
+    if (setting.min !== undefined && number < setting.min) { throw new Error(`must be at least ${setting.min}`); }
+    if (setting.max !== undefined && number > setting.max) { throw new Error(`must be at most ${setting.max}`); }
+    if (setting.above !== undefined && number <= setting.above) { throw new Error(`must be more than ${setting.above}`); }
+    return number;
+  }
+  if (setting.type === 'boolean') {
+    if (value === true || value === 'true') { return true; }
+    if (value === false || value === 'false') { return false; }
+    throw new Error(`expected true or false, got ${given}`);
+  }
+  if (setting.type === 'object' || setting.type === 'array') {
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch (e) {
+        throw new Error(`expected JSON, got ${given} (${e.message})`);
+      }
+    }
+    const expectArray = setting.type === 'array';
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed) !== expectArray) {
+      throw new Error(`expected ${expectArray ? 'an array' : 'an object'}, got ${JSON.stringify(parsed)}`);
+    }
+    const items = expectArray ? parsed : Object.values(parsed);
+    if (setting.items && items.some((item) => typeof item !== setting.items)) {
+      throw new Error(`expected only ${setting.items} values, got ${JSON.stringify(parsed)}`);
+    }
+    return parsed;
+  }
+  if (typeof value !== 'string') { throw new Error(`expected a string, got ${given}`); }
+  if (setting.values && !setting.values.includes(value)) {
+    throw new Error(`expected one of ${setting.values.join(', ')}, got ${given}`);
+  }
+  if (setting.type === 'url' && !Config.URL_PROTOCOLS.includes(url.parse(value).protocol)) {
+    throw new Error(`expected an absolute URL (${Config.URL_PROTOCOLS.join(' ')}), got ${given}`);
+  }
+  return value;
+};
@@ -1,10 +1,19 @@
+import http from 'http';
 import https from 'https';
+import url from 'url';
+import path from 'path';
+import fs from 'fs';
+import util from 'util';
 import { EventEmitter } from 'events';
-import FeatureParser from 'feature-parser';
 import zipcodes from 'zipcodes';
 import { fork }  from 'child_process';
-let cp = undefined; // used to hold child process when update run as child process
-const pidString = `${process.ppid ? `${process.ppid} > ` : ''}PID ${process.pid}`;
+import DataValidator from './data_validator';
+import GeoJsonAdapter from './input_adapters/geojson_adapter';
+import CsvAdapter from './input_adapters/csv_adapter';
+import ArcGisAdapter from './input_adapters/arcgis_adapter';
+import Logger from './logger';
+
+const access = util.promisify(fs.access);
 
 /**
  * Class that handles loading data from the external data source
@@ -12,108 +21,389 @@ const pidString = `${process.ppid ? `${process.ppid} > ` : ''}PID ${process.pid}
 export default class DataUpdater extends EventEmitter {
   /**
    * Class constructor
-   * @param {string} dataUrl - the URL from which to fetch the geo.json data
+   * @param {string} dataUrl - the URL from which to fetch the location data
+   * @param {Object<string,string>} fields - (optional) the feature property to read each location record property
+   *   from, for feeds that name them differently, e.g. { shelter: 'site_name' } (default: {})
+   * @param {string} format - (optional) the format of the feed, one of the DataUpdater.INPUT_ADAPTERS keys
+   *   (default: 'geojson')
+   * @param {boolean} useWorker - (optional) whether updates run in a worker process by default (default: false)
+   * @param {number} timeout - (optional) the milliseconds a worker has to fetch and parse the data before it is
+   *   killed (default: DataUpdater.WORKER_TIMEOUT)
+   * @param {number} retries - (optional) how many times to retry with a new worker after one times out or crashes
+   *   (default: DataUpdater.WORKER_RETRIES)
+   * @param {Logger} logger - (optional) the logger to log updates with (default: Logger.root)
+   * @param {DataValidator} validator - (optional) the validator checking the data before it is used
+   *   (default: a DataValidator with the default thresholds)
    * @returns {DataUpdater} - the created DataUpdater instance
    */
-  constructor (dataUrl) {
+  constructor (dataUrl, fields = {}, format = 'geojson', useWorker = false, timeout = DataUpdater.WORKER_TIMEOUT,
+    retries = DataUpdater.WORKER_RETRIES, logger = Logger.root, validator = new DataValidator()) {
     super();
+    if (!DataUpdater.INPUT_ADAPTERS.hasOwnProperty(format)) {
+      throw new Error(`Unknown data format: ${format} (expected one of ${Object.keys(DataUpdater.INPUT_ADAPTERS).join(', ')})`);
+    }
     this.dataUrl = dataUrl;
+    this.fields = fields;
+    this.format = format;
+    this.adapter = new DataUpdater.INPUT_ADAPTERS[format]();
+    this.useWorker = useWorker;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.logger = logger;
+    this.validator = validator;
+    this.droppedCounts = [];
     this.updateInProgress = false;
+    this.lastAttemptAt = null;
+    this.lastCheckedAt = null;
+    this.lastUpdate = null;
+    this.failures = [];
+    this.consecutiveFailures = 0;
+    this.etag = null;
+    this.lastModified = null;
+    this.refreshInterval = DataUpdater.DEFAULT_REFRESH_INTERVAL;
+    this.updateTimer = null;
+    this.updatesStopped = true;
+    this.nextUpdateAt = null;
   }
 
   /**
-   * Performs a data update, kicking off a child process that requests data, then emits an 'update' event when done.
-   * @param {boolean} childProcess - flag to run the update process on child process (default: false)
-   * @emits DataUpdater#update
+   * Perform an update now and then keep updating: every refresh interval while updates succeed, and after an
+   * exponentially growing, jittered delay while they fail, so a struggling upstream API isn't hammered
+   * @param {number} interval - (optional) the milliseconds between updates (default: DataUpdater.DEFAULT_REFRESH_INTERVAL)
+   * @returns {void}
+   */
+  startUpdates (interval = DataUpdater.DEFAULT_REFRESH_INTERVAL) {
+    this.stopUpdates();
+    this.refreshInterval = interval;
+    this.updatesStopped = false;
+    const tick = () => {
+      const update = this.updateInProgress ? Promise.resolve() : this.performUpdate();
+      update.then(() => {
+        if (this.updatesStopped) { return; }
+        const delay = this.nextUpdateDelay();
+        this.nextUpdateAt = new Date(Date.now() + delay);
+        this.updateTimer = setTimeout(tick, delay);
+      });
+    };
+    tick();
+  }
+
+  /**
+   * Stop the updates started by startUpdates; an update already in progress still finishes
    * @returns {void}
    */
-  performUpdate (childProcess = false) {
+  stopUpdates () {
+    this.updatesStopped = true;
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+    this.nextUpdateAt = null;
+  }
+
+  /**
+   * Get how long to wait before the next scheduled update
+   * @returns {number} - the refresh interval if the last update succeeded, otherwise a backoff delay in milliseconds
+   *   between half and all of DataUpdater.BACKOFF_BASE doubled for each consecutive failure after the first, capped
+   *   at DataUpdater.MAX_BACKOFF
+   */
+  nextUpdateDelay () {
+    if (this.consecutiveFailures === 0) { return this.refreshInterval; }
+    const backoff = Math.min(
+      DataUpdater.MAX_BACKOFF,
+      DataUpdater.BACKOFF_BASE * Math.pow(2, this.consecutiveFailures - 1)
+    );
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+
+  /**
+   * Performs a data update, in a worker process if asked to, then emits an 'update' event when done.
+   * @param {boolean} childProcess - (optional) flag to run the update in a worker process, keeping the main event loop
+   *   free while the data is fetched and parsed (default: the useWorker constructor argument)
+   * @param {boolean} force - (optional) whether to accept the data however far its feature count dropped, e.g. when
+   *   an operator knows many shelters closed (default: false)
+   * @emits DataUpdater#update
+   * @emits DataUpdater#unchanged - instead of update, when the upstream data hasn't changed since the last update
+   * @emits DataUpdater#failure - instead of update, with the error, when the update fails
+   * @returns {Promise<void>} - resolves once the update has succeeded or failed; failures are recorded, not rejected
+   */
+  performUpdate (childProcess = this.useWorker, force = false) {
     let promise;
     this.updateInProgress = true;
-    if (childProcess) { // TODO: Not yet working
-      promise = new Promise((resolve, reject) => {
-        console.log(`(${pidString}) executing update on child process...`);
-        cp = fork(__filename, [], {
-          stdio: [process.stdin, process.stdout, process.stderr, 'ipc'],
-          env: { 'DATA_URL': this.dataUrl }
-        });
-        process.on('message', (data) => {
-          if (data === 'fetchLocationData') {
-            console.log(`(${pidString}) 'fetchLocationData': starting update.`);
-            this.fetchLocationData()
-              .then((cpResult) => {
-                console.log(`(${pidString}) 'fetchLocationData': update completed.`);
-                process.send('message', cpResult);
-              });
-          } else {
-            console.log(`(${pidString}) Unknown message value.`);
-          }
-        });
-        process.on('error', (error) => {
-          console.error(`(${pidString}) Error in child process execution: ${error.message}`, error.trace);
-          reject(error);
-        });
-        cp.on('message', (data) => {
-          resolve(data);
-        });
-        cp.on('exit', (code, signal) => {
-          console.log(`(${pidString}) child process exited with code ${code}${signal ? `and signal ${signal}` : ''}.`);
-        });
-        cp.send('fetchLocationData');
+    this.lastAttemptAt = new Date();
+    // Correlates the entries logged for this update, including the worker's
+    const log = this.logger.child({ updateId: `${process.pid}-${this.lastAttemptAt.getTime()}` });
+    const startedAt = Date.now();
+    const previousCount = force ? 0 : this.previousFeatureCount();
+    if (force) {
+      log.warn('Forcing update, however far the feature count drops');
+    } else if (this.droppedCounts.length >= this.validator.dropConfirmations) {
+      log.warn('Comparing with the last rejected update after repeated drops', {
+        previousCount,
+        droppedCounts: this.droppedCounts
       });
+    }
+    if (childProcess) {
+      log.info('Starting update in worker process');
+      promise = this.fetchLocationDataInWorker(1, log, previousCount);
     } else {
-      console.log(`(${pidString}) starting update.`);
-      promise = this.fetchLocationData();
+      log.info('Starting update');
+      promise = this.fetchLocationData(previousCount, log);
     }
-    promise
+    return promise
       .then((data) => {
-        console.log(`(${pidString}) update complete, emitting update...`);
-        this.emit('update', data);
+        if (data === null) {
+          log.info('Location data not modified', { ms: Date.now() - startedAt });
+          this.recordUnchanged();
+          this.updateInProgress = false;
+          this.emit('unchanged');
+          return;
+        }
+        log.info('Update complete', { ms: Date.now() - startedAt, zipCodes: data.size });
+        this.recordUpdate(data);
         this.updateInProgress = false;
+        this.emit('update', data);
       })
       .catch((e) => {
-        console.error(`(${pidString}) error performing data update: ${e.message}`, e.trace);
+        log.error('Update failed', { ms: Date.now() - startedAt, error: e });
+        this.recordFailure(e);
         this.updateInProgress = false;
+        this.emit('failure', e);
       });
   }
 
   /**
-   * Pulls geo.json data from the external source and emits an update event with the new data
-   * @emits DataUpdater#update
+   * Fetch the location data in a worker process, killing and retrying workers that time out or crash
+   * @param {number} attempt - (optional) the number of this attempt, starting from 1 (default: 1)
+   * @param {Logger} log - (optional) the logger for the update (default: this.logger)
+   * @param {number} previousCount - (optional) the number of features in the last good data
+   *   (default: this.previousFeatureCount())
+   * @returns {Promise<Map<string,Array<Object>>|null>} - the location data, or null if it hasn't changed, as from
+   *   fetchLocationData
+   */
+  fetchLocationDataInWorker (attempt = 1, log = this.logger, previousCount = this.previousFeatureCount()) {
+    return this.runWorker(log, previousCount)
+      .catch((e) => {
+        if (!e.retryable || attempt > this.retries) { throw e; }
+        log.warn('Update worker failed, retrying', { error: e.message, attempt, retries: this.retries });
+        return this.fetchLocationDataInWorker(attempt + 1, log, previousCount);
+      });
+  }
+
+  /**
+   * Run one worker process to fetch the location data, per the DataUpdater.WORKER_PATH IPC protocol
+   * @param {Logger} log - (optional) the logger for the update, whose level and fields the worker logs with
+   *   (default: this.logger)
+   * @param {number} previousCount - (optional) the number of features in the last good data
+   *   (default: this.previousFeatureCount())
+   * @returns {Promise<Map<string,Array<Object>>|null>} - the location data, or null if it hasn't changed; rejects
+   *   with a retryable error if the worker times out or exits without answering
+   */
+  runWorker (log = this.logger, previousCount = this.previousFeatureCount()) {
+    return new Promise((resolve, reject) => {
+      const worker = fork(DataUpdater.WORKER_PATH, [], { execArgv: ['-r', require.resolve('esm')] });
+      const id = `${process.pid}-${Date.now()}`;
+      let settled = false;
+      const finish = (error, data) => {
+        if (settled) { return; }
+        settled = true;
+        clearTimeout(timer);
+        if (error && worker.exitCode === null && worker.signalCode === null) {
+          worker.kill('SIGKILL');
+        } else if (worker.connected) {
+          worker.disconnect();
+        }
+        if (error) { reject(error); } else { resolve(data); }
+      };
+      const timer = setTimeout(() => {
+        finish(_retryableError(`Update worker timed out after ${this.timeout}ms`));
+      }, this.timeout);
+      worker.on('message', (message) => {
+        if (message.type === 'ready') {
+          worker.send({
+            type: 'fetch',
+            id,
+            dataUrl: _urlString(this.dataUrl),
+            fields: this.fields,
+            format: this.format,
+            validator: { ...this.validator },
+            previousFeatureCount: previousCount,
+            etag: this.etag,
+            lastModified: this.lastModified,
+            log: { level: log.output.level, fields: log.fields }
+          });
+        } else if (message.type === 'result' && message.id === id) {
+          this.etag = message.etag;
+          this.lastModified = message.lastModified;
+          finish(null, new Map(message.entries));
+        } else if (message.type === 'notModified' && message.id === id) {
+          finish(null, null);
+        } else if (message.type === 'error' && message.id === id) {
+          finish(message.droppedFeatureCount === undefined ?
+            new Error(message.message) :
+            _droppedError(message.message, message.droppedFeatureCount));
+        }
+      });
+      worker.on('error', (e) => finish(_retryableError(`Update worker failed: ${e.message}`)));
+      worker.on('exit', (code, signal) => {
+        log.debug('Update worker exited', { worker: worker.pid, code, signal });
+        finish(_retryableError(`Update worker exited with code ${code}${signal ? ` and signal ${signal}` : ''}`));
+      });
+    });
+  }
+
+  /**
+   * Get the number of features new data is compared with: that of the last good data, or, once the data has been
+   * rejected for a drop on the validator's dropConfirmations updates in a row, that of the last rejected data
+   * @returns {number} - the feature count, or 0 if there has been no successful update
+   */
+  previousFeatureCount () {
+    if (this.droppedCounts.length >= this.validator.dropConfirmations) {
+      return this.droppedCounts[this.droppedCounts.length - 1];
+    }
+    return this.lastUpdate ? this.lastUpdate.featureCount : 0;
+  }
+
+  /**
+   * Record a successful update and the size of the data it loaded, which later updates are checked against
+   * @param {Map<string,Array<Object>>} data - the location data loaded
+   * @param {Date} at - (optional) when the data was loaded, e.g. the savedAt of a snapshot loaded at startup
+   *   (default: now)
+   * @returns {void}
+   */
+  recordUpdate (data, at = new Date()) {
+    let featureCount = 0;
+    for (let records of data.values()) {
+      featureCount += records.length;
+    }
+    this.lastUpdate = { at, featureCount, zipCount: data.size };
+    this.lastCheckedAt = this.lastUpdate.at;
+    this.consecutiveFailures = 0;
+    this.droppedCounts = [];
+  }
+
+  /**
+   * Record a successful update that found the upstream data unchanged
+   * @returns {void}
+   */
+  recordUnchanged () {
+    this.lastCheckedAt = new Date();
+    this.consecutiveFailures = 0;
+    this.droppedCounts = [];
+  }
+
+  /**
+   * Record a failed update, keeping the most recent DataUpdater.MAX_FAILURES failures, and the feature counts of
+   * the updates in a row rejected for a drop
+   * @param {Error} error - the error the update failed with
    * @returns {void}
    */
-  fetchLocationData () {
+  recordFailure (error) {
+    this.consecutiveFailures += 1;
+    if (error.droppedFeatureCount !== undefined) {
+      this.droppedCounts = this.droppedCounts.concat([error.droppedFeatureCount])
+        .slice(-this.validator.dropConfirmations);
+    }
+    this.failures.push({ at: new Date(), error: error.message });
+    if (this.failures.length > DataUpdater.MAX_FAILURES) {
+      this.failures.splice(0, this.failures.length - DataUpdater.MAX_FAILURES);
+    }
+  }
+
+  /**
+   * Summarize how fresh the data is and how updates have gone
+   * @returns {Object} - the update status, suitable for JSON
+   */
+  status () {
+    return {
+      updateInProgress: this.updateInProgress,
+      lastAttemptAt: this.lastAttemptAt,
+      lastSuccessfulUpdateAt: this.lastUpdate ? this.lastUpdate.at : null,
+      lastCheckedAt: this.lastCheckedAt,
+      featureCount: this.lastUpdate ? this.lastUpdate.featureCount : 0,
+      zipCount: this.lastUpdate ? this.lastUpdate.zipCount : 0,
+      consecutiveFailures: this.consecutiveFailures,
+      droppedFeatureCounts: Array.from(this.droppedCounts),
+      nextUpdateAt: this.nextUpdateAt,
+      failures: Array.from(this.failures)
+    };
+  }
+
+  /**
+   * Get the headers asking the upstream API for the data only if it changed since the last update
+   * @returns {Object<string,string>} - the If-None-Match and If-Modified-Since headers, where known
+   */
+  conditionalHeaders () {
+    const headers = {};
+    if (this.etag) { headers['If-None-Match'] = this.etag; }
+    if (this.lastModified) { headers['If-Modified-Since'] = this.lastModified; }
+    return headers;
+  }
+
+  /**
+   * Pulls the feed from the external source, parses it into geo.json features with the format's input adapter, and
+   * validates and extracts the location data. The ETag and Last-Modified headers of data that passes validation are
+   * kept, to ask for the data only if it changed next time. file: URLs are read with readLocationFile.
+   * @param {number} previousCount - (optional) the number of features in the last good data
+   *   (default: this.previousFeatureCount())
+   * @param {Logger} log - (optional) the logger for the update (default: this.logger)
+   * @returns {Promise<Map<string,Array<Object>>|null>} - the location data, or null if it hasn't changed; rejects if
+   *   the request fails or the data fails validation
+   */
+  fetchLocationData (previousCount = this.previousFeatureCount(), log = this.logger) {
+    if (url.parse(_urlString(this.dataUrl)).protocol === 'file:') {
+      return this.readLocationFile(previousCount, log);
+    }
     return new Promise((resolve, reject) => {
-      console.log(`[${new Date()}] Updating location data...`);
-      https.get(this.dataUrl, (res) => {
+      log.debug('Fetching location data', { dataUrl: _urlString(this.dataUrl) });
+      const requestUrl = url.parse(_urlString(this.dataUrl));
+      const client = requestUrl.protocol === 'http:' ? http : https;
+      client.get({ ...requestUrl, headers: this.conditionalHeaders() }, (res) => {
         const { statusCode } = res;
+        if (statusCode === 304) {
+          res.resume();
+          resolve(null);
+          return;
+        }
         const contentType = res.headers['content-type'];
         const error = this.handleErrorResponse(statusCode, contentType);
         if (error !== null) {
-          console.error(error.message);
+          log.warn('Location data request failed', { statusCode, contentType });
           // Consume response data to free up memory
           res.resume();
           reject(error);
+          return;
         }
-        res.setEncoding('utf8');
-        const features = [];
-        res.pipe(FeatureParser.parse())
-          .each((feature) => {
-            // console.log(`Processing feature: ${feature}`);
-            features.push(JSON.parse(feature.toString()));
-          });
-        res.on('end', () => {
-          const locationData = this.extractGeoJsonData(features);
-          resolve(locationData);
-        });
-        console.log(`[${new Date()}] Location update complete.`);
+        this.adapter.parse(res)
+          .then((features) => {
+            const locationData = this.validateLocationData(features, previousCount, log);
+            this.etag = res.headers['etag'] || null;
+            this.lastModified = res.headers['last-modified'] || null;
+            resolve(locationData);
+          })
+          .catch(reject);
       }).on('error', (e) => {
-        console.error(`Got error: ${e.message}`);
+        log.warn('Location data request failed', { error: e.message });
         reject(e);
       });
     });
   }
 
+  /**
+   * Reads the feed from the local file at a file: data URL, e.g. to check a file before serving it, then parses,
+   * validates and extracts the location data like fetchLocationData
+   * @param {number} previousCount - (optional) the number of features in the last good data
+   *   (default: this.previousFeatureCount())
+   * @param {Logger} log - (optional) the logger for the update (default: this.logger)
+   * @returns {Promise<Map<string,Array<Object>>>} - the location data; rejects if the file can't be read or the data
+   *   fails validation
+   */
+  readLocationFile (previousCount = this.previousFeatureCount(), log = this.logger) {
+    const filePath = url.fileURLToPath(_urlString(this.dataUrl));
+    log.debug('Reading location data', { filePath });
+    return access(filePath, fs.constants.R_OK)
+      .then(() => this.adapter.parse(fs.createReadStream(filePath)))
+      .then((features) => this.validateLocationData(features, previousCount, log));
+  }
+
   /**
    * Handle non-200 response code or bad Content-Type header
    * @param {number} statusCode - the status code returned with the response
@@ -125,24 +415,65 @@ export default class DataUpdater extends EventEmitter {
     if (statusCode !== 200) {
       error = new Error('Request Failed.\n' +
         `Status Code: ${statusCode}`);
-    } else if (!/^application\/json/.test(contentType)) {
+    } else if (!this.adapter.accepts(contentType)) {
       error = new Error('Invalid content-type.\n' +
-        `Expected application/json but received ${contentType}`);
+        `Expected ${this.adapter.contentTypes.join(' or ')} but received ${contentType}`);
     }
     if (error) { return (error); }
     return null;
   }
 
+  /**
+   * Drop features failing validation, then extract the location data unless the dataset as a whole looks wrong
+   * @param {Array<Object|null>} features - the geo.json data, segmented into features, each parsed into an object
+   *   (or null where it could not be parsed)
+   * @param {number} previousCount - the number of features in the last good data, or 0 if there is none
+   * @param {Logger} log - (optional) the logger for the update (default: this.logger)
+   * @returns {Map<string,Array<Object>>} - the Map of location data indexed by zip code
+   * @throws {Error} - if the dataset is rejected, saying why, with its droppedFeatureCount if it was for a drop
+   */
+  validateLocationData (features, previousCount, log = this.logger) {
+    const accepted = [], rejected = [];
+    features.forEach((feature, idx) => {
+      let problems = this.validator.checkFeature(feature);
+      if (problems.length === 0) {
+        problems = this.validator.checkRecord(this.mapFeatureProperties(feature));
+      }
+      if (problems.length > 0) {
+        rejected.push({ index: idx + 1, problems });
+      } else {
+        accepted.push(feature);
+      }
+    });
+    if (rejected.length > 0) {
+      log.warn('Dropped invalid features', {
+        dropped: rejected.length,
+        example: { feature: rejected[0].index, problems: rejected[0].problems }
+      });
+    }
+    const reason = this.validator.checkDataset(features.length, accepted.length);
+    if (reason !== null) {
+      throw new Error(`Rejected update: ${reason}`);
+    }
+    const drop = this.validator.checkDrop(accepted.length, previousCount);
+    if (drop !== null) {
+      throw _droppedError(`Rejected update: ${drop}`, accepted.length);
+    }
+    return this.extractGeoJsonData(accepted, log);
+  }
+
   /**
    * Extract the location features from the parsed geo.json data
    * @param {Array<Object>} features - the geo.json data, segmented into features, each parsed into an object
+   * @param {Logger} log - (optional) the logger for the update (default: this.logger)
    * @returns {Map<string,Array<Object>>} - the Map of location data indexed by zip code
    */
-  extractGeoJsonData (features) {
+  extractGeoJsonData (features, log = this.logger) {
     let extractedData = new Map();
-    let featureCount = features.length;
+    let featureCount = 0;
     features.map((val, idx) => {
-      const { zip } = val.properties;
+      const properties = this.mapFeatureProperties(val);
+      const { zip } = properties;
       const zipData = zipcodes.lookup(zip);
       if (!!zipData && zipData.hasOwnProperty('zip')) {
         featureCount += 1;
@@ -150,14 +481,102 @@ export default class DataUpdater extends EventEmitter {
           extractedData.set(zipData.zip, new Array());           
         }
         extractedData.get(zipData.zip).push({
-          ...val.properties,
+          ...properties,
           shelterIndex: idx+1
         });
       }
     });
-    console.log(`Extracted ${featureCount} features in ${extractedData.size} distinct zip codes.`);
+    log.info('Extracted location data', { features: featureCount, zipCodes: extractedData.size });
     return extractedData;
   }
+
+  /**
+   * Map a feature's properties to the location record properties, per the fields mapping. Coordinates missing
+   * from the properties are taken from a Point geometry.
+   * @param {Object} feature - the geo.json feature
+   * @returns {Object} - the location record properties
+   */
+  mapFeatureProperties (feature) {
+    const properties = { ...feature.properties };
+    for (let field in this.fields) {
+      properties[field] = feature.properties[this.fields[field]];
+    }
+    const { geometry } = feature;
+    if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      if (properties.longitude === undefined || properties.longitude === null) {
+        properties.longitude = geometry.coordinates[0];
+      }
+      if (properties.latitude === undefined || properties.latitude === null) {
+        properties.latitude = geometry.coordinates[1];
+      }
+    }
+    return properties;
+  }
 }
 
-// TODO: Setup child_process to run this...
+/**
+ * Number of failed updates remembered for the update status.
+ */
+DataUpdater.MAX_FAILURES = 20;
+
+/**
+ * Input adapter class for each feed format, turning the feed into geo.json features.
+ */
+DataUpdater.INPUT_ADAPTERS = {
+  geojson: GeoJsonAdapter,
+  csv: CsvAdapter,
+  arcgis: ArcGisAdapter
+};
+
+/**
+ * Default milliseconds between updates.
+ */
+DataUpdater.DEFAULT_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Milliseconds of backoff after the first of consecutive failed updates, doubled for each further failure.
+ */
+DataUpdater.BACKOFF_BASE = 30 * 1000;
+
+/**
+ * Longest backoff in milliseconds after failed updates.
+ */
+DataUpdater.MAX_BACKOFF = 30 * 60 * 1000;
+
+/**
+ * Default milliseconds an update worker has to fetch and parse the data.
+ */
+DataUpdater.WORKER_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * Default number of times to retry with a new worker after one times out or crashes.
+ */
+DataUpdater.WORKER_RETRIES = 2;
+
+/**
+ * The update worker script. Once forked it sends { type: 'ready' }, then
+ * answers a { type: 'fetch', id, dataUrl, fields, format, validator,
+ * previousFeatureCount } message (validator holding the DataValidator thresholds, plus the etag and
+ * lastModified of the last update, and log the level and fields to log with) with either { type: 'result', id,
+ * entries, etag, lastModified } (entries being those of the location data
+ * Map), { type: 'notModified', id } or { type: 'error', id, message,
+ * droppedFeatureCount } (the count only for data rejected for a drop).
+ */
+DataUpdater.WORKER_PATH = path.join(__dirname, 'update_worker.js');
+
+// Helper functions
+export const _urlString = function (dataUrl) {
+  return typeof dataUrl === 'string' ? dataUrl : url.format(dataUrl);
+};
+
+export const _retryableError = function (message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+};
+
+export const _droppedError = function (message, featureCount) {
+  const error = new Error(message);
+  error.droppedFeatureCount = featureCount;
+  return error;
+};
@@ -0,0 +1,133 @@
+import zipcodes from 'zipcodes';
+
+/**
+ * Class that checks upstream location data before it replaces the data
+ * being served: each feature must be well formed and located in its ZIP
+ * code, and the dataset as a whole must not look truncated or broken
+ */
+export default class DataValidator {
+  /**
+   * Class constructor
+   * @param {number} maxDrop - (optional) the largest fraction the feature count may drop by from the last good data
+   *   (default: DataValidator.DEFAULT_MAX_DROP)
+   * @param {number} maxRejected - (optional) the largest fraction of features that may fail validation
+   *   (default: DataValidator.DEFAULT_MAX_REJECTED)
+   * @param {number} maxZipMiles - (optional) how far in miles a feature's coordinates may be from the center of its
+   *   ZIP code (default: DataValidator.DEFAULT_MAX_ZIP_MILES)
+   * @param {number} dropConfirmations - (optional) how many updates in a row must be rejected for a drop before the
+   *   drop is taken as real, and the next update compared with the last rejected one
+   *   (default: DataValidator.DEFAULT_DROP_CONFIRMATIONS)
+   * @returns {DataValidator} - the created DataValidator instance
+   */
+  constructor (maxDrop = DataValidator.DEFAULT_MAX_DROP, maxRejected = DataValidator.DEFAULT_MAX_REJECTED,
+    maxZipMiles = DataValidator.DEFAULT_MAX_ZIP_MILES, dropConfirmations = DataValidator.DEFAULT_DROP_CONFIRMATIONS) {
+    this.maxDrop = maxDrop;
+    this.maxRejected = maxRejected;
+    this.maxZipMiles = maxZipMiles;
+    this.dropConfirmations = dropConfirmations;
+  }
+
+  /**
+   * Check that a value is a geo.json feature with properties
+   * @param {Object} feature - the parsed feature
+   * @returns {Array<string>} - the problems found, empty if there are none
+   */
+  checkFeature (feature) {
+    if (!feature || feature.type !== 'Feature') { return ['not a geo.json Feature']; }
+    if (!feature.properties || typeof feature.properties !== 'object') { return ['no properties']; }
+    return [];
+  }
+
+  /**
+   * Check a location record, i.e. a feature's properties as mapped by DataUpdater#mapFeatureProperties
+   * @param {Object} record - the location record
+   * @returns {Array<string>} - the problems found, empty if there are none
+   */
+  checkRecord (record) {
+    const problems = [];
+    for (let field of DataValidator.REQUIRED_FIELDS) {
+      if (typeof record[field] !== 'string' || record[field].trim() === '') {
+        problems.push(`missing ${field}`);
+      }
+    }
+    const zipInfo = record.zip ? zipcodes.lookup(record.zip) : undefined;
+    if (!zipInfo) {
+      problems.push(`unknown zip ${record.zip}`);
+    }
+    const latitude = parseFloat(record.latitude), longitude = parseFloat(record.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      problems.push('missing coordinates');
+    } else if (zipInfo) {
+      const miles = _approximateMiles(latitude, longitude, zipInfo.latitude, zipInfo.longitude);
+      if (miles > this.maxZipMiles) {
+        problems.push(`coordinates ${Math.round(miles)}mi from zip ${zipInfo.zip}`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Check a dataset as a whole, after its invalid features were dropped. Whether it dropped sharply from the last
+   * good data is checked separately, by checkDrop.
+   * @param {number} featureCount - the number of features upstream
+   * @param {number} acceptedCount - the number of features that passed validation
+   * @returns {string|null} - why the dataset should be rejected, or null if it looks sound
+   */
+  checkDataset (featureCount, acceptedCount) {
+    if (featureCount === 0) {
+      return 'no features';
+    }
+    const rejectedCount = featureCount - acceptedCount;
+    if (rejectedCount / featureCount > this.maxRejected) {
+      return `${rejectedCount} of ${featureCount} features failed validation`;
+    }
+    return null;
+  }
+
+  /**
+   * Check a dataset's feature count hasn't dropped sharply from the last good data's
+   * @param {number} acceptedCount - the number of features that passed validation
+   * @param {number} previousCount - (optional) the number of features in the last good data (default: 0, for none)
+   * @returns {string|null} - why the dataset should be rejected, or null if it didn't drop sharply
+   */
+  checkDrop (acceptedCount, previousCount = 0) {
+    if (previousCount > 0 && acceptedCount < previousCount * (1 - this.maxDrop)) {
+      return `feature count dropped from ${previousCount} to ${acceptedCount}`;
+    }
+    return null;
+  }
+}
+
+/**
+ * Default largest fraction the feature count may drop by between updates.
+ */
+DataValidator.DEFAULT_MAX_DROP = 0.5;
+
+/**
+ * Default number of updates in a row rejected for a drop after which the
+ * drop is taken as real, e.g. shelters closing once a storm has passed.
+ */
+DataValidator.DEFAULT_DROP_CONFIRMATIONS = 3;
+
+/**
+ * Default largest fraction of features that may fail validation.
+ */
+DataValidator.DEFAULT_MAX_REJECTED = 0.2;
+
+/**
+ * Default distance in miles a feature may be from the center of its ZIP code.
+ */
+DataValidator.DEFAULT_MAX_ZIP_MILES = 50;
+
+/**
+ * Location record properties every feature must have.
+ */
+DataValidator.REQUIRED_FIELDS = ['shelter', 'address'];
+
+// Helper functions
+export const _approximateMiles = function (lat1, lon1, lat2, lon2) {
+  const milesPerDegree = 69.1;
+  const cosLat = Math.cos((lat1 + lat2) / 2 * Math.PI / 180);
+  return Math.sqrt(Math.pow((lat2 - lat1) * milesPerDegree, 2) + Math.pow((lon2 - lon1) * milesPerDegree * cosLat, 2));
+};
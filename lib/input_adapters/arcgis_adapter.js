@@ -0,0 +1,68 @@
+import InputAdapter from './input_adapter';
+
+/**
+ * Input adapter for Esri ArcGIS FeatureServer query responses (f=json):
+ * each feature's attributes become its properties, and point geometries
+ * in WGS 84 or Web Mercator become geo.json Points
+ */
+export default class ArcGisAdapter extends InputAdapter {
+  /**
+   * Class constructor
+   * @returns {ArcGisAdapter} - the created ArcGisAdapter instance
+   */
+  constructor () {
+    super(['application/json', 'text/plain']);
+  }
+
+  /**
+   * Parse a FeatureServer query response into features
+   * @param {string} text - the response body
+   * @returns {Array<Object|null>} - the features, null for any without attributes
+   */
+  parseText (text) {
+    const response = JSON.parse(text);
+    if (response.error) {
+      // FeatureServer errors come back as 200 OK
+      throw new Error(`ArcGIS error ${response.error.code}: ${response.error.message}`);
+    }
+    if (!Array.isArray(response.features)) {
+      throw new Error('Not an ArcGIS FeatureServer query response');
+    }
+    if (response.exceededTransferLimit) {
+      // Serving part of the data would hide the rest; see the FeatureServer's maxRecordCount
+      throw new Error(`ArcGIS response exceeded the transfer limit after ${response.features.length} features`);
+    }
+    const wkid = response.spatialReference ?
+      response.spatialReference.latestWkid || response.spatialReference.wkid :
+      ArcGisAdapter.WGS84;
+    return response.features.map((feature) => {
+      if (!feature || !feature.attributes) { return null; }
+      return { type: 'Feature', geometry: _pointGeometry(feature.geometry, wkid), properties: feature.attributes };
+    });
+  }
+}
+
+/**
+ * Well-known ID of the WGS 84 latitude/longitude spatial reference.
+ */
+ArcGisAdapter.WGS84 = 4326;
+
+/**
+ * Well-known IDs of the Web Mercator spatial reference, the default of many FeatureServers.
+ */
+ArcGisAdapter.WEB_MERCATOR = [3857, 102100];
+
+// Helper functions
+export const _pointGeometry = function (geometry, wkid) {
+  if (!geometry || !Number.isFinite(geometry.x) || !Number.isFinite(geometry.y)) { return null; }
+  if (wkid === ArcGisAdapter.WGS84) {
+    return { type: 'Point', coordinates: [geometry.x, geometry.y] };
+  }
+  if (ArcGisAdapter.WEB_MERCATOR.indexOf(wkid) >= 0) {
+    const radius = 6378137;
+    const longitude = geometry.x / radius * 180 / Math.PI;
+    const latitude = (2 * Math.atan(Math.exp(geometry.y / radius)) - Math.PI / 2) * 180 / Math.PI;
+    return { type: 'Point', coordinates: [longitude, latitude] };
+  }
+  return null; // other projections need coordinates mapped from the attributes
+};
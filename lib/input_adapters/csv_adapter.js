@@ -0,0 +1,74 @@
+import InputAdapter from './input_adapter';
+
+/**
+ * Input adapter for CSV exports with a header row, as RFC 4180 describes
+ * them: each row becomes a feature whose properties are named by the
+ * header, and whose coordinates come from its latitude and longitude
+ * columns (mapped with the DataUpdater fields if named differently)
+ */
+export default class CsvAdapter extends InputAdapter {
+  /**
+   * Class constructor
+   * @returns {CsvAdapter} - the created CsvAdapter instance
+   */
+  constructor () {
+    super(['text/csv', 'application/csv', 'text/plain', 'application/octet-stream']);
+  }
+
+  /**
+   * Parse a CSV export into features, one per row
+   * @param {string} text - the CSV text
+   * @returns {Array<Object|null>} - the features, null for rows whose number of values doesn't match the header
+   */
+  parseText (text) {
+    const rows = _parseCsv(text.replace(/^\uFEFF/, ''))
+      .filter((row) => row.length > 1 || row[0].trim() !== '');
+    if (rows.length === 0) { return []; }
+    const header = rows[0].map((name) => name.trim());
+    return rows.slice(1).map((row) => {
+      if (row.length !== header.length) { return null; }
+      const properties = {};
+      header.forEach((name, idx) => {
+        properties[name] = row[idx] === '' ? null : row[idx];
+      });
+      return { type: 'Feature', geometry: null, properties };
+    });
+  }
+}
+
+// Helper functions
+export const _parseCsv = function (text) {
+  const rows = [];
+  let row = [], value = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        value += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(value);
+      value = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') { i++; }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += c;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+};
@@ -0,0 +1,38 @@
+import FeatureParser from 'feature-parser';
+import InputAdapter from './input_adapter';
+
+/**
+ * Input adapter for geo.json FeatureCollections, streamed through
+ * feature-parser so large feeds are never held as a single string
+ */
+export default class GeoJsonAdapter extends InputAdapter {
+  /**
+   * Class constructor
+   * @returns {GeoJsonAdapter} - the created GeoJsonAdapter instance
+   */
+  constructor () {
+    super(['application/json', 'application/geo+json', 'application/vnd.geo+json']);
+  }
+
+  /**
+   * Stream a geo.json FeatureCollection into its features
+   * @param {stream.Readable} stream - the response body
+   * @returns {Promise<Array<Object|null>>} - the features, null where one could not be parsed (e.g. truncated)
+   */
+  parse (stream) {
+    return new Promise((resolve) => {
+      const features = [];
+      stream.setEncoding('utf8');
+      // Resolve once the parser has seen every feature, which can be after the response ends
+      stream.pipe(FeatureParser.parse())
+        .each((feature) => {
+          try {
+            features.push(JSON.parse(feature.toString()));
+          } catch (e) {
+            features.push(null); // malformed, e.g. truncated; counted as failing validation
+          }
+        })
+        .done(() => resolve(features));
+    });
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Base class for the input adapters DataUpdater reads upstream feeds
+ * with: each turns a response body in its format into geo.json features,
+ * so validation, field mapping and extraction work the same for every feed
+ */
+export default class InputAdapter {
+  /**
+   * Class constructor
+   * @param {Array<string>} contentTypes - the media types the feed may be served as
+   * @returns {InputAdapter} - the created InputAdapter instance
+   */
+  constructor (contentTypes) {
+    this.contentTypes = contentTypes;
+  }
+
+  /**
+   * Check a response's Content-Type header
+   * @param {string} contentType - the response Content-Type header
+   * @returns {boolean} - whether the response may be in this format
+   */
+  accepts (contentType) {
+    const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+    return this.contentTypes.indexOf(mediaType) >= 0;
+  }
+
+  /**
+   * Read a whole response body and parse it into geo.json features with the adapter's parseText(text) method
+   * @param {stream.Readable} stream - the response body
+   * @returns {Promise<Array<Object|null>>} - the features, null where one could not be parsed; rejects if the body
+   *   as a whole can't be parsed
+   */
+  parse (stream) {
+    return new Promise((resolve, reject) => {
+      let text = '';
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => { text += chunk; });
+      stream.on('error', reject);
+      stream.on('end', () => {
+        try {
+          resolve(this.parseText(text));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Class to extract command keywords from message strings
+ */
+export default class KeywordExtractor {
+  /**
+   * Constructor
+   * @param {Object<string,Array<string>>} keywords - the keyword aliases to look for, keyed by the command they stand for
+   * @returns {KeywordExtractor} - the created KeywordExtractor instance
+   */
+  constructor (keywords) {
+    this.keywords = keywords;
+    this.patterns = Object.keys(keywords).map((command) => {
+      const aliases = keywords[command].map((alias) => alias.trim().split(/\s+/).join('\\s+'));
+      return {
+        command: command,
+        regex: RegExp(`(?<![\\w\\u00C0-\\u1EF9])(?:${aliases.join('|')})(?![\\w\\u00C0-\\u1EF9])`, 'i')
+      };
+    });
+  }
+
+  /**
+   * Extracts the commands whose keywords appear in the message string
+   * @param {string} message - the message string to extract from
+   * @returns {Array<string>} - the resulting array of commands, in the order they were configured
+   */
+  extractMessageKeywords (message) {
+    if (!message) { return []; }
+    return this.patterns
+      .filter((p) => p.regex.test(message))
+      .map((p) => p.command);
+  }
+}
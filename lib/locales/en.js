@@ -0,0 +1,88 @@
+/**
+ * English reply templates, and the keywords that select English
+ */
+export default {
+  name: 'English',
+  keywords: ['ENGLISH', 'INGLÉS', 'INGLES', 'TIẾNG ANH'],
+  commands: {
+    MORE: ['MORE'],
+    DETAILS: ['DETAILS', 'DETAIL'],
+    SUBSCRIBE: ['SUBSCRIBE', 'ALERT', 'ALERTS'],
+    STOP: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+    START: ['START', 'UNSTOP'],
+    HELP: ['HELP', 'INFO']
+  },
+  filterKeywords: {},
+  filterLabels: {
+    PETS: 'pet-friendly',
+    ACCEPTING: 'accepting',
+    SPECIAL_NEEDS: 'special needs'
+  },
+  resources: {
+    shelters: 'shelters',
+    food: 'food distribution sites',
+    water: 'water distribution points'
+  },
+  marks: {
+    archived: 'CLOSED',
+    full: 'FULL'
+  },
+  detailLabels: {
+    phone: 'Phone',
+    accepting: 'Accepting',
+    pets: 'Pets',
+    special_needs: 'Special needs',
+    notes: 'Notes',
+    updated: 'Updated'
+  },
+  messages: {
+    noLocation: () => 'Sorry, I couldn\'t find a ZIP code or a city and state in your text message. Please try again.',
+    notFound: ({ noun, filters, places, heldBack }) =>
+      `Sorry, I don't know about any ${_labels(filters)}${noun} near ${places.join(' or ')}.` +
+      `${heldBack > 0 ? ` (Not shown: ${heldBack} closed or full.)` : ''} Please try again later!`,
+    noMore: ({ noun, filters, places }) =>
+      `Sorry, I don't know about any more ${_labels(filters)}${noun} near ${places.join(' or ')}.`,
+    found: ({ noun, count, more, filters, place }) =>
+      `Found ${count} ${more ? 'more ' : ''}${_labels(filters)}${noun} near ${place}:`,
+    heldBack: ({ count }) => `(Not shown: ${count} closed or full.)`,
+    distance: ({ miles }) => `${miles < 1 ? 'Under 1' : `About ${miles}`}mi away`,
+    age: ({ minutes }) => _age(minutes),
+    updated: ({ minutes }) => `updated ${_age(minutes)}`,
+    staleData: ({ minutes }) =>
+      `WARNING: This information was last refreshed ${_age(minutes)} and may be out of date.`,
+    moreWithoutLookup: ({ noun }) => `Please text a ZIP code first, then MORE to see more ${noun} near it.`,
+    detailsWithoutLookup: () => 'Please text a ZIP code first, then DETAILS and a number to learn more about a place in the reply.',
+    detailsOutOfRange: ({ noun, count }) =>
+      `Sorry, my last reply only listed ${count} ${noun}. Please text DETAILS and a number from 1 to ${count}.`,
+    followUpHint: ({ noun, count }) => `Text MORE for more ${noun}, or DETAILS 1-${count} for details.`,
+    languageSet: ({ noun }) => `I'll reply in English. Text a ZIP code or a city and state to find ${noun}.`,
+    subscribed: ({ noun, places }) =>
+      `You're subscribed. I'll text you when ${noun} open near ${places.join(' or ')}. Text STOP to unsubscribe.`,
+    subscribeWithoutLocation: ({ noun }) =>
+      `Please text SUBSCRIBE and a ZIP code (e.g. SUBSCRIBE 70118) to get a text when ${noun} open near it.`,
+    unsubscribed: () => 'You\'re unsubscribed and won\'t get any more alerts. Text START to resubscribe.',
+    resubscribed: ({ noun, places }) =>
+      `You're resubscribed. I'll text you when ${noun} open near ${places.join(' or ')}. Text STOP to unsubscribe.`,
+    started: ({ noun }) => `Welcome back. Text a ZIP code or a city and state to find ${noun}.`,
+    help: ({ noun, sources, alerts }) =>
+      `Text a ZIP code or a city and state to find ${noun} near you, e.g. 70118. Add PETS, ACCEPTING or SPECIAL NEEDS ` +
+      `to narrow the list, then text MORE or DETAILS 1.${alerts ? ' Text SUBSCRIBE 70118 for alerts when new ones open.' : ''} ` +
+      `Text STOP to opt out.${sources.length > 0 ? ` Data from ${sources.join(', ')}.` : ''} Msg & data rates may apply.`,
+    alert: ({ noun }) => `ALERT: More ${noun} are open near you.`,
+    alertFooter: () => 'Text STOP to stop these alerts.',
+    throttled: () => 'You\'re sending messages faster than I can answer them. Please wait a minute and try again.',
+    error: () => 'Sorry, something went wrong. Please try again later.'
+  }
+};
+
+// Helper functions
+const _labels = function (filters) {
+  return filters.length > 0 ? `${filters.join(', ')} ` : '';
+};
+
+const _age = function (minutes) {
+  if (minutes < 1) { return 'just now'; }
+  if (minutes < 60) { return `${Math.floor(minutes)}m ago`; }
+  if (minutes < 48 * 60) { return `${Math.floor(minutes / 60)}h ago`; }
+  return `${Math.floor(minutes / (24 * 60))}d ago`;
+};
@@ -0,0 +1,94 @@
+/**
+ * Spanish reply templates, and the keywords that select Spanish. AYUDA is
+ * also the HELP command: it switches to Spanish like the other keywords,
+ * and texted alone it is answered with the help text, in Spanish.
+ */
+export default {
+  name: 'Español',
+  keywords: ['ESPAÑOL', 'ESPANOL', 'SPANISH', 'AYUDA'],
+  commands: {
+    MORE: ['MÁS', 'MAS'],
+    DETAILS: ['DETALLES', 'DETALLE'],
+    SUBSCRIBE: ['SUSCRIBIR', 'SUSCRIBIRME', 'ALERTA', 'ALERTAS'],
+    STOP: ['PARAR', 'CANCELAR'],
+    START: ['INICIAR', 'COMENZAR'],
+    HELP: ['AYUDA', 'INFORMACIÓN', 'INFORMACION']
+  },
+  filterKeywords: {
+    PETS: ['MASCOTAS', 'MASCOTA', 'ANIMALES'],
+    ACCEPTING: ['ABIERTO', 'ABIERTOS', 'ACEPTANDO'],
+    SPECIAL_NEEDS: ['NECESIDADES ESPECIALES', 'MÉDICO', 'MEDICO']
+  },
+  filterLabels: {
+    PETS: 'aceptan mascotas',
+    ACCEPTING: 'abiertos',
+    SPECIAL_NEEDS: 'necesidades especiales'
+  },
+  resources: {
+    shelters: 'refugios',
+    food: 'sitios de distribución de comida',
+    water: 'puntos de distribución de agua'
+  },
+  marks: {
+    archived: 'CERRADO',
+    full: 'LLENO'
+  },
+  detailLabels: {
+    phone: 'Teléfono',
+    accepting: 'Aceptando',
+    pets: 'Mascotas',
+    special_needs: 'Necesidades especiales',
+    notes: 'Notas',
+    updated: 'Actualizado'
+  },
+  messages: {
+    noLocation: () => 'Lo siento, no encontré un código postal ni una ciudad y estado en su mensaje. Por favor, inténtelo de nuevo.',
+    notFound: ({ noun, filters, places, heldBack }) =>
+      `Lo siento, no conozco ${noun}${_labels(filters)} cerca de ${places.join(' o ')}.` +
+      `${heldBack > 0 ? ` (No se muestran: ${heldBack} cerrados o llenos.)` : ''} Por favor, inténtelo más tarde.`,
+    noMore: ({ noun, filters, places }) =>
+      `Lo siento, no conozco más ${noun}${_labels(filters)} cerca de ${places.join(' o ')}.`,
+    found: ({ noun, count, more, filters, place }) =>
+      `Encontré ${count} ${noun}${more ? ' más' : ''}${_labels(filters)} cerca de ${place}:`,
+    heldBack: ({ count }) => `(No se muestran: ${count} cerrados o llenos.)`,
+    distance: ({ miles }) => (miles < 1 ? 'A menos de 1 milla' : `A unas ${miles} millas`),
+    age: ({ minutes }) => _age(minutes),
+    updated: ({ minutes }) => `actualizado ${_age(minutes)}`,
+    staleData: ({ minutes }) =>
+      `AVISO: Esta información se actualizó por última vez ${_age(minutes)} y puede no estar al día.`,
+    moreWithoutLookup: ({ noun }) => `Por favor, envíe primero un código postal y luego MÁS para ver más ${noun} cercanos.`,
+    detailsWithoutLookup: () => 'Por favor, envíe primero un código postal y luego DETALLES y un número para saber más sobre un lugar de la respuesta.',
+    detailsOutOfRange: ({ noun, count }) =>
+      `Lo siento, mi último mensaje solo mencionaba ${count} ${noun}. Envíe DETALLES y un número del 1 al ${count}.`,
+    followUpHint: ({ noun, count }) => `Envíe MÁS para ver más ${noun}, o DETALLES 1-${count} para más información.`,
+    languageSet: ({ noun }) => `Le responderé en español. Envíe un código postal o una ciudad y estado para encontrar ${noun}.`,
+    subscribed: ({ noun, places }) =>
+      `Está suscrito. Le enviaré un mensaje cuando abran ${noun} cerca de ${places.join(' o ')}. Envíe PARAR para cancelar.`,
+    subscribeWithoutLocation: ({ noun }) =>
+      `Envíe SUSCRIBIR y un código postal (p. ej. SUSCRIBIR 70118) para recibir un mensaje cuando abran ${noun} cerca.`,
+    unsubscribed: () => 'Su suscripción fue cancelada. No recibirá más alertas. Envíe INICIAR para volver a suscribirse.',
+    resubscribed: ({ noun, places }) =>
+      `Está suscrito de nuevo. Le enviaré un mensaje cuando abran ${noun} cerca de ${places.join(' o ')}. Envíe PARAR para cancelar.`,
+    started: ({ noun }) => `Bienvenido de nuevo. Envíe un código postal o una ciudad y estado para encontrar ${noun}.`,
+    help: ({ noun, sources, alerts }) =>
+      `Envíe un código postal o una ciudad y estado para encontrar ${noun} cerca de usted, p. ej. 70118. Agregue MASCOTAS, ` +
+      `ABIERTOS o NECESIDADES ESPECIALES para filtrar la lista, y luego envíe MÁS o DETALLES 1.${alerts ? ' Envíe SUSCRIBIR 70118 para recibir alertas cuando abran más.' : ''} Envíe PARAR para no recibir mensajes.` +
+      `${sources.length > 0 ? ` Datos de ${sources.join(', ')}.` : ''} Pueden aplicarse tarifas de mensajes y datos.`,
+    alert: ({ noun }) => `ALERTA: Hay más ${noun} abiertos cerca de usted.`,
+    alertFooter: () => 'Envíe PARAR para dejar de recibir estas alertas.',
+    throttled: () => 'Está enviando mensajes más rápido de lo que puedo responder. Espere un minuto e inténtelo de nuevo.',
+    error: () => 'Lo siento, algo salió mal. Por favor, inténtelo más tarde.'
+  }
+};
+
+// Helper functions
+const _labels = function (filters) {
+  return filters.length > 0 ? ` (${filters.join(', ')})` : '';
+};
+
+const _age = function (minutes) {
+  if (minutes < 1) { return 'hace un momento'; }
+  if (minutes < 60) { return `hace ${Math.floor(minutes)} min`; }
+  if (minutes < 48 * 60) { return `hace ${Math.floor(minutes / 60)} h`; }
+  return `hace ${Math.floor(minutes / (24 * 60))} días`;
+};
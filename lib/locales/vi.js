@@ -0,0 +1,95 @@
+/**
+ * Vietnamese reply templates, and the keywords that select Vietnamese.
+ * GIÚP ĐỠ is also the HELP command: it switches to Vietnamese like the
+ * other keywords, and texted alone it is answered with the help text, in
+ * Vietnamese.
+ */
+export default {
+  name: 'Tiếng Việt',
+  keywords: ['TIẾNG VIỆT', 'TIENG VIET', 'VIETNAMESE', 'GIÚP ĐỠ', 'GIUP DO'],
+  commands: {
+    MORE: ['THÊM', 'THEM'],
+    DETAILS: ['CHI TIẾT', 'CHI TIET'],
+    SUBSCRIBE: ['ĐĂNG KÝ', 'DANG KY'],
+    STOP: ['HỦY', 'HUY', 'NGỪNG', 'NGUNG'],
+    START: ['BẮT ĐẦU', 'BAT DAU'],
+    HELP: ['GIÚP ĐỠ', 'GIUP DO', 'TRỢ GIÚP', 'TRO GIUP']
+  },
+  filterKeywords: {
+    PETS: ['THÚ CƯNG', 'THU CUNG'],
+    ACCEPTING: ['ĐANG NHẬN', 'DANG NHAN'],
+    SPECIAL_NEEDS: ['NHU CẦU ĐẶC BIỆT', 'NHU CAU DAC BIET']
+  },
+  filterLabels: {
+    PETS: 'nhận thú cưng',
+    ACCEPTING: 'đang nhận người',
+    SPECIAL_NEEDS: 'nhu cầu đặc biệt'
+  },
+  resources: {
+    shelters: 'nơi trú ẩn',
+    food: 'điểm phát thực phẩm',
+    water: 'điểm phát nước'
+  },
+  marks: {
+    archived: 'ĐÃ ĐÓNG',
+    full: 'HẾT CHỖ'
+  },
+  detailLabels: {
+    phone: 'Điện thoại',
+    accepting: 'Đang nhận người',
+    pets: 'Thú cưng',
+    special_needs: 'Nhu cầu đặc biệt',
+    notes: 'Ghi chú',
+    updated: 'Cập nhật'
+  },
+  messages: {
+    noLocation: () => 'Xin lỗi, tôi không tìm thấy mã ZIP hoặc thành phố và tiểu bang trong tin nhắn của bạn. Vui lòng thử lại.',
+    notFound: ({ noun, filters, places, heldBack }) =>
+      `Xin lỗi, tôi không biết ${noun} nào${_labels(filters)} gần ${places.join(' hoặc ')}.` +
+      `${heldBack > 0 ? ` (Không hiển thị: ${heldBack} đã đóng hoặc hết chỗ.)` : ''} Vui lòng thử lại sau!`,
+    noMore: ({ noun, filters, places }) =>
+      `Xin lỗi, tôi không biết thêm ${noun} nào${_labels(filters)} gần ${places.join(' hoặc ')}.`,
+    found: ({ noun, count, more, filters, place }) =>
+      `Tìm thấy ${count} ${noun}${more ? ' khác' : ''}${_labels(filters)} gần ${place}:`,
+    heldBack: ({ count }) => `(Không hiển thị: ${count} đã đóng hoặc hết chỗ.)`,
+    distance: ({ miles }) => (miles < 1 ? 'Cách dưới 1 dặm' : `Cách khoảng ${miles} dặm`),
+    age: ({ minutes }) => _age(minutes),
+    updated: ({ minutes }) => `cập nhật ${_age(minutes)}`,
+    staleData: ({ minutes }) =>
+      `CẢNH BÁO: Thông tin này được cập nhật lần cuối ${_age(minutes)} và có thể đã cũ.`,
+    moreWithoutLookup: ({ noun }) => `Vui lòng nhắn mã ZIP trước, sau đó nhắn THÊM để xem thêm ${noun} gần đó.`,
+    detailsWithoutLookup: () => 'Vui lòng nhắn mã ZIP trước, sau đó nhắn CHI TIẾT và một số để biết thêm về một địa điểm trong tin trả lời.',
+    detailsOutOfRange: ({ noun, count }) =>
+      `Xin lỗi, tin nhắn trước chỉ liệt kê ${count} ${noun}. Vui lòng nhắn CHI TIẾT và một số từ 1 đến ${count}.`,
+    followUpHint: ({ noun, count }) => `Nhắn THÊM để xem thêm ${noun}, hoặc CHI TIẾT 1-${count} để xem chi tiết.`,
+    languageSet: ({ noun }) => `Tôi sẽ trả lời bằng tiếng Việt. Nhắn mã ZIP hoặc thành phố và tiểu bang để tìm ${noun}.`,
+    subscribed: ({ noun, places }) =>
+      `Bạn đã đăng ký. Tôi sẽ nhắn tin khi có ${noun} mở cửa gần ${places.join(' hoặc ')}. Nhắn HỦY để hủy đăng ký.`,
+    subscribeWithoutLocation: ({ noun }) =>
+      `Vui lòng nhắn ĐĂNG KÝ và mã ZIP (ví dụ: ĐĂNG KÝ 70118) để nhận tin nhắn khi có ${noun} mở cửa gần đó.`,
+    unsubscribed: () => 'Bạn đã hủy đăng ký và sẽ không nhận thêm thông báo. Nhắn BẮT ĐẦU để đăng ký lại.',
+    resubscribed: ({ noun, places }) =>
+      `Bạn đã đăng ký lại. Tôi sẽ nhắn tin khi có ${noun} mở cửa gần ${places.join(' hoặc ')}. Nhắn HỦY để hủy đăng ký.`,
+    started: ({ noun }) => `Chào mừng bạn trở lại. Nhắn mã ZIP hoặc thành phố và tiểu bang để tìm ${noun}.`,
+    help: ({ noun, sources, alerts }) =>
+      `Nhắn mã ZIP hoặc thành phố và tiểu bang để tìm ${noun} gần bạn, ví dụ: 70118. Thêm THÚ CƯNG, ĐANG NHẬN hoặc ` +
+      `NHU CẦU ĐẶC BIỆT để lọc danh sách, rồi nhắn THÊM hoặc CHI TIẾT 1.${alerts ? ' Nhắn ĐĂNG KÝ 70118 để nhận thông báo khi có nơi mới mở cửa.' : ''} Nhắn HỦY để ngừng nhận tin nhắn.` +
+      `${sources.length > 0 ? ` Dữ liệu từ ${sources.join(', ')}.` : ''} Có thể áp dụng phí tin nhắn và dữ liệu.`,
+    alert: ({ noun }) => `THÔNG BÁO: Có thêm ${noun} mở cửa gần bạn.`,
+    alertFooter: () => 'Nhắn HỦY để ngừng nhận thông báo.',
+    throttled: () => 'Bạn đang gửi tin nhắn nhanh hơn mức tôi có thể trả lời. Vui lòng đợi một phút rồi thử lại.',
+    error: () => 'Xin lỗi, đã xảy ra lỗi. Vui lòng thử lại sau.'
+  }
+};
+
+// Helper functions
+const _labels = function (filters) {
+  return filters.length > 0 ? ` (${filters.join(', ')})` : '';
+};
+
+const _age = function (minutes) {
+  if (minutes < 1) { return 'vừa xong'; }
+  if (minutes < 60) { return `${Math.floor(minutes)} phút trước`; }
+  if (minutes < 48 * 60) { return `${Math.floor(minutes / 60)} giờ trước`; }
+  return `${Math.floor(minutes / (24 * 60))} ngày trước`;
+};
@@ -0,0 +1,137 @@
+import zipcodes from 'zipcodes';
+
+/**
+ * Class to extract places named by city and state (e.g., "Lake Charles LA"
+ * or a street address ending in one) from message strings, resolved offline
+ * against the zipcodes dataset. Street addresses resolve to their city.
+ * State abbreviations are only matched written in capitals or after a comma
+ * ("lake charles, la"), as many are also words ("in", "or", "me", "ok").
+ */
+export default class LocationExtractor {
+  /**
+   * Constructor
+   * @param {number} maxLocations - (optional) the most locations to extract from one message, the first found
+   *   (default: Infinity, for no limit)
+   * @returns {LocationExtractor} - the created LocationExtractor instance
+   */
+  constructor (maxLocations = Infinity) {
+    this.maxLocations = maxLocations;
+  }
+
+  /**
+   * Extracts the locations named by city and state in the message string
+   * @param {string} message - the message string to extract from
+   * @returns {Array<Object>} - the resulting array of locations, at most maxLocations, each with a label, latitude,
+   *   longitude and the zip code nearest its center
+   */
+  extractMessageLocations (message) {
+    if (!message) { return []; }
+    const words = [], afterComma = [];
+    let comma = false;
+    message.split(/([^A-Za-z0-9'.\-À-ɏ]+)/).forEach((token, i) => {
+      // Odd tokens are the separators between words
+      if (i % 2 === 1) {
+        comma = comma || token.includes(',');
+        return;
+      }
+      const word = token.replace(/\.+$/, '');
+      if (word.length === 0) { return; }
+      words.push(word);
+      afterComma.push(comma);
+      comma = false;
+    });
+    const locations = [];
+    let idx = 0;
+    while (idx < words.length && locations.length < this.maxLocations) {
+      const state = this.matchState(words, idx, afterComma[idx]);
+      if (state) {
+        const location = this.matchCity(words.slice(Math.max(0, idx - LocationExtractor.MAX_CITY_WORDS), idx), state.state);
+        if (location && !locations.some((l) => l.label === location.label)) {
+          locations.push(location);
+        }
+        idx += state.length;
+      } else {
+        idx += 1;
+      }
+    }
+    return locations;
+  }
+
+  /**
+   * Match a state abbreviation or full state name starting at a word. Abbreviations only match written in capitals
+   * or after a comma, so that words such as "in" or "me" aren't taken for states.
+   * @param {Array<string>} words - the words of the message
+   * @param {number} idx - the index of the word to match from
+   * @param {boolean} afterComma - (optional) whether a comma comes before the word (default: false)
+   * @returns {Object|null} - the state abbreviation and the number of words it spans, or null if none matched
+   */
+  matchState (words, idx, afterComma = false) {
+    for (let length = LocationExtractor.MAX_STATE_WORDS; length > 0; length--) {
+      if (idx + length > words.length) { continue; }
+      const candidate = words.slice(idx, idx + length).join(' ').toUpperCase();
+      if (length === 1 && zipcodes.states.abbr.hasOwnProperty(candidate) && (afterComma || words[idx] === candidate)) {
+        return { state: candidate, length };
+      }
+      if (zipcodes.states.full.hasOwnProperty(candidate)) {
+        return { state: zipcodes.states.full[candidate], length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Match the longest run of words ending just before the state against the cities in that state
+   * @param {Array<string>} words - the words preceding the state
+   * @param {string} state - the state abbreviation
+   * @returns {Object|null} - the location, or null if no city matched
+   */
+  matchCity (words, state) {
+    for (let start = 0; start < words.length; start++) {
+      const candidate = words.slice(start);
+      if (candidate.some((w) => /[0-9]/.test(w))) { continue; }
+      const expanded = candidate.map((w) => LocationExtractor.CITY_ABBREVIATIONS[w.toUpperCase()] || w);
+      for (let city of [candidate.join(' '), expanded.join(' ')]) {
+        const zips = zipcodes.lookupByName(city, state);
+        if (zips.length > 0) { return this.buildLocation(zips); }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build a location centered among the zip codes of a city
+   * @param {Array<Object>} zips - the zipcodes.ZipCode records for the city
+   * @returns {Object} - the location
+   */
+  buildLocation (zips) {
+    const latitude = zips.reduce((sum, z) => sum + z.latitude, 0) / zips.length;
+    const longitude = zips.reduce((sum, z) => sum + z.longitude, 0) / zips.length;
+    const squaredDistance = (z) => Math.pow(z.latitude - latitude, 2) + Math.pow(z.longitude - longitude, 2);
+    const nearest = zips.reduce((a, b) => (squaredDistance(b) < squaredDistance(a) ? b : a));
+    return {
+      label: `${nearest.city}, ${nearest.state}`,
+      latitude,
+      longitude,
+      zip: nearest.zip
+    };
+  }
+}
+
+/**
+ * Longest run of words tried as a city name, e.g. "Lake Havasu City".
+ */
+LocationExtractor.MAX_CITY_WORDS = 4;
+
+/**
+ * Longest full state name in words, e.g. "Newfoundland and Labrador".
+ */
+LocationExtractor.MAX_STATE_WORDS = 3;
+
+/**
+ * Common abbreviations in city names, expanded when the city isn't found as written.
+ */
+LocationExtractor.CITY_ABBREVIATIONS = {
+  ST: 'Saint',
+  FT: 'Fort',
+  MT: 'Mount'
+};
@@ -0,0 +1,126 @@
+/**
+ * Class that writes structured log entries, one JSON object per line,
+ * with a time, a level, a message and any fields. Child loggers add
+ * fields to every entry they write, e.g. a correlation ID tying together
+ * the entries for one request or data update, and share their parent's
+ * level and output.
+ */
+export default class Logger {
+  /**
+   * Class constructor
+   * @param {Object} fields - (optional) fields to add to every entry (default: {})
+   * @param {string} level - (optional) the lowest of the Logger.LEVELS to write (default: Logger.DEFAULT_LEVEL)
+   * @param {Function} write - (optional) the function writing each line (default: writing to standard output)
+   * @returns {Logger} - the created Logger instance
+   */
+  constructor (fields = {}, level = Logger.DEFAULT_LEVEL, write = _writeLine) {
+    this.fields = fields;
+    this.output = { level: _checkLevel(level), write };
+  }
+
+  /**
+   * Create a logger adding more fields to every entry, sharing this one's level and output
+   * @param {Object} fields - the fields to add
+   * @returns {Logger} - the child logger
+   */
+  child (fields) {
+    const child = new Logger({ ...this.fields, ...fields });
+    child.output = this.output;
+    return child;
+  }
+
+  /**
+   * Set the lowest level written, by this logger and the others sharing its output
+   * @param {string} level - one of the Logger.LEVELS
+   * @returns {void}
+   */
+  setLevel (level) {
+    this.output.level = _checkLevel(level);
+  }
+
+  /**
+   * Write an entry, if its level is written
+   * @param {string} level - one of the Logger.LEVELS
+   * @param {string} message - what happened
+   * @param {Object} fields - (optional) fields to add to the entry; Errors are written with their message and stack
+   *   (default: {})
+   * @returns {void}
+   */
+  log (level, message, fields = {}) {
+    if (Logger.LEVELS[level] < Logger.LEVELS[this.output.level]) { return; }
+    const entry = { time: new Date().toISOString(), level, message, ...this.fields };
+    for (let key in fields) {
+      entry[key] = fields[key] instanceof Error ? { message: fields[key].message, stack: fields[key].stack } : fields[key];
+    }
+    this.output.write(JSON.stringify(entry));
+  }
+
+  /**
+   * Write a debug entry
+   * @param {string} message - what happened
+   * @param {Object} fields - (optional) fields to add to the entry (default: {})
+   * @returns {void}
+   */
+  debug (message, fields = {}) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Write an info entry
+   * @param {string} message - what happened
+   * @param {Object} fields - (optional) fields to add to the entry (default: {})
+   * @returns {void}
+   */
+  info (message, fields = {}) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * Write a warn entry
+   * @param {string} message - what happened
+   * @param {Object} fields - (optional) fields to add to the entry (default: {})
+   * @returns {void}
+   */
+  warn (message, fields = {}) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * Write an error entry
+   * @param {string} message - what happened
+   * @param {Object} fields - (optional) fields to add to the entry (default: {})
+   * @returns {void}
+   */
+  error (message, fields = {}) {
+    this.log('error', message, fields);
+  }
+}
+
+/**
+ * Log levels, by increasing severity.
+ */
+Logger.LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Default lowest level written.
+ */
+Logger.DEFAULT_LEVEL = 'info';
+
+// Helper functions
+export const _checkLevel = function (level) {
+  if (!Logger.LEVELS.hasOwnProperty(level)) {
+    throw new Error(`Unknown log level: ${level} (expected one of ${Object.keys(Logger.LEVELS).join(', ')})`);
+  }
+  return level;
+};
+
+export const _writeLine = function (line) {
+  process.stdout.write(`${line}\n`);
+};
+
+/**
+ * The process's logger, which the other classes log through unless given
+ * another; the server sets its level from LOG_LEVEL. (Created after the
+ * helper functions it uses.)
+ */
+Logger.root = new Logger();
@@ -0,0 +1,74 @@
+/**
+ * Class that builds map links from shelters' coordinates: a navigation
+ * link for each shelter (a geo: URI, or a URL from a template), and the
+ * URL of a static map image showing several shelters, for MMS replies.
+ * Templates fill {property} placeholders with the URL-encoded shelter
+ * record properties, e.g. {latitude}, {longitude} or {shelter}.
+ */
+export default class MapLinker {
+  /**
+   * Class constructor
+   * @param {string} linkTemplate - (optional) 'geo' for geo: URIs, or the URL template for each shelter's link
+   *   (default: null, for no links)
+   * @param {string} imageTemplate - (optional) the URL template for static map images, with {latitude} and
+   *   {longitude} placeholders for their center and {markers} for the shelters' "latitude,longitude" pairs
+   *   separated by "|" (default: null, for no images)
+   * @returns {MapLinker} - the created MapLinker instance
+   */
+  constructor (linkTemplate = null, imageTemplate = null) {
+    this.linkTemplate = linkTemplate === 'geo' ? MapLinker.GEO_URI : linkTemplate;
+    this.imageTemplate = imageTemplate;
+  }
+
+  /**
+   * Build the navigation link for a shelter
+   * @param {Object} shelterRecord - the shelter record
+   * @returns {string|null} - the link, or null if there is no link template or the shelter has no coordinates
+   */
+  link (shelterRecord) {
+    const coordinates = _coordinates(shelterRecord);
+    if (!this.linkTemplate || !coordinates) { return null; }
+    return _fillTemplate(this.linkTemplate, { ...shelterRecord, ...coordinates });
+  }
+
+  /**
+   * Build the URL of a static map image marking the shelters
+   * @param {Array<Object>} shelterRecords - the shelter records
+   * @returns {string|null} - the image URL, or null if there is no image template or none of the shelters have
+   *   coordinates
+   */
+  imageUrl (shelterRecords) {
+    const points = shelterRecords.map(_coordinates).filter((point) => point !== null);
+    if (!this.imageTemplate || points.length == 0) { return null; }
+    const mean = (key) => points.reduce((sum, point) => sum + point[key], 0) / points.length;
+    return _fillTemplate(this.imageTemplate, {
+      latitude: _round(mean('latitude')),
+      longitude: _round(mean('longitude')),
+      markers: points.map((point) => `${point.latitude},${point.longitude}`).join('|')
+    });
+  }
+}
+
+/**
+ * Link template for geo: URIs (RFC 5870), which phones open in their maps
+ * app.
+ */
+MapLinker.GEO_URI = 'geo:{latitude},{longitude}';
+
+// Helper functions
+export const _coordinates = function (shelterRecord) {
+  const latitude = parseFloat(shelterRecord.latitude), longitude = parseFloat(shelterRecord.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) { return null; }
+  return { latitude, longitude };
+};
+
+export const _fillTemplate = function (template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    const value = values[key];
+    return value === undefined || value === null ? '' : encodeURIComponent(value);
+  });
+};
+
+export const _round = function (degrees) {
+  return Math.round(degrees * 1e6) / 1e6;
+};
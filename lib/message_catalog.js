@@ -0,0 +1,143 @@
+import KeywordExtractor from './keyword_extractor';
+import en from './locales/en';
+import es from './locales/es';
+import vi from './locales/vi';
+
+/**
+ * Class that renders reply templates from locale bundles, and detects
+ * which locale an inbound message asks for
+ */
+export default class MessageCatalog {
+  /**
+   * Class constructor
+   * @param {Object<string,Object>} bundles - (optional) the locale bundles keyed by locale (default: MessageCatalog.BUNDLES)
+   * @param {string} defaultLocale - (optional) the locale to use when none is known or one is missing a template (default: 'en')
+   * @returns {MessageCatalog} - the created MessageCatalog instance
+   */
+  constructor (bundles = MessageCatalog.BUNDLES, defaultLocale = 'en') {
+    if (!bundles.hasOwnProperty(defaultLocale)) {
+      throw new Error(`No bundle for default locale: ${defaultLocale}`);
+    }
+    this.bundles = bundles;
+    this.defaultLocale = defaultLocale;
+    const keywords = {};
+    for (let locale in bundles) {
+      keywords[locale] = bundles[locale].keywords;
+    }
+    this.localeExtractor = new KeywordExtractor(keywords);
+  }
+
+  /**
+   * Get the bundle for a locale, falling back to the default locale's
+   * @param {string} locale - the locale
+   * @returns {Object} - the locale bundle
+   */
+  bundle (locale) {
+    return this.bundles[locale] || this.bundles[this.defaultLocale];
+  }
+
+  /**
+   * Render a reply template
+   * @param {string} locale - the locale to render in
+   * @param {string} key - the template key
+   * @param {Object} params - (optional) the values to fill into the template (default: {})
+   * @returns {string} - the rendered text
+   */
+  translate (locale, key, params = {}) {
+    let template = this.bundle(locale).messages[key];
+    if (!template) {
+      template = this.bundles[this.defaultLocale].messages[key];
+    }
+    if (!template) {
+      throw new Error(`Unknown message key: ${key}`);
+    }
+    return template(params);
+  }
+
+  /**
+   * Get the labels for filters, e.g. "pet-friendly"
+   * @param {string} locale - the locale
+   * @param {Array<string>} filters - the SheltersFinder.FILTERS keys
+   * @returns {Array<string>} - the labels
+   */
+  filterLabels (locale, filters) {
+    const labels = this.bundle(locale).filterLabels;
+    return filters.map((f) => labels[f] || this.bundles[this.defaultLocale].filterLabels[f] || f);
+  }
+
+  /**
+   * Get the mark for an eligibility condition, e.g. "FULL"
+   * @param {string} locale - the locale
+   * @param {string} condition - the SheltersFinder.ELIGIBILITY key
+   * @returns {string} - the mark
+   */
+  mark (locale, condition) {
+    return this.bundle(locale).marks[condition] || this.bundles[this.defaultLocale].marks[condition];
+  }
+
+  /**
+   * Get the label for a field in a shelter's details, e.g. "Phone"
+   * @param {string} locale - the locale
+   * @param {string} field - the shelter record property name
+   * @returns {string} - the label
+   */
+  detailLabel (locale, field) {
+    return this.bundle(locale).detailLabels[field] || this.bundles[this.defaultLocale].detailLabels[field];
+  }
+
+  /**
+   * Get the noun for a kind of resource, e.g. "shelters", preferring the resource's own nouns to the bundles'
+   * @param {string} locale - the locale
+   * @param {Object} resource - the resource, with its name and (optional) nouns keyed by locale
+   * @returns {string} - the noun
+   */
+  resourceNoun (locale, resource) {
+    const nouns = resource.nouns || {};
+    const bundled = (l) => (this.bundle(l).resources || {})[resource.name];
+    return nouns[locale] || bundled(locale) || nouns[this.defaultLocale] || bundled(this.defaultLocale) || resource.name;
+  }
+
+  /**
+   * Get the keywords for a conversation command in every locale
+   * @param {string} command - the command, e.g. 'MORE'
+   * @returns {Array<string>} - the keywords
+   */
+  commandKeywords (command) {
+    let keywords = [];
+    for (let locale in this.bundles) {
+      keywords = keywords.concat(this.bundles[locale].commands[command] || []);
+    }
+    return keywords;
+  }
+
+  /**
+   * Add every locale's keywords for each filter to the base filter keywords
+   * @param {Object<string,Array<string>>} baseKeywords - the filter keywords, e.g. from SheltersFinder.filterKeywords()
+   * @returns {Object<string,Array<string>>} - the combined keywords, keyed by filter
+   */
+  filterKeywords (baseKeywords) {
+    const keywords = {};
+    for (let filter in baseKeywords) {
+      keywords[filter] = Array.from(baseKeywords[filter]);
+      for (let locale in this.bundles) {
+        keywords[filter] = keywords[filter].concat(this.bundles[locale].filterKeywords[filter] || []);
+      }
+    }
+    return keywords;
+  }
+
+  /**
+   * Detect a locale asked for by keyword in the message (e.g. "ESPAÑOL" or "AYUDA")
+   * @param {string} message - the message string
+   * @returns {string|null} - the locale, or null if the message doesn't ask for one
+   */
+  detectLocale (message) {
+    const locales = this.localeExtractor.extractMessageKeywords(message);
+    return locales.length > 0 ? locales[0] : null;
+  }
+}
+
+/**
+ * The bundled locales: English, Spanish and Vietnamese.
+ */
+MessageCatalog.BUNDLES = { en, es, vi };
@@ -0,0 +1,337 @@
+import ZipcodeExtractor from './zipcode_extractor';
+import LocationExtractor from './location_extractor';
+import KeywordExtractor from './keyword_extractor';
+import SheltersFinder from './shelters_finder';
+import SessionStore from './session_store';
+import MessageCatalog from './message_catalog';
+import Logger from './logger';
+
+/**
+ * Class that turns an inbound text message into the reply messages,
+ * remembering each sender's last lookup so they can follow up with
+ * MORE or DETAILS <n> without sending their ZIP code again, and the
+ * language they asked to be answered in. Messages naming a kind of
+ * resource by keyword (e.g. "FOOD 70118") are looked up with that
+ * resource's finder. Given a SubscriptionStore, senders can also
+ * SUBSCRIBE <zip> to be alerted when shelters open near it. The carrier
+ * keywords STOP and START are answered before anything else; given a
+ * RateLimiter, senders texting faster than it allows are then throttled.
+ */
+export default class MessageHandler {
+  /**
+   * Class constructor
+   * @param {SheltersFinder|Object<string,SheltersFinder>} finders - the finder used for lookups, or the finders for
+   *   each kind of resource keyed by resource name, the first being used when a message names none
+   * @param {SessionStore} sessionStore - (optional) the store for conversation sessions (default: an in-memory SessionStore)
+   * @param {MessageCatalog} messageCatalog - (optional) the catalog of reply templates (default: a MessageCatalog of the bundled locales)
+   * @param {SubscriptionStore} subscriptionStore - (optional) the store for alert subscriptions, or null to not offer
+   *   alerts (default: null)
+   * @param {Logger} logger - (optional) the logger to log failures with (default: Logger.root)
+   * @param {RateLimiter} rateLimiter - (optional) the limiter of how often each sender is answered, or null for no
+   *   limit (default: null)
+   * @param {number} maxLocations - (optional) the most ZIP codes (or, failing those, cities) one message can look up
+   *   or subscribe to (default: MessageHandler.DEFAULT_MAX_LOCATIONS)
+   * @returns {MessageHandler} - the created MessageHandler instance
+   */
+  constructor (finders, sessionStore = new SessionStore(), messageCatalog = new MessageCatalog(), subscriptionStore = null,
+    logger = Logger.root, rateLimiter = null, maxLocations = MessageHandler.DEFAULT_MAX_LOCATIONS) {
+    this.finders = finders instanceof SheltersFinder ? { [finders.resource.name]: finders } : finders;
+    this.defaultResource = Object.keys(this.finders)[0];
+    this.sessionStore = sessionStore;
+    this.messageCatalog = messageCatalog;
+    this.subscriptionStore = subscriptionStore;
+    this.logger = logger;
+    this.rateLimiter = rateLimiter;
+    this.zipcodeExtractor = new ZipcodeExtractor(maxLocations);
+    this.locationExtractor = new LocationExtractor(maxLocations);
+    this.keywordExtractor = new KeywordExtractor(messageCatalog.filterKeywords(SheltersFinder.filterKeywords()));
+    const resourceKeywords = {};
+    for (let name in this.finders) {
+      if (this.finders[name].resource.keywords.length > 0) {
+        resourceKeywords[name] = this.finders[name].resource.keywords;
+      }
+    }
+    this.resourceExtractor = new KeywordExtractor(resourceKeywords);
+    this.moreRegex = _commandRegex(messageCatalog.commandKeywords('MORE'), '');
+    this.detailsRegex = _commandRegex(messageCatalog.commandKeywords('DETAILS'), '\\s*#?\\s*(\\d{1,3})');
+    this.subscribeRegex = _commandRegex(messageCatalog.commandKeywords('SUBSCRIBE'), '(?:\\s+([\\s\\S]*?))?');
+    this.stopRegex = _commandRegex(messageCatalog.commandKeywords('STOP'), '');
+    this.startRegex = _commandRegex(messageCatalog.commandKeywords('START'), '');
+    this.helpRegex = _commandRegex(messageCatalog.commandKeywords('HELP'), '');
+  }
+
+  /**
+   * Handle an inbound message from a sender
+   * @param {string} from - the sender's phone number (may be undefined, in which case nothing is remembered)
+   * @param {string} body - the text of the message
+   * @returns {Promise<Array<string>>} - the reply messages
+   */
+  handleMessage (from, body) {
+    return this.handleReply(from, body).then((reply) => reply.messages);
+  }
+
+  /**
+   * Handle an inbound message from a sender, for channels that show more of the reply than its text
+   * @param {string} from - the sender's phone number or other address (may be undefined, in which case nothing is
+   *   remembered)
+   * @param {string} body - the text of the message
+   * @param {Logger} log - (optional) the logger for the message, e.g. a child logger for the request
+   *   (default: this.logger)
+   * @param {string} rateKey - (optional) the key the rate limiter counts the message under, e.g. the client's
+   *   address for channels whose senders name themselves (default: from)
+   * @returns {Promise<Object>} - the reply: its messages, the shelter records listed in them (empty if none are), the
+   *   ZIP codes or locations looked up (empty if none were), the locale it is in and the action taken, one of
+   *   MessageHandler.ACTIONS
+   */
+  handleReply (from, body, log = this.logger, rateKey = from) {
+    const detected = this.messageCatalog.detectLocale(body);
+    let locale = detected || this.messageCatalog.defaultLocale;
+    let action = 'lookup';
+    return this.sessionStore.get(from)
+      .then((session = {}) => {
+        locale = detected || session.locale || locale;
+        if (this.stopRegex.test(body)) {
+          action = 'stop';
+          return this.handleStop(from, locale);
+        }
+        if (this.startRegex.test(body)) {
+          action = 'start';
+          return this.handleStart(from, locale);
+        }
+        const limit = this.rateLimiter ? this.rateLimiter.take(rateKey) : 'allowed';
+        if (limit !== 'allowed') {
+          action = 'throttled';
+          // Answer the first message refused in a row, and drop the rest unanswered
+          if (limit === 'dropped') {
+            log.debug('Dropped message from throttled sender');
+            return [];
+          }
+          log.warn('Throttled sender');
+          return [this.messageCatalog.translate(locale, 'throttled')];
+        }
+        if (this.helpRegex.test(body)) {
+          action = 'help';
+          return this.handleHelp(from, session, locale, detected !== null);
+        }
+        const subscribe = this.subscriptionStore ? this.subscribeRegex.exec(body) : null;
+        if (subscribe) {
+          action = 'subscribe';
+          return this.handleSubscribe(from, subscribe[1] || '', locale);
+        }
+        if (this.moreRegex.test(body)) {
+          action = 'more';
+          return this.handleMore(from, session, locale, log);
+        }
+        const details = this.detailsRegex.exec(body);
+        if (details) {
+          action = 'details';
+          return this.handleDetails(session, parseInt(details[1], 10), locale);
+        }
+        return this.handleLookup(from, body, session, locale, detected !== null, log);
+      })
+      .then((reply) => (Array.isArray(reply) ? { messages: reply } : reply))
+      .catch((e) => {
+        log.error('Failed to handle message', { action, error: e });
+        action = 'error';
+        return { messages: [this.messageCatalog.translate(locale, 'error')] };
+      })
+      .then((reply) => ({ shelters: [], zips: [], ...reply, locale, action }));
+  }
+
+  /**
+   * Get the finder for a kind of resource, falling back to the default resource's
+   * @param {string} name - (optional) the resource name
+   * @returns {SheltersFinder} - the finder
+   */
+  finder (name) {
+    return this.finders[name] || this.finders[this.defaultResource];
+  }
+
+  /**
+   * Look up shelters (or the resource named in the message) for the ZIP codes (or, failing those, the cities) and
+   * keywords in a message, starting a new session
+   * @param {string} from - the sender's phone number
+   * @param {string} body - the text of the message
+   * @param {Object} session - the sender's session, empty if there is none
+   * @param {string} locale - the MessageCatalog locale to reply in
+   * @param {boolean} localeRequested - whether the message asked for the locale
+   * @param {Logger} log - (optional) the logger for the message (default: this.logger)
+   * @returns {Promise<Array<string>|Object>} - the reply messages, or the messages, the shelters listed in them and
+   *   the ZIP codes or locations looked up
+   */
+  handleLookup (from, body, session, locale, localeRequested, log = this.logger) {
+    let zips = this.zipcodeExtractor.extractMessageZipCodes(body);
+    if (zips.length == 0) {
+      zips = this.locationExtractor.extractMessageLocations(body);
+    }
+    const resource = this.resourceExtractor.extractMessageKeywords(body)[0] || this.defaultResource;
+    const finder = this.finder(resource);
+    if (zips.length == 0) {
+      if (localeRequested) {
+        return this.sessionStore.set(from, { ...session, locale })
+          .then(() => [this.messageCatalog.translate(locale, 'languageSet', { noun: finder.resourceNoun(locale) })]);
+      }
+      return Promise.resolve([this.messageCatalog.translate(locale, 'noLocation')]);
+    }
+    const filters = this.keywordExtractor.extractMessageKeywords(body);
+    const result = finder.lookupShelters(zips, filters, 0, locale, log);
+    return this.sessionStore.set(from, { ...session, locale, resource, zips, filters, page: 0, shelters: result.shelters })
+      .then(() => ({ messages: this.addFollowUpHint(result, locale, finder), shelters: result.shelters, zips }));
+  }
+
+  /**
+   * Send the next page of shelters for the sender's last lookup
+   * @param {string} from - the sender's phone number
+   * @param {Object} session - the sender's session, empty if there is none
+   * @param {string} locale - the MessageCatalog locale to reply in
+   * @param {Logger} log - (optional) the logger for the message (default: this.logger)
+   * @returns {Promise<Array<string>|Object>} - the reply messages, or the messages, the shelters listed in them and
+   *   the ZIP codes or locations looked up
+   */
+  handleMore (from, session, locale, log = this.logger) {
+    const finder = this.finder(session.resource);
+    if (!session.zips) {
+      return Promise.resolve([this.messageCatalog.translate(locale, 'moreWithoutLookup', { noun: finder.resourceNoun(locale) })]);
+    }
+    const page = session.page + 1;
+    const result = finder.lookupShelters(session.zips, session.filters, page, locale, log);
+    if (result.shelters.length == 0) {
+      return Promise.resolve({ messages: result.messages, zips: session.zips });
+    }
+    return this.sessionStore.set(from, { ...session, page, shelters: result.shelters })
+      .then(() => ({ messages: this.addFollowUpHint(result, locale, finder), shelters: result.shelters, zips: session.zips }));
+  }
+
+  /**
+   * Send the details of one of the shelters in the sender's last reply
+   * @param {Object} session - the sender's session, empty if there is none
+   * @param {number} number - the position of the shelter in the last reply, starting from 1
+   * @param {string} locale - the MessageCatalog locale to reply in
+   * @returns {Promise<Array<string>|Object>} - the reply messages, or the message and the shelter it details
+   */
+  handleDetails (session, number, locale) {
+    const finder = this.finder(session.resource);
+    if (!session.shelters || session.shelters.length == 0) {
+      return Promise.resolve([this.messageCatalog.translate(locale, 'detailsWithoutLookup')]);
+    }
+    const shelter = session.shelters[number - 1];
+    if (!shelter) {
+      return Promise.resolve([this.messageCatalog.translate(locale, 'detailsOutOfRange', {
+        noun: finder.resourceNoun(locale), count: session.shelters.length
+      })]);
+    }
+    return Promise.resolve({ messages: [finder.buildDetailsMessage(shelter, locale)], shelters: [shelter] });
+  }
+
+  /**
+   * Subscribe the sender to alerts when shelters (or the resource named in the message) open near the ZIP codes (or,
+   * failing those, the cities) in a SUBSCRIBE message, replacing any subscription they had
+   * @param {string} from - the sender's phone number
+   * @param {string} text - the text of the message after the SUBSCRIBE keyword
+   * @param {string} locale - the MessageCatalog locale to reply and alert in
+   * @returns {Promise<Array<string>>} - the reply messages
+   */
+  handleSubscribe (from, text, locale) {
+    let zips = this.zipcodeExtractor.extractMessageZipCodes(text);
+    if (zips.length == 0) {
+      zips = this.locationExtractor.extractMessageLocations(text);
+    }
+    const resource = this.resourceExtractor.extractMessageKeywords(text)[0] || this.defaultResource;
+    const noun = this.finder(resource).resourceNoun(locale);
+    if (zips.length == 0) {
+      return Promise.resolve([this.messageCatalog.translate(locale, 'subscribeWithoutLocation', { noun })]);
+    }
+    return this.subscriptionStore.subscribe(from, { zips, resource, locale })
+      .then(() => [this.messageCatalog.translate(locale, 'subscribed', { noun, places: zips.map(_placeLabel) })]);
+  }
+
+  /**
+   * Opt the sender out of alerts, acknowledging the opt-out whether or not they were subscribed
+   * @param {string} from - the sender's phone number
+   * @param {string} locale - the MessageCatalog locale to reply in
+   * @returns {Promise<Array<string>>} - the reply messages
+   */
+  handleStop (from, locale) {
+    const optedOut = this.subscriptionStore ? this.subscriptionStore.optOut(from) : Promise.resolve();
+    return optedOut.then(() => [this.messageCatalog.translate(locale, 'unsubscribed')]);
+  }
+
+  /**
+   * Opt the sender back in, restoring the alerts they were subscribed to when they opted out
+   * @param {string} from - the sender's phone number
+   * @param {string} locale - the MessageCatalog locale to reply in
+   * @returns {Promise<Array<string>>} - the reply messages
+   */
+  handleStart (from, locale) {
+    const optedIn = this.subscriptionStore ? this.subscriptionStore.optIn(from) : Promise.resolve();
+    return optedIn.then((subscription) => {
+      if (subscription && subscription.zips && subscription.zips.length > 0) {
+        return [this.messageCatalog.translate(locale, 'resubscribed', {
+          noun: this.finder(subscription.resource).resourceNoun(locale),
+          places: subscription.zips.map(_placeLabel)
+        })];
+      }
+      return [this.messageCatalog.translate(locale, 'started', { noun: this.finder().resourceNoun(locale) })];
+    });
+  }
+
+  /**
+   * Describe how to use the bot and where its data comes from
+   * @param {string} from - the sender's phone number
+   * @param {Object} session - the sender's session, empty if there is none
+   * @param {string} locale - the MessageCatalog locale to reply in
+   * @param {boolean} localeRequested - whether the message asked for the locale (e.g. "AYUDA"), to remember it
+   * @returns {Promise<Array<string>>} - the reply messages
+   */
+  handleHelp (from, session, locale, localeRequested) {
+    const sources = [];
+    for (let name in this.finders) {
+      const { source } = this.finders[name].resource;
+      if (source && sources.indexOf(source) < 0) { sources.push(source); }
+    }
+    const help = this.messageCatalog.translate(locale, 'help', {
+      noun: this.finder().resourceNoun(locale),
+      sources,
+      alerts: this.subscriptionStore !== null
+    });
+    if (!localeRequested) { return Promise.resolve([help]); }
+    return this.sessionStore.set(from, { ...session, locale }).then(() => [help]);
+  }
+
+  /**
+   * Tell the sender how to follow up on a reply that listed shelters
+   * @param {Object} result - the messages and shelters from SheltersFinder#lookupShelters
+   * @param {string} locale - the MessageCatalog locale to reply in
+   * @param {SheltersFinder} finder - (optional) the finder the result came from (default: the default resource's)
+   * @returns {Array<string>} - the reply messages, repacked with the hint ending the last one
+   */
+  addFollowUpHint (result, locale, finder = this.finder()) {
+    if (result.shelters.length == 0) { return Array.from(result.messages); }
+    const params = { noun: finder.resourceNoun(locale), count: result.shelters.length };
+    const groups = result.groups.map((entries) => Array.from(entries));
+    groups[groups.length - 1].push(`\n\n${this.messageCatalog.translate(locale, 'followUpHint', params)}`);
+    return finder.packMessages(groups);
+  }
+}
+
+/**
+ * The actions a reply can be the result of, as reported by
+ * MessageHandler#handleReply, e.g. for the audit log.
+ */
+MessageHandler.ACTIONS = ['lookup', 'more', 'details', 'subscribe', 'stop', 'start', 'help', 'throttled', 'error'];
+
+/**
+ * Default most ZIP codes (or cities) one message can look up, so a
+ * message listing many can't set off a radius search for each.
+ */
+MessageHandler.DEFAULT_MAX_LOCATIONS = 3;
+
+// Helper functions
+export const _commandRegex = function (keywords, suffix) {
+  const aliases = keywords.map((k) => k.split(/\s+/).join('\\s+'));
+  return RegExp(`^\\s*(?:${aliases.join('|')})${suffix}\\s*[.!]?\\s*$`, 'i');
+};
+
+export const _placeLabel = function (zip) {
+  return typeof zip === 'object' ? zip.label : zip;
+};
@@ -0,0 +1,152 @@
+import Logger from './logger';
+
+/**
+ * Class that packs text into SMS messages by the segments they are billed
+ * as. A message is sent in the GSM-7 alphabet unless it has a character
+ * outside it, when the whole message switches to UCS-2 and fits less than
+ * half as much per segment. Characters outside GSM-7 can optionally be
+ * transliterated (e.g. "ó" to "o") to keep messages in GSM-7.
+ */
+export default class MessagePacker {
+  /**
+   * Class constructor
+   * @param {number} maxSegments - (optional) the most segments each packed message may take
+   *   (default: MessagePacker.DEFAULT_MAX_SEGMENTS)
+   * @param {boolean} transliterate - (optional) whether to replace characters outside GSM-7 with GSM-7 lookalikes
+   *   (default: false)
+   * @param {string} reserve - (optional) text to leave room for at the start of each message, e.g. for numbering
+   *   (default: MessagePacker.DEFAULT_RESERVE)
+   * @param {Logger} logger - (optional) the logger to log entries over the budget with (default: Logger.root)
+   * @returns {MessagePacker} - the created MessagePacker instance
+   */
+  constructor (maxSegments = MessagePacker.DEFAULT_MAX_SEGMENTS, transliterate = false,
+    reserve = MessagePacker.DEFAULT_RESERVE, logger = Logger.root) {
+    if (!(maxSegments >= 1)) {
+      throw new Error(`Invalid segment budget: ${maxSegments}`);
+    }
+    this.maxSegments = Math.floor(maxSegments);
+    this.transliterate = transliterate;
+    this.reserve = reserve;
+    this.logger = logger;
+  }
+
+  /**
+   * Prepare text to be sent, transliterating it if configured to
+   * @param {string} text - the text
+   * @returns {string} - the text as it will be sent
+   */
+  prepare (text) {
+    return this.transliterate ? _transliterate(text) : text;
+  }
+
+  /**
+   * Find the encoding a message will be sent in
+   * @param {string} text - the text of the message
+   * @returns {string} - 'GSM-7' if every character is in the GSM-7 alphabet, otherwise 'UCS-2'
+   */
+  encoding (text) {
+    return Array.from(text).every((c) => _isGsm(c)) ? 'GSM-7' : 'UCS-2';
+  }
+
+  /**
+   * Count the segments a message will be billed as
+   * @param {string} text - the text of the message
+   * @returns {number} - the number of segments, 0 for an empty message
+   */
+  segmentCount (text) {
+    if (text.length === 0) { return 0; }
+    if (this.encoding(text) === 'GSM-7') {
+      const septets = Array.from(text).reduce((n, c) => n + (MessagePacker.GSM_EXTENSION.includes(c) ? 2 : 1), 0);
+      return septets <= 160 ? 1 : Math.ceil(septets / 153);
+    }
+    // UCS-2 counts UTF-16 code units, so characters outside the BMP (e.g. emoji) take two
+    return text.length <= 70 ? 1 : Math.ceil(text.length / 67);
+  }
+
+  /**
+   * Check whether a message, with room for the reserve, fits the segment budget
+   * @param {string} text - the text of the message
+   * @returns {boolean} - whether it fits
+   */
+  fits (text) {
+    return this.segmentCount(this.reserve + text) <= this.maxSegments;
+  }
+
+  /**
+   * Pack entries into as few messages as fit the segment budget, in order. An entry is never split across
+   * messages: one too long to fit is sent in a message of its own, over the budget. Whitespace leading an entry
+   * that starts a message is dropped.
+   * @param {Array<string>} entries - the entries, e.g. a header and then each shelter
+   * @returns {Array<string>} - the messages
+   */
+  pack (entries) {
+    const messages = [];
+    let message = '';
+    for (let entry of entries.map((e) => this.prepare(e))) {
+      if (message.length > 0 && !this.fits(message + entry)) {
+        messages.push(message);
+        message = '';
+      }
+      if (message.length === 0) {
+        entry = entry.replace(/^\s+/, '');
+        if (!this.fits(entry)) {
+          this.logger.warn('Message entry exceeds the segment budget', {
+            segments: this.segmentCount(entry),
+            maxSegments: this.maxSegments,
+            start: entry.substring(0, 40)
+          });
+        }
+      }
+      message += entry;
+    }
+    if (message.length > 0) { messages.push(message); }
+    return messages;
+  }
+}
+
+/**
+ * Default most segments per packed message.
+ */
+MessagePacker.DEFAULT_MAX_SEGMENTS = 5;
+
+/**
+ * Default text to leave room for, fitting TwilioFormatter's numbering of
+ * up to 99 messages.
+ */
+MessagePacker.DEFAULT_RESERVE = '[10 of 10] ';
+
+/**
+ * Characters of the GSM-7 basic alphabet.
+ */
+MessagePacker.GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+/**
+ * Characters of the GSM-7 extension table, each sent as two septets.
+ */
+MessagePacker.GSM_EXTENSION = '\f^{}\\[~]|€';
+
+/**
+ * GSM-7 replacements for characters outside it that don't decompose into
+ * a GSM-7 letter and accents.
+ */
+MessagePacker.TRANSLITERATIONS = {
+  'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'ł': 'l', 'Ł': 'L', 'œ': 'oe', 'Œ': 'OE', 'þ': 'th', 'Þ': 'Th',
+  '‘': '\'', '’': '\'', '‚': '\'', '“': '"', '”': '"', '„': '"', '«': '"', '»': '"',
+  '–': '-', '—': '-', '‐': '-', '…': '...', '•': '*', '·': '.', '\u00a0': ' ', '\t': ' ', '°': 'o'
+};
+
+// Helper functions
+export const _isGsm = function (c) {
+  return MessagePacker.GSM_BASIC.includes(c) || MessagePacker.GSM_EXTENSION.includes(c);
+};
+
+export const _transliterate = function (text) {
+  return Array.from(text).map((c) => {
+    if (_isGsm(c)) { return c; }
+    if (MessagePacker.TRANSLITERATIONS.hasOwnProperty(c)) { return MessagePacker.TRANSLITERATIONS[c]; }
+    // Drop the accents from letters that decompose into a GSM-7 letter and accents (e.g. "ó" or "ư")
+    const base = c.normalize('NFD')[0];
+    return _isGsm(base) ? base : c;
+  }).join('');
+};
@@ -0,0 +1,191 @@
+/**
+ * Class that keeps counters, gauges and histograms and renders them in
+ * the Prometheus text exposition format, for the /metrics route. Each
+ * metric is defined once with its type and help text, then recorded by
+ * name with labels, e.g. { channel: 'sms' }. Gauges that are cheaper to
+ * read than to keep up to date (e.g. the age of a dataset) can be set by
+ * collectors run before each render.
+ */
+export default class Metrics {
+  /**
+   * Class constructor
+   * @returns {Metrics} - the created Metrics instance
+   */
+  constructor () {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Define a metric, unless it is already defined the same way
+   * @param {string} name - the metric name, e.g. 'smsbot_messages_total'
+   * @param {string} type - one of Metrics.TYPES
+   * @param {string} help - what the metric measures
+   * @param {Array<number>} buckets - (optional) for histograms, the upper bounds of the buckets, in increasing order
+   *   (default: Metrics.DEFAULT_BUCKETS)
+   * @returns {void}
+   * @throws {Error} - if the type is unknown, or the metric is already defined with another type
+   */
+  define (name, type, help, buckets = Metrics.DEFAULT_BUCKETS) {
+    if (!Metrics.TYPES.includes(type)) {
+      throw new Error(`Unknown metric type: ${type} (expected one of ${Metrics.TYPES.join(', ')})`);
+    }
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${name} is already defined as a ${existing.type}`);
+      }
+      return;
+    }
+    this.metrics.set(name, { name, type, help, buckets, series: new Map() });
+  }
+
+  /**
+   * Add to a counter (or gauge)
+   * @param {string} name - the metric name
+   * @param {Object<string,string>} labels - (optional) the series labels (default: {})
+   * @param {number} value - (optional) the amount to add (default: 1)
+   * @returns {void}
+   */
+  increment (name, labels = {}, value = 1) {
+    this.series(name, ['counter', 'gauge'], labels).value += value;
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - the metric name
+   * @param {number} value - the value
+   * @param {Object<string,string>} labels - (optional) the series labels (default: {})
+   * @returns {void}
+   */
+  set (name, value, labels = {}) {
+    this.series(name, ['gauge'], labels).value = value;
+  }
+
+  /**
+   * Record an observation in a histogram
+   * @param {string} name - the metric name
+   * @param {number} value - the observed value, e.g. a duration in seconds
+   * @param {Object<string,string>} labels - (optional) the series labels (default: {})
+   * @returns {void}
+   */
+  observe (name, value, labels = {}) {
+    const series = this.series(name, ['histogram'], labels);
+    const { buckets } = this.metrics.get(name);
+    buckets.forEach((bound, idx) => {
+      if (value <= bound) { series.counts[idx] += 1; }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Start timing something, to record its duration in seconds in a histogram
+   * @param {string} name - the histogram name
+   * @param {Object<string,string>} labels - (optional) the series labels (default: {})
+   * @returns {Function} - the function to call when it is done, which records and returns the seconds elapsed
+   */
+  startTimer (name, labels = {}) {
+    const start = process.hrtime();
+    return () => {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      const elapsed = seconds + nanoseconds / 1e9;
+      this.observe(name, elapsed, labels);
+      return elapsed;
+    };
+  }
+
+  /**
+   * Add a collector, run before each render to set gauges from the current state of things
+   * @param {Function} collector - the function, called with this Metrics instance
+   * @returns {void}
+   */
+  collect (collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Get the series of a metric with the given labels, creating it at zero
+   * @param {string} name - the metric name
+   * @param {Array<string>} types - the types the metric may be, for the operation on it
+   * @param {Object<string,string>} labels - the series labels
+   * @returns {Object} - the series
+   * @throws {Error} - if the metric isn't defined, or is of another type
+   */
+  series (name, types, labels) {
+    const metric = this.metrics.get(name);
+    if (!metric || !types.includes(metric.type)) {
+      throw new Error(`Metric ${name} is not defined as a ${types.join(' or ')}`);
+    }
+    const key = _labelString(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, metric.type === 'histogram' ?
+        { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 } :
+        { labels, value: 0 });
+    }
+    return metric.series.get(key);
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format, after running the collectors
+   * @returns {string} - the metrics text, served with Metrics.CONTENT_TYPE
+   */
+  render () {
+    this.collectors.forEach((collector) => collector(this));
+    const lines = [];
+    for (let metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (let series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${_labelString(series.labels)} ${_number(series.value)}`);
+          continue;
+        }
+        metric.buckets.forEach((bound, idx) => {
+          const labels = _labelString({ ...series.labels, le: _number(bound) });
+          lines.push(`${metric.name}_bucket${labels} ${series.counts[idx]}`);
+        });
+        lines.push(`${metric.name}_bucket${_labelString({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${_labelString(series.labels)} ${_number(series.sum)}`);
+        lines.push(`${metric.name}_count${_labelString(series.labels)} ${series.count}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Metric types.
+ */
+Metrics.TYPES = ['counter', 'gauge', 'histogram'];
+
+/**
+ * Default histogram buckets, in seconds, for durations.
+ */
+Metrics.DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Media type of the rendered metrics.
+ */
+Metrics.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * The process's metrics, which the other classes record into unless
+ * given others, and the server serves at /metrics.
+ */
+Metrics.root = new Metrics();
+
+// Helper functions
+export const _labelString = function (labels) {
+  const pairs = Object.keys(labels).sort().map((key) => {
+    const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${key}="${value}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+export const _number = function (value) {
+  if (value === Infinity) { return '+Inf'; }
+  if (value === -Infinity) { return '-Inf'; }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
@@ -0,0 +1,95 @@
+/**
+ * Class that limits how often each sender can be answered, with a token
+ * bucket per sender: a sender can send up to `capacity` messages at once,
+ * then one more each time a token refills. The first message refused in a
+ * row is to be answered with a short throttle reply, and the rest dropped
+ * unanswered, so a flood of messages costs one reply.
+ */
+export default class RateLimiter {
+  /**
+   * Class constructor
+   * @param {number} capacity - (optional) the most messages a sender can send at once
+   *   (default: RateLimiter.DEFAULT_CAPACITY)
+   * @param {number} refillPerMinute - (optional) how many tokens each sender gets back per minute
+   *   (default: RateLimiter.DEFAULT_REFILL_PER_MINUTE)
+   * @returns {RateLimiter} - the created RateLimiter instance
+   */
+  constructor (capacity = RateLimiter.DEFAULT_CAPACITY, refillPerMinute = RateLimiter.DEFAULT_REFILL_PER_MINUTE) {
+    if (!(capacity >= 1)) {
+      throw new Error(`Invalid rate limit capacity: ${capacity}`);
+    }
+    if (!(refillPerMinute > 0)) {
+      throw new Error(`Invalid rate limit refill rate: ${refillPerMinute}`);
+    }
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take a token for a message from a sender
+   * @param {string} key - the sender's phone number or other address (may be undefined, in which case the message
+   *   shares the bucket of RateLimiter.NO_SENDER_KEY with every other message without one)
+   * @param {number} now - (optional) the time of the message, in milliseconds since the epoch (default: now)
+   * @returns {string} - 'allowed' if the message may be answered, 'throttled' if it is the first refused since the
+   *   last one allowed, or 'dropped' if it is refused after that
+   */
+  take (key, now = Date.now()) {
+    // Messages without a sender are limited together, so leaving the sender out can't get past the limit
+    const bucketKey = key || RateLimiter.NO_SENDER_KEY;
+    const bucket = this.refill(this.buckets.get(bucketKey), now);
+    this.buckets.set(bucketKey, bucket);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.throttled = false;
+      return 'allowed';
+    }
+    if (bucket.throttled) { return 'dropped'; }
+    bucket.throttled = true;
+    return 'throttled';
+  }
+
+  /**
+   * Refill a sender's bucket for the time since it was last refilled
+   * @param {Object} bucket - the bucket, or undefined for a sender not seen (or pruned) since it was full
+   * @param {number} now - the time, in milliseconds since the epoch
+   * @returns {Object} - the refilled bucket
+   */
+  refill (bucket, now) {
+    if (!bucket) { return { tokens: this.capacity, at: now, throttled: false }; }
+    const tokens = Math.min(this.capacity, bucket.tokens + Math.max(0, now - bucket.at) * this.refillPerMs);
+    return { ...bucket, tokens, at: now };
+  }
+
+  /**
+   * Forget the buckets that have refilled completely, which are the same as new ones
+   * @param {number} now - (optional) the time, in milliseconds since the epoch (default: now)
+   * @returns {number} - the number of buckets forgotten
+   */
+  prune (now = Date.now()) {
+    let pruned = 0;
+    for (let [key, bucket] of this.buckets) {
+      if (this.refill(bucket, now).tokens >= this.capacity) {
+        this.buckets.delete(key);
+        pruned += 1;
+      }
+    }
+    return pruned;
+  }
+}
+
+/**
+ * Default most messages a sender can send at once, e.g. a lookup and
+ * several MORE and DETAILS follow-ups.
+ */
+RateLimiter.DEFAULT_CAPACITY = 10;
+
+/**
+ * Default tokens each sender gets back per minute.
+ */
+RateLimiter.DEFAULT_REFILL_PER_MINUTE = 6;
+
+/**
+ * Key of the bucket shared by all messages without a sender.
+ */
+RateLimiter.NO_SENDER_KEY = '(no sender)';
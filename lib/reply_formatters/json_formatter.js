@@ -0,0 +1,52 @@
+import ReplyFormatter from './reply_formatter';
+
+/**
+ * Reply formatter for web chat widgets and other bots: the reply as JSON,
+ * with its messages, its locale and the shelters listed in it with their
+ * JsonFormatter.SHELTER_FIELDS, for clients to show as they like
+ */
+export default class JsonFormatter extends ReplyFormatter {
+  /**
+   * Class constructor
+   * @returns {JsonFormatter} - the created JsonFormatter instance
+   */
+  constructor () {
+    super('application/json');
+  }
+
+  /**
+   * Render a reply as JSON
+   * @param {Object} reply - the reply from MessageHandler#handleReply
+   * @returns {string} - the JSON
+   */
+  render (reply) {
+    return JSON.stringify({
+      messages: reply.messages,
+      locale: reply.locale,
+      shelters: reply.shelters.map((shelter) => this.shelterFields(shelter))
+    });
+  }
+
+  /**
+   * Pick the public fields of a shelter record, leaving out those SheltersFinder adds for its lookups
+   * @param {Object} shelter - the shelter record
+   * @returns {Object} - the fields the shelter has of JsonFormatter.SHELTER_FIELDS
+   */
+  shelterFields (shelter) {
+    const fields = {};
+    for (let field of JsonFormatter.SHELTER_FIELDS) {
+      if (shelter[field] !== undefined && shelter[field] !== null) {
+        fields[field] = shelter[field];
+      }
+    }
+    return fields;
+  }
+}
+
+/**
+ * Shelter record fields included in replies.
+ */
+JsonFormatter.SHELTER_FIELDS = [
+  'shelter', 'address', 'city', 'state', 'zip', 'phone', 'latitude', 'longitude',
+  'accepting', 'pets', 'pets_notes', 'special_needs', 'notes', 'updated_at', 'last_updated'
+];
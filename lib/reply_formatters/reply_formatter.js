@@ -0,0 +1,36 @@
+/**
+ * Base class for the reply formatters each channel answers with: each
+ * renders a MessageHandler reply (its messages, the shelters listed in
+ * them and its locale) as a response body of its content type, so every
+ * channel shares the same lookups
+ */
+export default class ReplyFormatter {
+  /**
+   * Class constructor
+   * @param {string} contentType - the media type of the rendered responses
+   * @returns {ReplyFormatter} - the created ReplyFormatter instance
+   */
+  constructor (contentType) {
+    this.contentType = contentType;
+  }
+
+  /**
+   * Send a reply as an HTTP response, rendered with the formatter's render(reply) method
+   * @param {http.ServerResponse} res - the response
+   * @param {Object} reply - the reply from MessageHandler#handleReply
+   * @returns {void}
+   */
+  respond (res, reply) {
+    res.writeHead(200, { 'Content-Type': this.contentType });
+    res.end(this.render(reply));
+  }
+
+  /**
+   * Count the SMS segments a reply (from MessageHandler#handleReply) is billed as, e.g. for the audit log;
+   * formatters for channels billed by the segment override this
+   * @returns {number|null} - the segment count, or null for channels not billed by the segment
+   */
+  countSegments () {
+    return null;
+  }
+}
@@ -0,0 +1,135 @@
+import MessagingResponse from 'twilio/lib/twiml/MessagingResponse';
+import MessagePacker from '../message_packer';
+import MapLinker from '../map_linker';
+import Logger from '../logger';
+import ReplyFormatter from './reply_formatter';
+
+/**
+ * A class that takes a collection of text messages to be sent
+ * and formats them for output in Twilio TwiML MessagingResponse
+ * XML format
+ */
+class TwilioFormatter extends ReplyFormatter {
+  /**
+   * Class constructor
+   * @param {MessagePacker} messagePacker - (optional) the packer whose segment budget and transliteration messages
+   *   are sent with (default: a new MessagePacker)
+   * @param {MapLinker} mapLinker - (optional) the builder of the static map image attached to replies listing
+   *   shelters, sending them as MMS (default: a MapLinker without images)
+   * @param {Logger} logger - (optional) the logger to log truncated messages with (default: Logger.root)
+   * @param {number} maxMessageSize - (optional) the longest message in characters the channel sends, past which
+   *   messages are truncated (default: TwilioFormatter.MAX_MESSAGE_SIZE)
+   * @returns {TwilioFormatter} - the TwilioFormatter object
+   */
+  constructor (messagePacker = new MessagePacker(), mapLinker = new MapLinker(), logger = Logger.root,
+    maxMessageSize = TwilioFormatter.MAX_MESSAGE_SIZE) {
+    super('text/xml');
+    this.messagePacker = messagePacker;
+    this.mapLinker = mapLinker;
+    this.logger = logger;
+    this.maxMessageSize = maxMessageSize;
+  }
+
+  /**
+   * Render a reply as numbered SMS messages in TwiML, attaching a map of the shelters listed if configured to
+   * @param {Object} reply - the reply from MessageHandler#handleReply
+   * @returns {string} - the TwiML XML
+   */
+  render (reply) {
+    return this.format(reply.messages, true, this.mapLinker.imageUrl(reply.shelters)).toString();
+  }
+
+  /**
+   * Count the SMS segments a reply is billed as, numbered, prepared and truncated as render(reply) sends it
+   * @param {Object} reply - the reply from MessageHandler#handleReply
+   * @returns {number} - the segment count
+   */
+  countSegments (reply) {
+    return this.numberMessages(reply.messages)
+      .map((msg) => this.messagePacker.prepare(msg))
+      .map((msg) => (msg.length > this.maxMessageSize ? _truncate(msg, this.maxMessageSize) : msg))
+      .reduce((count, msg) => count + this.messagePacker.segmentCount(msg), 0);
+  }
+
+  /**
+   * Generate a Twilio XML MessagingResponse from an array of messages
+   * @param {Array<string>} messages - an array of SMS messages to be sent
+   * @param {boolean} numberMessages - (optional) whether or not to number messages before formatting (default: true)
+   * @param {string} mediaUrl - (optional) the URL of an image to attach to the first message, sending it as MMS
+   *   (default: null, for none)
+   * @returns {MessagingResponse} - the formatted MessageResponse
+   */
+  format (messages, numberMessages = true, mediaUrl = null) {
+    let validatedMessages;
+    if (numberMessages) {
+      const numberedMessages = this.numberMessages(messages);
+      validatedMessages = this.validateMessages(numberedMessages);
+    } else {
+      validatedMessages = this.validateMessages(messages);
+    }
+    const messagingResponse = new MessagingResponse();
+    validatedMessages.forEach((msg, idx) => {
+      if (idx === 0 && mediaUrl) {
+        const message = messagingResponse.message({});
+        message.body({}, msg);
+        message.media({}, mediaUrl);
+      } else {
+        messagingResponse.message(msg);
+      }
+    });
+    return messagingResponse;
+  }
+
+  /**
+   * Add numbering prefixes (e.g., "[1 of 5] ") to collections of more than one message
+   * @param {Array<string>} messages - messages to be numbered
+   * @returns {Array<string>} - array of numbered messages
+   */
+  numberMessages (messages) {
+    if (messages.length === 1) return messages;
+    return messages.map((message, idx, ary) => `[${idx + 1} of ${ary.length}] ${message}`);
+  }
+
+  /**
+   * Validate messages for length, and truncate those over maxMessageSize (ending with TwilioFormatter.TRUNCATION_MARK),
+   * transliterating them first if the message packer does
+   * @param {Array<string>} messages - messages to be validated
+   * @returns {Array<string>} - the validated (and truncated if needed) messages
+   */
+  validateMessages (messages) {
+    const validatedMessages = [];
+    for (let msg of messages) {
+      msg = this.messagePacker.prepare(msg);
+      if (msg.length > this.maxMessageSize) {
+        this.logger.error('Truncating message over the Twilio message size limit', {
+          length: msg.length,
+          limit: this.maxMessageSize,
+          start: msg.substring(0, 40)
+        });
+        msg = _truncate(msg, this.maxMessageSize);
+      }
+      validatedMessages.push(msg);
+    }
+    return validatedMessages;
+  }
+}
+
+/**
+ * Twilio maximum sendable SMS message length in characters.
+ */
+TwilioFormatter.MAX_MESSAGE_SIZE = 1600;
+
+/**
+ * Text ending truncated messages, so the reader knows some is missing.
+ */
+TwilioFormatter.TRUNCATION_MARK = '...';
+
+// Helper functions
+export const _truncate = function (msg, length) {
+  const kept = msg.substring(0, length - TwilioFormatter.TRUNCATION_MARK.length);
+  // Cut at the end of the last whole line when there is one, rather than mid-entry
+  const lineEnd = kept.lastIndexOf('\n');
+  return `${lineEnd > 0 ? kept.substring(0, lineEnd + 1) : kept}${TwilioFormatter.TRUNCATION_MARK}`;
+};
+
+export default TwilioFormatter;
\ No newline at end of file
@@ -0,0 +1,104 @@
+import TwilioFormatter from './twilio_formatter';
+import Logger from '../logger';
+
+/**
+ * Reply formatter for WhatsApp through Twilio, in TwiML like SMS. WhatsApp
+ * messages aren't billed by the segment, so a reply is joined into as few
+ * messages as fit, without numbering; shelter names are in bold, and each
+ * listed shelter gets a map link WhatsApp shows as a location pin.
+ */
+export default class WhatsAppFormatter extends TwilioFormatter {
+  /**
+   * Class constructor
+   * @param {Logger} logger - (optional) the logger to log truncated messages with (default: Logger.root)
+   * @returns {WhatsAppFormatter} - the WhatsAppFormatter object
+   */
+  constructor (logger = Logger.root) {
+    super(undefined, undefined, logger, WhatsAppFormatter.MAX_MESSAGE_SIZE);
+  }
+
+  /**
+   * Render a reply as WhatsApp messages in TwiML
+   * @param {Object} reply - the reply from MessageHandler#handleReply
+   * @returns {string} - the TwiML XML
+   */
+  render (reply) {
+    const messages = reply.messages.map((message) => this.emphasizeNames(message, reply.shelters));
+    const pins = reply.shelters
+      .map((shelter) => this.pin(shelter))
+      .filter((pin) => pin !== null);
+    if (pins.length > 0) {
+      messages.push(pins.join('\n'));
+    }
+    return this.format(this.joinMessages(messages), false).toString();
+  }
+
+  /**
+   * Count the SMS segments a reply is billed as: none, since WhatsApp messages aren't billed by the segment
+   * @returns {null} - null
+   */
+  countSegments () {
+    return null;
+  }
+
+  /**
+   * Put the names of shelters in bold where they start a line
+   * @param {string} message - the message text
+   * @param {Array<Object>} shelters - the shelter records listed in the message
+   * @returns {string} - the message with WhatsApp bold markup
+   */
+  emphasizeNames (message, shelters) {
+    // Longest first, so a name starting with another (e.g. "Center" and "Center (Parking Lot)") is bolded whole
+    const names = shelters
+      .map(({ shelter }) => shelter)
+      .filter((name) => name)
+      .sort((a, b) => b.length - a.length);
+    return names.reduce((text, name) => {
+      const pattern = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return text.replace(RegExp(`^${pattern}`, 'gm'), () => `*${name}*`);
+    }, message);
+  }
+
+  /**
+   * Build the map link line for a shelter
+   * @param {Object} shelter - the shelter record
+   * @returns {string|null} - the line, or null if the shelter has no coordinates
+   */
+  pin (shelter) {
+    const latitude = parseFloat(shelter.latitude), longitude = parseFloat(shelter.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) { return null; }
+    const link = WhatsAppFormatter.PIN_URL
+      .replace('{latitude}', latitude)
+      .replace('{longitude}', longitude);
+    return `📍 ${shelter.shelter || ''}: ${link}`;
+  }
+
+  /**
+   * Join messages into as few as fit maxMessageSize, keeping each whole
+   * @param {Array<string>} messages - the messages
+   * @returns {Array<string>} - the joined messages
+   */
+  joinMessages (messages) {
+    return messages.reduce((joined, message) => {
+      const last = joined.length - 1;
+      if (last >= 0 && joined[last].length + 2 + message.length <= this.maxMessageSize) {
+        joined[last] += `\n\n${message}`;
+      } else {
+        joined.push(message);
+      }
+      return joined;
+    }, []);
+  }
+}
+
+/**
+ * WhatsApp maximum message body length in characters, longer than SMS
+ * allows.
+ */
+WhatsAppFormatter.MAX_MESSAGE_SIZE = 4096;
+
+/**
+ * Map link for each listed shelter, with {latitude} and {longitude}
+ * placeholders.
+ */
+WhatsAppFormatter.PIN_URL = 'https://maps.google.com/?q={latitude},{longitude}';
@@ -1,83 +1,303 @@
 import express from 'express';
 import bodyParser from 'body-parser';
+import crypto from 'crypto';
 import http from 'http';
+import path from 'path';
+
+/* Setup structured logging, as JSON lines on standard output */
+import Logger from './logger';
+const logger = Logger.root;
+
+/* Read and check the settings from the environment and CONFIG_FILE,
+   refusing to start with any missing or invalid, then log at LOG_LEVEL
+   and above */
+import Config from './config';
+let config;
+try {
+  config = new Config();
+} catch (e) {
+  logger.error(e.message);
+  process.exit(1);
+}
+logger.setLevel(config.logLevel);
+
+/* Setup the metrics served at /metrics, for Prometheus to scrape */
+import Metrics from './metrics';
+const metrics = Metrics.root;
+metrics.define('smsbot_event_loop_blocked_seconds', 'histogram', 'Stalls of the main event loop over 100ms',
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+metrics.define('smsbot_messages_total', 'counter', 'Inbound messages answered, by channel and action');
+metrics.define('smsbot_no_location_replies_total', 'counter', 'Lookups answered without a ZIP code or city to look up');
+metrics.define('smsbot_not_found_replies_total', 'counter', 'Lookups answered with no shelters found');
+metrics.define('smsbot_outbound_segments_total', 'counter', 'SMS segments sent in replies');
+metrics.define('smsbot_data_updates_total', 'counter', 'Data updates by resource and result (updated, unchanged or failed)');
+metrics.define('smsbot_dataset_age_seconds', 'gauge', 'Time since each resource\'s data was last fetched or found current');
+metrics.define('smsbot_dataset_features', 'gauge', 'Locations in each resource\'s data');
 
 /* Monitor for blocking of main event loop */
 import blocked from 'blocked-at';
 blocked((time, stack) => {
   if (time > 100) {
-    console.log(`Blocked for ${time}ms, operation started here:`, stack);
+    logger.warn('Event loop blocked', { ms: time, stack });
+    metrics.observe('smsbot_event_loop_blocked_seconds', time / 1000);
   }
 });
 
-/* Setup constants from environment variable parameters */
-const dataURL = process.env.DATA_URL;
-const mileRadius = process.env.MILE_RADIUS || 30;
+/* Setup constants from the settings, converting durations to milliseconds */
+const eligibilityPolicy = {};
+if (config.archivedShelters) { eligibilityPolicy.archived = config.archivedShelters; }
+if (config.fullShelters) { eligibilityPolicy.full = config.fullShelters; }
+const minutesInMS = 60000;
+const milliseconds = (value, unitInMS) => value === undefined ? undefined : value * unitInMS;
+const staleAfter = milliseconds(config.staleDataMinutes, minutesInMS);
+const updateTimeout = milliseconds(config.updateTimeoutSeconds, 1000);
+const snapshotMaxAge = milliseconds(config.snapshotMaxAgeMinutes, minutesInMS);
 
-/* Setup DataUpdater to periodically retrieve new location data */
-let locationData = new Map(); // actually fetched at server startup
-import DataUpdater from './data_updater';
-const updater = new DataUpdater(dataURL);
+/* Setup the kinds of resource to serve: shelters from DATA_URL (in
+   DATA_FORMAT, with DATA_FIELDS mapping its properties), plus any others
+   (e.g. food or water distribution points) described in RESOURCES */
+const resourceDefinitions = config.resourceDefinitions();
 
-/* Setup SheltersFinder with dummy locationData */
+/* Setup the packing of replies into SMS messages within a budget of
+   segments, optionally transliterated to stay in the GSM-7 alphabet */
+import MessagePacker from './message_packer';
+const messagePacker = new MessagePacker(config.maxSegments, config.transliterate, undefined, logger);
+
+/* Setup map links: a navigation link with each shelter listed (MAP_LINKS,
+   'geo' or a URL template), and a static map image attached to SMS
+   replies, sending them as MMS (MAP_IMAGE_URL, a URL template) */
+import MapLinker from './map_linker';
+const mapLinker = new MapLinker(config.mapLinks, config.mapImageUrl);
+
+/* Setup a DataUpdater to periodically retrieve new location data in a
+   worker process, keeping this one free to answer texts, checked with the
+   DATA_MAX_* thresholds, a SnapshotStore keeping the last good data on
+   disk, and a SheltersFinder with dummy locationData, for each resource */
+import DataUpdater from './data_updater';
+import DataValidator from './data_validator';
 import SheltersFinder from './shelters_finder';
-const sheltersFinder = new SheltersFinder(locationData, mileRadius);
-
-/* Handle update event on the DataUpdater */
-updater.on('update', (data) => {
-  console.log(`EVENT DataUpdater#update: Received new data covering ${data.size} zip codes.`);
-  locationData = data;
-  sheltersFinder.updateLocationData(data);
-  console.log('Data update successful.');
+import SnapshotStore from './snapshot_store';
+const resources = resourceDefinitions.map((definition) => {
+  const resourceLogger = logger.child({ resource: definition.name });
+  return {
+    name: definition.name,
+    refreshInterval: milliseconds(definition.refreshIntervalMinutes, minutesInMS),
+    logger: resourceLogger,
+    locationData: new Map(), // actually fetched at server startup
+    updater: new DataUpdater(definition.url, definition.fields, definition.format, true, updateTimeout, undefined,
+      resourceLogger, new DataValidator(config.dataMaxDrop, config.dataMaxRejected, config.dataMaxZipMiles,
+        config.dataDropConfirmations)),
+    snapshot: new SnapshotStore(
+      path.join(config.snapshotDir, `${definition.name.replace(/[^\w-]/g, '_')}.json`),
+      snapshotMaxAge,
+      resourceLogger
+    ),
+    finder: new SheltersFinder(new Map(), definition.mileRadius, eligibilityPolicy, definition, staleAfter, messagePacker,
+      mapLinker, resourceLogger, definition.sheltersPerLookup)
+  };
 });
 
-/* Periodically retrieve location data from upstream API at DATA_URL
-   Note that updater.fetchLocationsData() returns data via the 'update'
-   event, so there's no need for a .then() handler here. */
-const startLocationsUpdate = function () {
-  try {
-    updater.performUpdate()
-  } catch (e) {
-    console.error(`ERROR updating location data: ${e}\nStack trace:\n${e.stack}`);
-    if (locationData.size === 0) { process.exit(1); }
-  }
-};
-startLocationsUpdate();
-const minutesInMS = 60000;
-const refreshTimer = setInterval(
-  startLocationsUpdate.bind(this),
-  5 * minutesInMS
-);
-/* Clear periodic refreshes on process exit */
-process.on('exit', () => clearInterval(refreshTimer));
+/* Setup alerts to subscribers when resources open near them, sent with
+   the Twilio REST client when an account and number to send from are
+   configured */
+import twilio from 'twilio';
+import SubscriptionStore from './subscription_store';
+import AlertSender from './alert_sender';
+let subscriptionStore = null, alertSender = null;
+if (config.twilioAccountSid && config.twilioAuthToken && config.twilioFromNumber) {
+  subscriptionStore = new SubscriptionStore();
+  alertSender = new AlertSender(
+    twilio(config.twilioAccountSid, config.twilioAuthToken),
+    config.twilioFromNumber,
+    subscriptionStore,
+    config.alertsPerSecond,
+    logger
+  );
+}
+
+/* Handle update events on the DataUpdaters, snapshotting each new dataset
+   and alerting subscribers to what opened since the previous one, and
+   count data the upstream API reports unchanged as current */
+resources.forEach((resource) => {
+  resource.updater.on('update', (data) => {
+    const previousData = resource.locationData;
+    resource.locationData = data;
+    resource.finder.updateLocationData(data);
+    resource.logger.info('Location data updated', { zipCodes: data.size });
+    metrics.increment('smsbot_data_updates_total', { resource: resource.name, result: 'updated' });
+    resource.snapshot.save(data)
+      .catch((e) => resource.logger.error('Failed to save snapshot', { error: e }));
+    // With no previous data (e.g. at startup without a snapshot), everything would look newly opened
+    if (alertSender && previousData.size > 0) {
+      alertSender.notify(resource.finder, previousData)
+        .catch((e) => resource.logger.error('Failed to alert subscribers', { error: e }));
+    }
+  });
+  resource.updater.on('unchanged', () => {
+    resource.finder.markLocationDataCurrent();
+    metrics.increment('smsbot_data_updates_total', { resource: resource.name, result: 'unchanged' });
+  });
+  resource.updater.on('failure', () => {
+    metrics.increment('smsbot_data_updates_total', { resource: resource.name, result: 'failed' });
+  });
+});
+
+/* Report each resource's data as it is when scraped, once it has some */
+metrics.collect(() => {
+  resources.forEach((resource) => {
+    if (resource.locationData.size === 0) { return; }
+    let features = 0;
+    for (let records of resource.locationData.values()) {
+      features += records.length;
+    }
+    const labels = { resource: resource.name };
+    metrics.set('smsbot_dataset_age_seconds', (Date.now() - resource.finder.dataUpdatedAt) / 1000, labels);
+    metrics.set('smsbot_dataset_features', features, labels);
+  });
+});
+
+/* Answer from each resource's last snapshot until its first update
+   succeeds, then periodically retrieve location data from its upstream
+   API. The snapshot is recorded as the updater's last good data, so the
+   first update is checked against it for a sharp drop in features.
+   Note that the updaters return data via the 'update' event. Failed
+   updates leave the last data (or snapshot) in place, and are retried
+   with backoff. */
+resources.forEach((resource) => {
+  resource.snapshot.load()
+    .then((snapshot) => {
+      if (!snapshot || resource.locationData.size > 0) { return; }
+      resource.logger.info('Loaded snapshot', { savedAt: snapshot.savedAt, zipCodes: snapshot.data.size });
+      resource.locationData = snapshot.data;
+      resource.finder.updateLocationData(snapshot.data, snapshot.savedAt);
+      resource.updater.recordUpdate(snapshot.data, snapshot.savedAt);
+    })
+    .then(() => resource.updater.startUpdates(resource.refreshInterval));
+});
+/* Stop periodic refreshes on process exit */
+process.on('exit', () => resources.forEach((resource) => resource.updater.stopUpdates()));
 
 /* Setup app */
 export const app = express();
 
-import ZipcodeExtractor from './zipcode_extractor';
-import TwilioFormatter from './twilio_formatter';
-const zipcodeExtractor = new ZipcodeExtractor();
-const twilioFormatter = new TwilioFormatter();
+/* Setup MessageHandlers, remembering each sender's conversation for a
+   while: one for SMS, offering alerts, and one for the other channels,
+   whose senders can't be texted alerts. Both throttle senders texting
+   faster than RATE_LIMIT_PER_MINUTE after a burst of RATE_LIMIT_BURST
+   messages, and look up at most MAX_LOCATIONS_PER_MESSAGE places per
+   message. */
+import MessageHandler from './message_handler';
+import SessionStore from './session_store';
+import MessageCatalog from './message_catalog';
+import RateLimiter from './rate_limiter';
+const sessionStore = new SessionStore(new Map(), milliseconds(config.sessionTtlMinutes, minutesInMS));
+const rateLimiter = new RateLimiter(config.rateLimitBurst, config.rateLimitPerMinute);
+const maxLocations = config.maxLocationsPerMessage;
+const finders = {};
+resources.forEach((resource) => { finders[resource.name] = resource.finder; });
+const messageHandler = new MessageHandler(finders, sessionStore, new MessageCatalog(), subscriptionStore, logger,
+  rateLimiter, maxLocations);
+const channelMessageHandler = new MessageHandler(finders, sessionStore, new MessageCatalog(), null, logger,
+  rateLimiter, maxLocations);
+const sessionPruneTimer = setInterval(() => {
+  sessionStore.prune();
+  rateLimiter.prune();
+}, 15 * minutesInMS);
+process.on('exit', () => clearInterval(sessionPruneTimer));
 
-app.use(bodyParser.urlencoded({extended: false}));
-app.post('/sms', (req, res) => {
-  const responseMessages = [];
-  const sentZipcodes = zipcodeExtractor.extractMessageZipCodes(req.body.Body);
-  if(sentZipcodes.length == 0) {
-    responseMessages.push('Sorry, I couldn\'t find any ZIP codes in your text message. Please try again.');
-  } else {
-    for (let msg of sheltersFinder.findShelters(sentZipcodes)) {
-      responseMessages.push(msg);
-    }
-  }
-  const twimlResponse = twilioFormatter.format(responseMessages);
+/* Setup admin routes for operators, when an ADMIN_TOKEN is configured */
+import AdminApi from './admin_api';
+if (config.adminToken) {
+  const updaters = {};
+  resources.forEach((resource) => { updaters[resource.name] = resource.updater; });
+  app.use('/admin', new AdminApi(updaters, config.adminToken).router());
+}
+
+/* Setup validation of Twilio's request signatures; ALLOW_UNSIGNED_REQUESTS
+   lets requests without one through, for testing */
+import SignatureValidator from './signature_validator';
+const signatureValidator = new SignatureValidator(
+  config.twilioAuthToken,
+  config.publicUrl,
+  config.allowUnsignedRequests,
+  logger
+);
 
-  res.writeHead(200, { 'Content-Type': 'text/xml' });
-  res.end(twimlResponse.toString());
+/* Setup a route for each channel, each answering with its own reply
+   formatter: SMS and WhatsApp through Twilio, and JSON for web chat
+   widgets and other bots, served only to clients sending CHAT_TOKEN. Chat
+   senders are identified by whatever id the client sends as "from", kept
+   apart from phone numbers, and throttled by the client's address when
+   they send none. */
+import TwilioFormatter from './reply_formatters/twilio_formatter';
+import WhatsAppFormatter from './reply_formatters/whatsapp_formatter';
+import JsonFormatter from './reply_formatters/json_formatter';
+import TokenAuthenticator from './token_authenticator';
+const twilioFormatter = new TwilioFormatter(messagePacker, mapLinker, logger);
+const whatsAppFormatter = new WhatsAppFormatter(logger);
+const jsonFormatter = new JsonFormatter();
+
+/* Log each request's entries with a request ID (Twilio's MessageSid where
+   there is one) and its channel, record each answer in the audit log, its
+   senders hashed with AUDIT_HASH_KEY, and count it in the metrics. If
+   answering fails, log the error and reply 500 */
+import AuditLog from './audit_log';
+const auditLog = new AuditLog(logger, config.auditHashKey);
+const answer = (req, res, channel, handler, formatter, from, body, rateKey = from) => {
+  const startedAt = Date.now();
+  const log = logger.child({
+    requestId: req.body.MessageSid || crypto.randomBytes(8).toString('hex'),
+    channel
+  });
+  Promise.resolve()
+    .then(() => handler.handleReply(from, body, log, rateKey))
+    .then((reply) => {
+      formatter.respond(res, reply);
+      const segments = formatter.countSegments(reply);
+      auditLog.record(from, reply, segments, Date.now() - startedAt, log);
+      metrics.increment('smsbot_messages_total', { channel, action: reply.action });
+      if (reply.action === 'lookup' && reply.zips.length === 0) {
+        metrics.increment('smsbot_no_location_replies_total', { channel });
+      } else if (reply.action === 'lookup' && reply.shelters.length === 0) {
+        metrics.increment('smsbot_not_found_replies_total', { channel });
+      }
+      if (segments !== null) {
+        metrics.increment('smsbot_outbound_segments_total', { channel }, segments);
+      }
+    })
+    .catch((e) => {
+      log.error('Failed to answer message', { error: e });
+      if (!res.headersSent) {
+        res.status(500).type('text/plain').send('Internal Server Error');
+      }
+    });
+};
+
+app.get('/metrics', (req, res) => {
+  res.type(Metrics.CONTENT_TYPE).send(metrics.render());
+});
+
+app.use(bodyParser.urlencoded({extended: false}));
+app.post('/sms', signatureValidator.middleware(), (req, res) => {
+  answer(req, res, 'sms', messageHandler, twilioFormatter, req.body.From, req.body.Body);
 });
+app.post('/whatsapp', signatureValidator.middleware(), (req, res) => {
+  answer(req, res, 'whatsapp', channelMessageHandler, whatsAppFormatter, req.body.From, req.body.Body);
+});
+if (config.chatToken) {
+  app.post('/chat', new TokenAuthenticator(config.chatToken, logger).middleware(), bodyParser.json(), (req, res) => {
+    const { from, text } = req.body;
+    if (typeof text !== 'string') {
+      res.status(400).json({ error: 'Expected a JSON object with the message text' });
+      return;
+    }
+    const sender = typeof from === 'string' && from ? `chat:${from}` : undefined;
+    answer(req, res, 'chat', channelMessageHandler, jsonFormatter, sender, text, sender || `chat-ip:${req.ip}`);
+  });
+}
 
-http.createServer(app).listen(process.env.PORT, () => {
-  console.log(`Express server listening on: ${process.env.PORT}`);
+http.createServer(app).listen(config.port, () => {
+  logger.info('Express server listening', { port: config.port });
 });
 
 export default app;
@@ -0,0 +1,87 @@
+/**
+ * Class that remembers each sender's conversation between messages,
+ * keyed by phone number. Sessions are kept in memory by default; any
+ * backend implementing get/set/delete like a Map (synchronously or by
+ * returning Promises) can be provided instead.
+ */
+export default class SessionStore {
+  /**
+   * Class constructor
+   * @param {Object} backend - (optional) the Map-like storage backend (default: a new Map)
+   * @param {number} ttl - (optional) how long in milliseconds a session lasts without new messages (default: SessionStore.DEFAULT_TTL)
+   * @returns {SessionStore} - the created SessionStore instance
+   */
+  constructor (backend = new Map(), ttl = SessionStore.DEFAULT_TTL) {
+    this.backend = backend;
+    this.ttl = ttl;
+  }
+
+  /**
+   * Get the session for a phone number
+   * @param {string} phoneNumber - the sender's phone number
+   * @returns {Promise<Object|undefined>} - the session, or undefined if there is none or it expired
+   */
+  get (phoneNumber) {
+    if (!phoneNumber) { return Promise.resolve(undefined); }
+    return Promise.resolve(this.backend.get(phoneNumber))
+      .then((session) => {
+        if (!session) { return undefined; }
+        if (this.isExpired(session)) {
+          return this.delete(phoneNumber).then(() => undefined);
+        }
+        return session;
+      });
+  }
+
+  /**
+   * Save the session for a phone number, refreshing its expiry
+   * @param {string} phoneNumber - the sender's phone number
+   * @param {Object} session - the session data to save
+   * @returns {Promise<Object>} - the saved session
+   */
+  set (phoneNumber, session) {
+    const saved = { ...session, updatedAt: Date.now() };
+    if (!phoneNumber) { return Promise.resolve(saved); }
+    return Promise.resolve(this.backend.set(phoneNumber, saved)).then(() => saved);
+  }
+
+  /**
+   * Forget the session for a phone number
+   * @param {string} phoneNumber - the sender's phone number
+   * @returns {Promise<void>} - resolves once the session is removed
+   */
+  delete (phoneNumber) {
+    return Promise.resolve(this.backend.delete(phoneNumber)).then(() => undefined);
+  }
+
+  /**
+   * Check whether a session has gone unused for longer than the ttl
+   * @param {Object} session - the session to check
+   * @returns {boolean} - true if the session has expired
+   */
+  isExpired (session) {
+    return Date.now() - session.updatedAt > this.ttl;
+  }
+
+  /**
+   * Remove expired sessions, for backends that can be iterated like a Map
+   * (other backends are expected to expire entries themselves)
+   * @returns {number} - the number of sessions removed
+   */
+  prune () {
+    if (typeof this.backend.entries !== 'function') { return 0; }
+    let removed = 0;
+    for (let [phoneNumber, session] of Array.from(this.backend.entries())) {
+      if (this.isExpired(session)) {
+        this.backend.delete(phoneNumber);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Default session lifetime: 12 hours in milliseconds.
+ */
+SessionStore.DEFAULT_TTL = 12 * 60 * 60 * 1000;
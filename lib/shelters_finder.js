@@ -1,49 +1,355 @@
 import zipcodes from 'zipcodes';
+import url from 'url';
 import LatLon from 'geodesy/latlon-ellipsoidal-vincenty';
+import SpatialIndex from './spatial_index';
+import MessageCatalog from './message_catalog';
+import MessagePacker from './message_packer';
+import MapLinker from './map_linker';
+import Logger from './logger';
+import Metrics from './metrics';
 
 /**
- * Class that finds shelters for a given set of zipcodes
+ * Class that finds shelters for a given set of zipcodes. The same class
+ * serves other kinds of resource (e.g. food or water distribution points),
+ * each with its own noun and message template, which are still called
+ * "shelters" throughout.
  */
 export default class SheltersFinder {
   /**
    * Constructor for class
    * @param {Map<string,Array<Object>>} locationData - the shelter location geodata
    * @param {number} mileRadius - the mile radius to use when finding nearby shelters
+   * @param {Object<string,string>} eligibilityPolicy - (optional) how to treat each of the SheltersFinder.ELIGIBILITY
+   *   conditions, one of 'include', 'mark' or 'exclude' (default: SheltersFinder.DEFAULT_ELIGIBILITY_POLICY)
+   * @param {Object} resource - (optional) the kind of resource found: its name, the keywords that ask for it, its
+   *   noun keyed by locale, a template for each entry and the source of its data to credit (or its url, whose host
+   *   is credited), filling in missing values from SheltersFinder.RESOURCES (default: the shelters resource)
+   * @param {number} staleAfter - (optional) the milliseconds after the last data update from which replies warn that
+   *   the data may be out of date (default: SheltersFinder.DEFAULT_STALE_AFTER)
+   * @param {MessagePacker} messagePacker - (optional) the packer splitting shelter lists into messages within a
+   *   segment budget (default: a new MessagePacker)
+   * @param {MapLinker} mapLinker - (optional) the builder of the map link sent with each shelter, if any
+   *   (default: a MapLinker without links)
+   * @param {Logger} logger - (optional) the logger to log lookups with (default: Logger.root)
+   * @param {number} sheltersPerLookup - (optional) the number of shelters sent per lookup zipcode in each page of
+   *   results (default: SheltersFinder.DEFAULT_SHELTERS_PER_LOOKUP)
    * @returns {SheltersFinder} - the created SheltersFinder instance
    */
-  constructor (locationData, mileRadius) {
-    this.locationData = locationData;
+  constructor (locationData, mileRadius, eligibilityPolicy = {}, resource = {}, staleAfter = SheltersFinder.DEFAULT_STALE_AFTER,
+    messagePacker = new MessagePacker(), mapLinker = new MapLinker(), logger = Logger.root,
+    sheltersPerLookup = SheltersFinder.DEFAULT_SHELTERS_PER_LOOKUP) {
+    this.now = () => new Date();
+    this.staleAfter = staleAfter;
+    this.updateLocationData(locationData);
+    this.resource = _resolveResource(resource);
     this.mileRadius = mileRadius;
+    this.sheltersPerLookup = sheltersPerLookup;
+    this.messageCatalog = new MessageCatalog();
+    this.messagePacker = messagePacker;
+    this.mapLinker = mapLinker;
+    this.logger = logger;
+    this.metrics = Metrics.root;
+    this.metrics.define('smsbot_lookup_duration_seconds', 'histogram', 'Time taken to look up shelters for a message');
+    this.eligibilityPolicy = { ...SheltersFinder.DEFAULT_ELIGIBILITY_POLICY, ...eligibilityPolicy };
+    for (let key in this.eligibilityPolicy) {
+      if (!SheltersFinder.ELIGIBILITY.hasOwnProperty(key)) {
+        throw new Error(`Unknown shelter eligibility condition: ${key}`);
+      }
+      if (!['include', 'mark', 'exclude'].includes(this.eligibilityPolicy[key])) {
+        throw new Error(`Invalid eligibility policy for ${key}: ${this.eligibilityPolicy[key]}`);
+      }
+    }
   }
 
   /**
-   * Update shelter location geodata used in lookups
+   * Update shelter location geodata used in lookups, and index it by each shelter's coordinates
    * @param {Map<string,Array<Object>>} locationData - the new shelter location geodata
+   * @param {Date} updatedAt - (optional) when the geodata was fetched, e.g. for geodata loaded from a snapshot
+   *   (default: now)
    * @returns {void}
    */
-  updateLocationData (locationData) { this.locationData = locationData; }
+  updateLocationData (locationData, updatedAt = this.now()) {
+    this.locationData = locationData;
+    this.dataUpdatedAt = updatedAt;
+    this.spatialIndex = new SpatialIndex(_locationRecords(locationData));
+  }
+
+  /**
+   * Record that the shelter location geodata was found unchanged upstream, so it isn't reported as stale
+   * @param {Date} checkedAt - (optional) when the geodata was checked (default: now)
+   * @returns {void}
+   */
+  markLocationDataCurrent (checkedAt = this.now()) {
+    this.dataUpdatedAt = checkedAt;
+  }
 
   /**
    * Process an incoming message to extract zipcode information
-   * @param {Array<string>} sentZipCodes - the zipcodes to find shelters for
+   * @param {Array<string|Object>} sentZipCodes - the zipcodes or LocationExtractor locations to find shelters for
+   * @param {Array<string>} filters - (optional) the SheltersFinder.FILTERS keys shelters must match (default: [])
+   * @param {number} page - (optional) the page of shelters to return past the first (default: 0)
+   * @param {string} locale - (optional) the MessageCatalog locale to reply in (default: 'en')
    * @returns {Array<string>} - the array of shelter messages
    */
-  findShelters (sentZipCodes) {
+  findShelters (sentZipCodes, filters = [], page = 0, locale = 'en') {
+    return this.lookupShelters(sentZipCodes, filters, page, locale).messages;
+  }
+
+  /**
+   * Find shelters for the zipcodes, returning both the messages and the shelters listed in them
+   * @param {Array<string|Object>} sentZipCodes - the zipcodes or LocationExtractor locations to find shelters for
+   * @param {Array<string>} filters - (optional) the SheltersFinder.FILTERS keys shelters must match (default: [])
+   * @param {number} page - (optional) the page of shelters to return past the first (default: 0)
+   * @param {string} locale - (optional) the MessageCatalog locale to reply in (default: 'en')
+   * @param {Logger} log - (optional) the logger for the lookup, e.g. a child logger for the request
+   *   (default: this.logger)
+   * @returns {Object} - the messages array, the shelters array, in the order they appear in the messages, and the
+   *   groups of message entries the messages were packed from, for adding a footer with packMessages
+   */
+  lookupShelters (sentZipCodes, filters = [], page = 0, locale = 'en', log = this.logger) {
+    const timer = this.metrics.startTimer('smsbot_lookup_duration_seconds', { resource: this.resource.name });
+    const { groups, shelters } = this.lookupSheltersInData(sentZipCodes, filters, page, locale);
+    timer();
+    const banner = sentZipCodes.length > 0 ? this.staleDataBanner(locale) : null;
+    if (banner) {
+      log.warn('Answering from stale location data', {
+        resource: this.resource.name,
+        dataUpdatedAt: this.dataUpdatedAt
+      });
+      groups[0][0] = `${banner}\n\n${groups[0][0]}`;
+    }
+    const result = { messages: this.packMessages(groups), shelters, groups };
+    log.debug('Looked up shelters', {
+      resource: this.resource.name,
+      zips: sentZipCodes.map(_lookupLabel),
+      filters,
+      page,
+      found: result.shelters.length
+    });
+    return result;
+  }
+
+  /**
+   * Find shelters for the zipcodes in the current location data, without regard to how old it is
+   * @param {Array<string|Object>} sentZipCodes - the zipcodes or LocationExtractor locations to find shelters for
+   * @param {Array<string>} filters - the SheltersFinder.FILTERS keys shelters must match
+   * @param {number} page - the page of shelters to return past the first
+   * @param {string} locale - the MessageCatalog locale to reply in
+   * @returns {Object} - the groups of message entries, as from buildMessageEntries, and the shelters array, in the
+   *   order they appear in the entries
+   */
+  lookupSheltersInData (sentZipCodes, filters, page, locale) {
+    const catalog = this.messageCatalog;
     if(sentZipCodes.length == 0) {
-      return ['Sorry, I couldn\'t find any ZIP codes in your text message. Please try again.',];
+      return { groups: [[catalog.translate(locale, 'noLocation')]], shelters: [] };
     }
-    const knownZipCodes = this.zipCodesWithShelters();
     const lookupZipCodes = this.augmentLookupZipCodes(sentZipCodes);
-    let foundShelters = this.computeFoundShelters(lookupZipCodes, knownZipCodes);
-    if (foundShelters.length == 0) {
-      return [`Sorry, I don't know about any shelters near ${sentZipCodes.join(' or ')}. Please try again later!`,];
-    }
-    let sheltersArray = this.collectShelters(foundShelters, lookupZipCodes);
+    let foundShelters = this.computeFoundShelters(lookupZipCodes);
+    let sheltersArray = this.collectShelters(foundShelters, lookupZipCodes, locale);
     sheltersArray = _dedupeArray(sheltersArray, 'shelterIndex');
+    const { eligible, heldBack } = this.applyEligibilityPolicy(sheltersArray);
+    sheltersArray = this.filterShelters(eligible, filters);
+    const heldBackCounts = this.countInRadiusShelters(
+      this.filterShelters(heldBack, filters),
+      lookupZipCodes.map((z) => z.zip)
+    );
+    const params = {
+      noun: this.resourceNoun(locale),
+      filters: catalog.filterLabels(locale, filters),
+      places: sentZipCodes.map(_lookupLabel)
+    };
+    if (sheltersArray.length == 0) {
+      const heldBackCount = Math.max(0, ...Object.values(heldBackCounts));
+      return {
+        groups: [[catalog.translate(locale, 'notFound', { ...params, heldBack: heldBackCount })]],
+        shelters: []
+      };
+    }
+
+    const n = this.sheltersPerLookup;
+    const sorts = this.sortedShelterListsByLookupZip(sheltersArray, lookupZipCodes.map((z) => z.zip), n, page * n);
+    const shelters = [].concat(...Object.values(sorts));
+    if (page > 0) {
+      if (shelters.length == 0) {
+        return { groups: [[catalog.translate(locale, 'noMore', params)]], shelters: [] };
+      }
+      for (let zip in sorts) {
+        if (sorts[zip].length == 0) { delete sorts[zip]; }
+      }
+      return { groups: this.buildMessageEntries(sorts, filters, {}, true, locale), shelters };
+    }
+    return { groups: this.buildMessageEntries(sorts, filters, heldBackCounts, false, locale), shelters };
+  }
+
+  /**
+   * Build the warning added to replies when the location data hasn't been updated within the staleAfter window
+   * @param {string} locale - (optional) the MessageCatalog locale (default: 'en')
+   * @returns {string|null} - the warning, or null if the data is fresh
+   */
+  staleDataBanner (locale = 'en') {
+    const age = this.now() - this.dataUpdatedAt;
+    if (!(age > this.staleAfter)) { return null; }
+    return this.messageCatalog.translate(locale, 'staleData', { minutes: age / 60000 });
+  }
+
+  /**
+   * Get how long ago a shelter record was last updated, from the first of SheltersFinder.UPDATED_FIELDS it has
+   * @param {Object} shelterRecord - the shelter record object
+   * @returns {number|null} - the age in minutes (never negative), or null if the record has no valid update time
+   */
+  recordAgeMinutes (shelterRecord) {
+    const field = SheltersFinder.UPDATED_FIELDS.find((f) => shelterRecord[f]);
+    const updatedAt = field ? Date.parse(shelterRecord[field]) : NaN;
+    if (Number.isNaN(updatedAt)) { return null; }
+    return Math.max(0, (this.now() - updatedAt) / 60000);
+  }
+
+  /**
+   * Get the word for the resource in a locale, e.g. "shelters"
+   * @param {string} locale - (optional) the MessageCatalog locale (default: 'en')
+   * @returns {string} - the noun
+   */
+  resourceNoun (locale = 'en') {
+    return this.messageCatalog.resourceNoun(locale, this.resource);
+  }
 
-    const sorts = this.sortedShelterListsByLookupZip(sheltersArray, lookupZipCodes.map((z) => z.zip), 3);
-    const messages = this.buildMessages(sorts);
-    return messages;
+  /**
+   * Construct the entry for a shelter in a reply, from the resource's template if it has one. Lines of the
+   * template whose {property} placeholders are all empty are left out.
+   * @param {Object} shelterRecord - the shelter record object
+   * @param {string} locale - (optional) the MessageCatalog locale for the marks (default: 'en')
+   * @returns {string} - the entry, without the distance
+   */
+  buildEntry (shelterRecord, locale = 'en') {
+    const { shelter, address, phone } = shelterRecord;
+    const marks = this.eligibilityMarks(shelterRecord, locale);
+    if (!this.resource.template) {
+      return `${shelter}${marks}\n${address}${phone ? `\n${phone}` : ''}`;
+    }
+    const lines = this.resource.template.split('\n')
+      .map((line) => {
+        let filled = false;
+        const text = line.replace(/\{(\w+)\}/g, (_m, field) => {
+          const value = shelterRecord[field];
+          if (value === undefined || value === null || value === '') { return ''; }
+          filled = true;
+          return value;
+        });
+        return (filled || !/\{\w+\}/.test(line)) ? text.trim() : '';
+      })
+      .filter((line) => line.length > 0);
+    if (lines.length > 0) { lines[0] += marks; }
+    return lines.join('\n');
+  }
+
+  /**
+   * Construct a message with all the details we know about a shelter
+   * @param {Object} shelterRecord - the shelter record object
+   * @param {string} locale - (optional) the MessageCatalog locale to reply in (default: 'en')
+   * @returns {string} - the details message
+   */
+  buildDetailsMessage (shelterRecord, locale = 'en') {
+    const { shelter, address, phone, accepting, pets, pets_notes, special_needs, notes } = shelterRecord;
+    const label = (field) => this.messageCatalog.detailLabel(locale, field);
+    const lines = [`${shelter}${this.eligibilityMarks(shelterRecord, locale)}`, address];
+    if (phone) { lines.push(`${label('phone')}: ${phone}`); }
+    if (accepting) { lines.push(`${label('accepting')}: ${accepting}`); }
+    if (pets) { lines.push(`${label('pets')}: ${pets}${pets_notes ? ` (${pets_notes})` : ''}`); }
+    if (special_needs) { lines.push(`${label('special_needs')}: ${special_needs}`); }
+    if (notes) { lines.push(`${label('notes')}: ${notes}`); }
+    const age = this.recordAgeMinutes(shelterRecord);
+    if (age !== null) {
+      lines.push(`${label('updated')}: ${this.messageCatalog.translate(locale, 'age', { minutes: age })}`);
+    }
+    const link = this.mapLinker.link(shelterRecord);
+    if (link) { lines.push(link); }
+    return lines.join('\n');
+  }
+
+  /**
+   * Find the shelters that opened between two versions of the location data: those added, and those that started
+   * accepting people. Shelters are matched between versions by their id, or failing that their name and address.
+   * @param {Map<string,Array<Object>>} previousData - the previous shelter location geodata
+   * @param {Map<string,Array<Object>>} locationData - (optional) the new shelter location geodata
+   *   (default: the current geodata)
+   * @returns {Array<Object>} - the shelter records that opened, excluding archived and full ones
+   */
+  openedShelters (previousData, locationData = this.locationData) {
+    const previous = new Map();
+    for (let record of _locationRecords(previousData)) {
+      previous.set(_recordKey(record), record);
+    }
+    const { archived, full } = SheltersFinder.ELIGIBILITY;
+    return _locationRecords(locationData).filter((record) => {
+      if (archived.test(record) || full.test(record)) { return false; }
+      const before = previous.get(_recordKey(record));
+      return before === undefined || (!_isAccepting(before) && _isAccepting(record));
+    });
+  }
+
+  /**
+   * Construct the alert messages telling a subscriber about the opened shelters near them
+   * @param {Array<Object>} shelters - the shelter records that opened, e.g. from openedShelters
+   * @param {Array<string|Object>} zips - the zipcodes or LocationExtractor locations the subscriber watches
+   * @param {string} locale - (optional) the MessageCatalog locale to alert in (default: 'en')
+   * @returns {Array<string>} - the messages, empty if none of the shelters are within the radius of the zips
+   */
+  buildAlertMessages (shelters, zips, locale = 'en') {
+    const lookupZipCodes = this.augmentLookupZipCodes(zips);
+    const lookups = lookupZipCodes.map((z) => z.zip);
+    const nearby = this.collectShelters(shelters, lookupZipCodes, locale)
+      .filter((sh) => lookups.some((zip) => sh.inRadius[zip]));
+    if (nearby.length == 0) { return []; }
+    const sorts = this.sortedShelterListsByLookupZip(nearby, lookups, this.sheltersPerLookup);
+    for (let zip in sorts) {
+      if (sorts[zip].length == 0) { delete sorts[zip]; }
+    }
+    const groups = this.buildMessageEntries(sorts, [], {}, false, locale);
+    const catalog = this.messageCatalog;
+    groups[0][0] = `${catalog.translate(locale, 'alert', { noun: this.resourceNoun(locale) })}\n\n${groups[0][0]}`;
+    groups[groups.length - 1].push(`\n\n${catalog.translate(locale, 'alertFooter')}`);
+    return this.packMessages(groups);
+  }
+
+  /**
+   * Split shelters into those eligible to be sent and those held back by the eligibility policy
+   * @param {Array<Object>} shelters - the array of shelters
+   * @returns {Object} - the eligible and heldBack arrays of shelters
+   */
+  applyEligibilityPolicy (shelters) {
+    const excluded = Object.keys(this.eligibilityPolicy)
+      .filter((key) => this.eligibilityPolicy[key] === 'exclude')
+      .map((key) => SheltersFinder.ELIGIBILITY[key].test);
+    const eligible = [], heldBack = [];
+    for (let sh of shelters) {
+      (excluded.some((test) => test(sh)) ? heldBack : eligible).push(sh);
+    }
+    return { eligible, heldBack };
+  }
+
+  /**
+   * Build the suffix marking a shelter per the eligibility policy, e.g. " (FULL)"
+   * @param {Object} shelterRecord - the shelter record object
+   * @param {string} locale - (optional) the MessageCatalog locale to mark in (default: 'en')
+   * @returns {string} - the marks, or an empty string if there are none
+   */
+  eligibilityMarks (shelterRecord, locale = 'en') {
+    return Object.keys(this.eligibilityPolicy)
+      .filter((key) => this.eligibilityPolicy[key] === 'mark')
+      .filter((key) => SheltersFinder.ELIGIBILITY[key].test(shelterRecord))
+      .map((key) => ` (${this.messageCatalog.mark(locale, key)})`)
+      .join('');
+  }
+
+  /**
+   * Return the array of shelters matching every one of the filters
+   * @param {Array<Object>} shelters - the array of shelters
+   * @param {Array<string>} filters - the SheltersFinder.FILTERS keys to apply
+   * @returns {Array<Object>} - the filtered array of shelters
+   */
+  filterShelters (shelters, filters) {
+    const tests = filters.map((f) => SheltersFinder.FILTERS[f].test);
+    return shelters.filter((sh) => tests.every((test) => test(sh)));
   }
 
   /**
@@ -55,36 +361,39 @@ export default class SheltersFinder {
   }
   
   /**
-   * Augment the zipcodes with zip information and zips in radius
-   * @param {Array<string>} zips - the array of zipcodes to augment
+   * Augment the zipcodes with zip information and coordinates. Locations are keyed by their label.
+   * @param {Array<string|Object>} zips - the array of zipcodes or LocationExtractor locations to augment
    * @returns {Array<Object>} - the array of augmented zipcodes
    */
   augmentLookupZipCodes (zips) {
     return zips.map((zip) => {
+      if (typeof zip === 'object') {
+        return {
+          zip: zip.label,
+          info: zip,
+          latlon: new LatLon(zip.latitude, zip.longitude)
+        };
+      }
       const zipInfo = zipcodes.lookup(zip);
       return {
         zip: zipInfo.zip,
         info: zipInfo,
-        latlon: new LatLon(zipInfo.latitude, zipInfo.longitude),
-        zipsInMileRadius: zipcodes.radius(zipInfo.zip, this.mileRadius)
+        latlon: new LatLon(zipInfo.latitude, zipInfo.longitude)
       };
     });
   }
 
   /**
-   * Compute the shelters found in the known zip codes from the lookups
-   * @param {Array<Object>} lookupZipCodes - the zipcodes to perform the lookup with
-   * @param {Array<Object>} knownZipCodes - the known zipcodes among the shelters
-   * @returns {Array<Object>} - the array of shelters found from the lookup
+   * Compute the shelters within the mile radius of any of the lookups, by the shelters' own coordinates
+   * @param {Array<Object>} lookupZipCodes - the augmented zipcodes to perform the lookup with
+   * @returns {Array<Object>} - the array of shelter records found from the lookup
    */
-  computeFoundShelters (lookupZipCodes, knownZipCodes) {
+  computeFoundShelters (lookupZipCodes) {
     let foundShelters = [];
     lookupZipCodes.forEach((z) => {
-      knownZipCodes.forEach((known) => {
-        if (z.zipsInMileRadius.indexOf(known.toString()) >= 0) {
-          foundShelters.push(known.toString());
-        }
-      });
+      foundShelters = foundShelters.concat(
+        this.spatialIndex.search(z.latlon.lat, z.latlon.lon, this.mileRadius)
+      );
     });
     return foundShelters;
   }
@@ -94,60 +403,37 @@ export default class SheltersFinder {
    * in the radius from the lookups, and with the message segment
    * @param {Object} shelterRecord - the shelter record object
    * @param {Array<Object>} lookupZipCodes - the array of lookups
+   * @param {string} locale - (optional) the MessageCatalog locale for the message segment (default: 'en')
    * @returns {Array<Object>} - the augmented shelter record
    */
-  augmentShelterRecord (shelterRecord, lookupZipCodes) {
-    const { shelter, address, phone } = shelterRecord;
+  augmentShelterRecord (shelterRecord, lookupZipCodes, locale = 'en') {
     const shelterLatLon = new LatLon(shelterRecord.latitude, shelterRecord.longitude);
-    const shelterDistancesFromLookupZips = Array.from(
-      lookupZipCodes.map((zip) => {
-        return zip.latlon.distanceTo(shelterLatLon);
-      })
-    );
-    const zipInMileRadiusFromShelter = Array.from(
-      lookupZipCodes.map((zip) => {
-        return zip.zipsInMileRadius.includes(shelterRecord.zip);
-      })
-    );
+    const maxMeters = this.mileRadius * SpatialIndex.METERS_PER_MILE;
     const distances = {};
     const inRadius = {};
-    for (let idx in lookupZipCodes) {
-      const zip = lookupZipCodes[idx].zip;
-      distances[zip] = shelterDistancesFromLookupZips[idx]; 
-      inRadius[zip] = zipInMileRadiusFromShelter[idx];
+    for (let lookup of lookupZipCodes) {
+      distances[lookup.zip] = lookup.latlon.distanceTo(shelterLatLon);
+      inRadius[lookup.zip] = distances[lookup.zip] <= maxMeters;
     }
     return {
       ...shelterRecord,
       distances: distances,
       inRadius: inRadius,
-      message: `\n\n${shelter}\n${address}${phone ? `\n${phone}` : ''}`
+      message: `\n\n${this.buildEntry(shelterRecord, locale)}`
     };
   }
 
   /**
-   * Collect the shelters for the array of zip codes into an Array
-   * @param {Array<Object>} foundShelters - the shelters to be collected
+   * Collect the found shelters, augmented for the lookups, into an Array
+   * @param {Array<Object>} foundShelters - the shelter records to be collected
    * @param {Array<Object>} lookupZipCodes - the augmented lookup zips
+   * @param {string} locale - (optional) the MessageCatalog locale for the message segments (default: 'en')
    * @returns {Array<Object>} - the collected arrray of all relevant shelters
    */
-  collectShelters (foundShelters, lookupZipCodes) {
-    let sheltersArray = [];
-    for (let zip of foundShelters) {
-      const loc = this.locationData.get(zip);
-      if (loc) {
-        const shelters = Array.from(loc);
-        sheltersArray = sheltersArray.concat(
-          shelters.map(
-            (shelterRecord) => {
-              return this.augmentShelterRecord(shelterRecord, lookupZipCodes)
-            }
-          )
-        );
-      } else {
-        console.warn(`Unexpected missing zip: ${zip}`);
-      }
-    }
-    return sheltersArray;
+  collectShelters (foundShelters, lookupZipCodes, locale = 'en') {
+    return foundShelters.map(
+      (shelterRecord) => this.augmentShelterRecord(shelterRecord, lookupZipCodes, locale)
+    );
   }
 
   /**
@@ -160,6 +446,20 @@ export default class SheltersFinder {
     return shelters.filter((sh, _i, _a, k = lookupZip) => sh.inRadius[k]);
   }
 
+  /**
+   * Count the shelters in radius of each lookup zipcode
+   * @param {Array<Object>} shelters - the array of augmented shelter records
+   * @param {Array<string>} lookups - the lookup zipcodes
+   * @returns {Object<string,number>} - the counts keyed by lookup zipcode
+   */
+  countInRadiusShelters (shelters, lookups) {
+    const counts = {};
+    lookups.forEach((zip) => {
+      counts[zip] = this.getInRadiusShelters(shelters, zip).length;
+    });
+    return counts;
+  }
+
   /**
    * Return the array of shelters sorted by distance ascending
    * @param {Array<Object>} shelters - the array of shelters
@@ -176,10 +476,11 @@ export default class SheltersFinder {
    * Truncate the array of shelters to the amount specified
    * @param {Array<Object>} shelters - the array of shelters
    * @param {number} amount - the number of shelters to return
+   * @param {number} offset - (optional) the number of shelters to skip first (default: 0)
    * @returns {Array<Object>} - the truncated array of shelters
    */
-  truncateShelterList (shelters, amount) {
-    return shelters.slice(0, amount);
+  truncateShelterList (shelters, amount, offset = 0) {
+    return shelters.slice(offset, offset + amount);
   }
 
   /**
@@ -187,50 +488,220 @@ export default class SheltersFinder {
    * @param {Array<Object>} shelters - the array of augmented shelter records
    * @param {Array<Object>} lookups - the array of augmented lookup zipcodes
    * @param {number} sheltersPerLookup - the number of shelters to return per lookup zipcode
+   * @param {number} offset - (optional) the number of shelters to skip per lookup zipcode (default: 0)
    * @returns {Array<Object>} - the filtered, sorted and truncated array
    */
-  sortedShelterListsByLookupZip (shelters, lookups, sheltersPerLookup) {
+  sortedShelterListsByLookupZip (shelters, lookups, sheltersPerLookup, offset = 0) {
     const results = {};
     const n = sheltersPerLookup;
     lookups.forEach((zip) => {
       const filtered = this.getInRadiusShelters(shelters, zip);
       const sorted = this.sortSheltersByDistance(filtered, zip);
-      const truncated = this.truncateShelterList(sorted, n);
+      const truncated = this.truncateShelterList(sorted, n, offset);
       results[zip] = truncated;
     });
     return results;
   }
 
   /**
-   * Construct messages from sorted shelter lists by lookup zipcode
+   * Construct messages from sorted shelter lists by lookup zipcode, each lookup's shelters starting a new message
    * @param {Object} sorts - the object of sorted shelter lists keyed by lookup zipcode
-   * @returns {Array<string>} - the array of messages
+   * @param {Array<string>} filters - (optional) the SheltersFinder.FILTERS keys the shelters were filtered by (default: [])
+   * @param {Object<string,number>} heldBackCounts - (optional) the count of shelters held back by the eligibility
+   *   policy keyed by lookup zipcode (default: {})
+   * @param {boolean} more - (optional) whether these shelters follow ones already sent (default: false)
+   * @param {string} locale - (optional) the MessageCatalog locale to reply in (default: 'en')
+   * @returns {Array<string>} - the array of messages, packed within the message packer's segment budget
    */
-  buildMessages (sorts) {
-    const messages = [];
-    const milesToMeters = 1609.344, metersToMiles = 1.0 / milesToMeters;
+  buildMessages (sorts, filters = [], heldBackCounts = {}, more = false, locale = 'en') {
+    return this.packMessages(this.buildMessageEntries(sorts, filters, heldBackCounts, more, locale));
+  }
+
+  /**
+   * Construct the entries of the messages for sorted shelter lists by lookup zipcode: a header, each shelter and
+   * any note of shelters held back
+   * @param {Object} sorts - the object of sorted shelter lists keyed by lookup zipcode
+   * @param {Array<string>} filters - (optional) the SheltersFinder.FILTERS keys the shelters were filtered by (default: [])
+   * @param {Object<string,number>} heldBackCounts - (optional) the count of shelters held back by the eligibility
+   *   policy keyed by lookup zipcode (default: {})
+   * @param {boolean} more - (optional) whether these shelters follow ones already sent (default: false)
+   * @param {string} locale - (optional) the MessageCatalog locale to reply in (default: 'en')
+   * @returns {Array<Array<string>>} - the entries for each lookup zipcode
+   */
+  buildMessageEntries (sorts, filters = [], heldBackCounts = {}, more = false, locale = 'en') {
+    const catalog = this.messageCatalog;
+    const filterLabels = catalog.filterLabels(locale, filters);
+    const groups = [];
     for (let key in sorts) {
       const sheltersSort = sorts[key];
       const zipcode = key;
-      let resultString = `Found ${sheltersSort.length} shelters near ${zipcode}:`;
+      const entries = [catalog.translate(locale, 'found', {
+        noun: this.resourceNoun(locale),
+        count: sheltersSort.length, more, filters: filterLabels, place: zipcode
+      })];
       for (let shelter of sheltersSort) {
-        let dist = metersToMiles * shelter.distances[key];
+        let dist = shelter.distances[key] / SpatialIndex.METERS_PER_MILE;
         dist = (dist < 1.0 ? Math.ceil(dist * 10) / 10 : Math.ceil(dist));
-        const msg = shelter.message +
-          `\n${dist < 1 ? 'Under 1' : `About ${dist}`}mi away`;
-        if ((resultString + msg).length > 800) {
-          messages.push(resultString);
-          resultString = '';
-        }
-        resultString += msg;
+        const age = this.recordAgeMinutes(shelter);
+        const link = this.mapLinker.link(shelter);
+        entries.push(shelter.message +
+          `\n${catalog.translate(locale, 'distance', { miles: dist })}` +
+          (age === null ? '' : `, ${catalog.translate(locale, 'updated', { minutes: age })}`) +
+          (link ? `\n${link}` : ''));
       }
-      if (resultString.length > 0) { messages.push(resultString) }
+      if (heldBackCounts[key] > 0) {
+        entries.push(`\n\n${catalog.translate(locale, 'heldBack', { count: heldBackCounts[key] })}`);
+      }
+      groups.push(entries);
     }
-    return messages;
+    return groups;
+  }
+
+  /**
+   * Pack groups of message entries into messages, starting a new message for each group
+   * @param {Array<Array<string>>} groups - the entries of each group, e.g. from buildMessageEntries
+   * @returns {Array<string>} - the messages
+   */
+  packMessages (groups) {
+    return groups.reduce((messages, entries) => messages.concat(this.messagePacker.pack(entries)), []);
   }
 }
 
+/**
+ * Default number of shelters sent per lookup zipcode in each page of results.
+ */
+SheltersFinder.DEFAULT_SHELTERS_PER_LOOKUP = 3;
+
+/**
+ * Filters that can be requested by keyword to narrow the shelters found,
+ * each with the English keywords that request it and the test a shelter
+ * record must pass. Labels and other languages' keywords are in the locale
+ * bundles.
+ */
+SheltersFinder.FILTERS = {
+  PETS: {
+    keywords: ['PETS', 'PET', 'ANIMALS'],
+    test: (sh) => _isAffirmative(sh.pets)
+  },
+  ACCEPTING: {
+    keywords: ['ACCEPTING', 'OPEN'],
+    test: (sh) => _isAccepting(sh)
+  },
+  SPECIAL_NEEDS: {
+    keywords: ['SPECIAL NEEDS', 'MEDICAL', 'ACCESSIBLE'],
+    test: (sh) => _isAffirmative(sh.special_needs)
+  }
+};
+
+/**
+ * Conditions under which a shelter may be held back from or marked in
+ * replies, each with the test a shelter record must pass to meet it. The
+ * marks added to a marked shelter's name are in the locale bundles.
+ */
+SheltersFinder.ELIGIBILITY = {
+  archived: {
+    test: (sh) => sh.archived === true
+  },
+  full: {
+    test: (sh) => sh.accepting === false || (typeof sh.accepting === 'string' && /^\s*(no|full)\b/i.test(sh.accepting))
+  }
+};
+
+/**
+ * Default treatment of each eligibility condition: archived and full
+ * shelters are both dropped, as replies say how many were not shown.
+ */
+SheltersFinder.DEFAULT_ELIGIBILITY_POLICY = {
+  archived: 'exclude',
+  full: 'exclude'
+};
+
+/**
+ * Default milliseconds after the last data update from which replies warn
+ * that the data may be out of date (one hour).
+ */
+SheltersFinder.DEFAULT_STALE_AFTER = 60 * 60 * 1000;
+
+/**
+ * Record properties holding when a shelter was last updated, in order of preference.
+ */
+SheltersFinder.UPDATED_FIELDS = ['updated_at', 'last_updated', 'updatedAt'];
+
+/**
+ * Built-in kinds of resource, keyed by name, each with the keywords (in any
+ * language) that ask for it. Their nouns are in the locale bundles. Other
+ * resources can be configured with their own keywords and nouns.
+ */
+SheltersFinder.RESOURCES = {
+  shelters: {
+    keywords: ['SHELTER', 'SHELTERS', 'REFUGIO', 'REFUGIOS', 'NƠI TRÚ ẨN', 'NOI TRU AN']
+  },
+  food: {
+    keywords: ['FOOD', 'MEAL', 'MEALS', 'COMIDA', 'THỰC PHẨM', 'THUC PHAM']
+  },
+  water: {
+    keywords: ['WATER', 'AGUA', 'NƯỚC', 'NUOC']
+  }
+};
+
+/**
+ * Name of the resource a SheltersFinder finds when none is given.
+ */
+SheltersFinder.DEFAULT_RESOURCE = 'shelters';
+
+/**
+ * The keyword aliases for each of the filters, suitable for a KeywordExtractor
+ * @returns {Object<string,Array<string>>} - the keyword aliases keyed by filter
+ */
+SheltersFinder.filterKeywords = function () {
+  const keywords = {};
+  for (let key in SheltersFinder.FILTERS) {
+    keywords[key] = SheltersFinder.FILTERS[key].keywords;
+  }
+  return keywords;
+};
+
 // Helper functions
+export const _isAffirmative = function (value) {
+  if (value === true) { return true; }
+  if (typeof value !== 'string' || value.trim() === '') { return false; }
+  return !/^(no|n|false|none|unknown|n\/a)\b/i.test(value.trim());
+};
+
+export const _isAccepting = function (shelter) {
+  return _isAffirmative(shelter.accepting) && !SheltersFinder.ELIGIBILITY.full.test(shelter);
+};
+
+export const _resolveResource = function (resource) {
+  const name = resource.name || SheltersFinder.DEFAULT_RESOURCE;
+  const preset = SheltersFinder.RESOURCES[name] || {};
+  return {
+    name,
+    keywords: resource.keywords || preset.keywords || [],
+    nouns: { ...preset.nouns, ...resource.nouns },
+    template: resource.template || preset.template || null,
+    source: resource.source || (resource.url ? url.parse(resource.url).hostname : null)
+  };
+};
+
+export const _locationRecords = function (locationData) {
+  const records = [];
+  if (locationData && typeof locationData.values === 'function') {
+    for (let zipRecords of locationData.values()) {
+      records.push(...zipRecords);
+    }
+  }
+  return records;
+};
+
+export const _recordKey = function (record) {
+  return record.id !== undefined && record.id !== null ? `id:${record.id}` : `${record.shelter}|${record.address}`;
+};
+
+export const _lookupLabel = function (lookup) {
+  return typeof lookup === 'object' ? lookup.label : lookup;
+};
+
 export const _dedupeArray = function (arr, key) {
   let a = _deepCopyArray(arr).reverse();
   a = a.filter(function (e, i, a) {
@@ -0,0 +1,68 @@
+import { validateRequest } from 'twilio/lib/webhooks/webhooks';
+import Logger from './logger';
+
+/**
+ * Class that checks inbound webhook requests were signed by Twilio with
+ * the account's auth token, per the X-Twilio-Signature header
+ */
+export default class SignatureValidator {
+  /**
+   * Class constructor
+   * @param {string} authToken - the Twilio auth token requests are signed with
+   * @param {string} baseUrl - (optional) the public URL the app is reached at (e.g. "https://bot.example.org"), since
+   *   Twilio signs the URL it requested, not the one seen behind an SSL-terminating proxy (default: from the request)
+   * @param {boolean} allowUnsigned - (optional) whether to let requests without a signature through, for testing;
+   *   requests with a bad signature are still rejected (default: false)
+   * @param {Logger} logger - (optional) the logger to log rejected requests with (default: Logger.root)
+   * @returns {SignatureValidator} - the created SignatureValidator instance
+   */
+  constructor (authToken, baseUrl = null, allowUnsigned = false, logger = Logger.root) {
+    if (!authToken && !allowUnsigned) {
+      throw new Error('A Twilio auth token is required to validate requests');
+    }
+    this.authToken = authToken;
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.allowUnsigned = allowUnsigned;
+    this.logger = logger;
+  }
+
+  /**
+   * Build the Express middleware rejecting requests without a valid signature with 403 Forbidden
+   * @returns {Function} - the middleware, to run after the body is parsed
+   */
+  middleware () {
+    return (req, res, next) => {
+      if (this.isValid(req)) {
+        next();
+        return;
+      }
+      this.logger.warn('Rejected request with a missing or invalid X-Twilio-Signature', {
+        method: req.method,
+        url: req.originalUrl
+      });
+      res.status(403).type('text/plain').send('Forbidden');
+    };
+  }
+
+  /**
+   * Check a request's signature
+   * @param {express.Request} req - the request, with its form body parsed
+   * @returns {boolean} - whether the request may be handled
+   */
+  isValid (req) {
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature) { return this.allowUnsigned; }
+    if (!this.authToken) { return false; }
+    return validateRequest(this.authToken, signature, this.requestUrl(req), req.body || {});
+  }
+
+  /**
+   * Rebuild the URL Twilio requested
+   * @param {express.Request} req - the request
+   * @returns {string} - the full URL, including any query string
+   */
+  requestUrl (req) {
+    const base = this.baseUrl || `${req.protocol}://${req.get('Host')}`;
+    return `${base}${req.originalUrl}`;
+  }
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+const mkdir = util.promisify(fs.mkdir);
+
+import Logger from './logger';
+
+/**
+ * Class that keeps a snapshot of the last good location data in a local
+ * file, so a restarted server has data to answer with before its first
+ * update succeeds
+ */
+export default class SnapshotStore {
+  /**
+   * Class constructor
+   * @param {string} filePath - the path of the snapshot file
+   * @param {number} maxAge - (optional) the age in milliseconds past which a snapshot is not loaded
+   *   (default: SnapshotStore.DEFAULT_MAX_AGE)
+   * @param {Logger} logger - (optional) the logger to log snapshots not loaded with (default: Logger.root)
+   * @returns {SnapshotStore} - the created SnapshotStore instance
+   */
+  constructor (filePath, maxAge = SnapshotStore.DEFAULT_MAX_AGE, logger = Logger.root) {
+    this.filePath = filePath;
+    this.maxAge = maxAge;
+    this.logger = logger;
+  }
+
+  /**
+   * Save location data as the snapshot, replacing the file only once the new one is completely written
+   * @param {Map<string,Array<Object>>} locationData - the location data
+   * @param {Date} savedAt - (optional) when the data was loaded (default: now)
+   * @returns {Promise<void>} - resolves once the snapshot is saved
+   */
+  save (locationData, savedAt = new Date()) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const snapshot = { savedAt: savedAt.toISOString(), entries: Array.from(locationData.entries()) };
+    return mkdir(path.dirname(this.filePath), { recursive: true })
+      .then(() => writeFile(tempPath, JSON.stringify(snapshot)))
+      .then(() => rename(tempPath, this.filePath));
+  }
+
+  /**
+   * Load the snapshot, if there is one no older than the maximum age
+   * @param {Date} now - (optional) the time to measure the snapshot's age from (default: now)
+   * @returns {Promise<Object|null>} - the location data Map and when it was saved, or null if there is no usable
+   *   snapshot
+   */
+  load (now = new Date()) {
+    return readFile(this.filePath, 'utf8')
+      .then((text) => {
+        const snapshot = JSON.parse(text);
+        const savedAt = new Date(snapshot.savedAt);
+        if (Number.isNaN(savedAt.getTime()) || !Array.isArray(snapshot.entries)) {
+          throw new Error('not a location data snapshot');
+        }
+        if (now - savedAt > this.maxAge) {
+          this.logger.info('Ignoring snapshot older than the maximum age', { filePath: this.filePath, savedAt });
+          return null;
+        }
+        return { data: new Map(snapshot.entries), savedAt };
+      })
+      .catch((e) => {
+        if (e.code !== 'ENOENT') {
+          this.logger.error('Failed to load snapshot', { filePath: this.filePath, error: e });
+        }
+        return null;
+      });
+  }
+}
+
+/**
+ * Default age in milliseconds past which a snapshot is not loaded (one day).
+ */
+SnapshotStore.DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
@@ -0,0 +1,104 @@
+import LatLon from 'geodesy/latlon-ellipsoidal-vincenty';
+
+/**
+ * Class that indexes location records by their own coordinates in a grid
+ * of latitude/longitude cells, so radius searches only measure the
+ * distance to records in nearby cells
+ */
+export default class SpatialIndex {
+  /**
+   * Class constructor
+   * @param {Array<Object>} records - the records to index, each with latitude and longitude properties
+   *   (records without valid coordinates are left out)
+   * @param {number} cellSize - (optional) the size of each grid cell in degrees (default: SpatialIndex.DEFAULT_CELL_SIZE)
+   * @returns {SpatialIndex} - the created SpatialIndex instance
+   */
+  constructor (records, cellSize = SpatialIndex.DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.size = 0;
+    for (let record of records) {
+      const latitude = parseFloat(record.latitude), longitude = parseFloat(record.longitude);
+      if (!_isValidCoordinate(latitude, longitude)) { continue; }
+      const key = this.cellKey(this.cellIndex(latitude), this.cellIndex(longitude));
+      if (!this.cells.has(key)) {
+        this.cells.set(key, []);
+      }
+      this.cells.get(key).push({ record, latlon: new LatLon(latitude, longitude) });
+      this.size += 1;
+    }
+  }
+
+  /**
+   * Get the grid row or column a coordinate falls in
+   * @param {number} degrees - the latitude or longitude
+   * @returns {number} - the cell index
+   */
+  cellIndex (degrees) {
+    return Math.floor(degrees / this.cellSize);
+  }
+
+  /**
+   * Get the key of a grid cell
+   * @param {number} row - the latitude cell index
+   * @param {number} column - the longitude cell index
+   * @returns {string} - the cell key
+   */
+  cellKey (row, column) {
+    return `${row}:${column}`;
+  }
+
+  /**
+   * Find the records within a radius of a point, measured with the same
+   * Vincenty distance used to report distances to texters
+   * @param {number} latitude - the latitude of the point to search from
+   * @param {number} longitude - the longitude of the point to search from
+   * @param {number} mileRadius - the radius in miles to search within
+   * @returns {Array<Object>} - the records in radius, nearest first
+   */
+  search (latitude, longitude, mileRadius) {
+    if (!_isValidCoordinate(latitude, longitude)) { return []; }
+    const origin = new LatLon(latitude, longitude);
+    const maxMeters = mileRadius * SpatialIndex.METERS_PER_MILE;
+    const latDelta = mileRadius / SpatialIndex.MILES_PER_DEGREE;
+    const cosLat = Math.max(Math.cos(Math.min(89, Math.abs(latitude) + latDelta) * Math.PI / 180), 0.01);
+    const lonDelta = Math.min(180, latDelta / cosLat);
+    const found = [];
+    for (let row = this.cellIndex(latitude - latDelta); row <= this.cellIndex(latitude + latDelta); row++) {
+      for (let col = this.cellIndex(longitude - lonDelta); col <= this.cellIndex(longitude + lonDelta); col++) {
+        const cell = this.cells.get(this.cellKey(row, col));
+        if (!cell) { continue; }
+        for (let entry of cell) {
+          const distance = origin.distanceTo(entry.latlon);
+          if (distance <= maxMeters) {
+            found.push({ record: entry.record, distance });
+          }
+        }
+      }
+    }
+    return found
+      .sort((a, b) => a.distance - b.distance)
+      .map((f) => f.record);
+  }
+}
+
+/**
+ * Default grid cell size in degrees (about 35 miles of latitude).
+ */
+SpatialIndex.DEFAULT_CELL_SIZE = 0.5;
+
+/**
+ * Meters in a statute mile.
+ */
+SpatialIndex.METERS_PER_MILE = 1609.344;
+
+/**
+ * Conservative (smallest) miles per degree of latitude, so searches never miss a cell.
+ */
+SpatialIndex.MILES_PER_DEGREE = 68.7;
+
+// Helper functions
+export const _isValidCoordinate = function (latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+};
@@ -0,0 +1,98 @@
+/**
+ * Class that remembers who asked to be texted when resources open near
+ * them, and who opted out of messages (e.g. by texting STOP), keyed by
+ * phone number. An opted-out subscription is kept so START can restore
+ * it. Subscriptions are kept in memory by default; any backend
+ * implementing get/set/entries like a Map (synchronously or by returning
+ * Promises) can be provided instead.
+ */
+export default class SubscriptionStore {
+  /**
+   * Class constructor
+   * @param {Object} backend - (optional) the Map-like storage backend (default: a new Map)
+   * @returns {SubscriptionStore} - the created SubscriptionStore instance
+   */
+  constructor (backend = new Map()) {
+    this.backend = backend;
+  }
+
+  /**
+   * Get the subscription for a phone number
+   * @param {string} phoneNumber - the subscriber's phone number
+   * @returns {Promise<Object|undefined>} - the subscription, or undefined if there is none
+   */
+  get (phoneNumber) {
+    if (!phoneNumber) { return Promise.resolve(undefined); }
+    return Promise.resolve(this.backend.get(phoneNumber));
+  }
+
+  /**
+   * Check whether a phone number should be sent alerts
+   * @param {string} phoneNumber - the subscriber's phone number
+   * @returns {Promise<boolean>} - true if it is subscribed and hasn't opted out
+   */
+  isSubscribed (phoneNumber) {
+    return this.get(phoneNumber).then((subscription) => _isActive(subscription));
+  }
+
+  /**
+   * Subscribe a phone number to alerts, replacing any subscription it had and opting it back in
+   * @param {string} phoneNumber - the subscriber's phone number
+   * @param {Object} subscription - the zips (zipcodes or LocationExtractor locations) to watch, the resource name and
+   *   the MessageCatalog locale to alert in
+   * @returns {Promise<Object>} - the saved subscription
+   */
+  subscribe (phoneNumber, subscription) {
+    const saved = { ...subscription, subscribedAt: Date.now() };
+    if (!phoneNumber) { return Promise.resolve(saved); }
+    return Promise.resolve(this.backend.set(phoneNumber, saved)).then(() => saved);
+  }
+
+  /**
+   * Opt a phone number out of alerts, keeping its subscription (if any) to restore with optIn
+   * @param {string} phoneNumber - the phone number
+   * @returns {Promise<Object>} - the opted-out subscription, with no zips if there was none
+   */
+  optOut (phoneNumber) {
+    return this.get(phoneNumber)
+      .then((subscription) => {
+        const saved = { ...subscription, optedOut: true, optedOutAt: Date.now() };
+        if (!phoneNumber) { return saved; }
+        return Promise.resolve(this.backend.set(phoneNumber, saved)).then(() => saved);
+      });
+  }
+
+  /**
+   * Opt a phone number back in to alerts, restoring the subscription it had when it opted out
+   * @param {string} phoneNumber - the phone number
+   * @returns {Promise<Object|undefined>} - the restored subscription, or undefined if there was none
+   */
+  optIn (phoneNumber) {
+    return this.get(phoneNumber)
+      .then((subscription) => {
+        if (!subscription) { return undefined; }
+        const saved = { ...subscription };
+        delete saved.optedOut;
+        delete saved.optedOutAt;
+        return Promise.resolve(this.backend.set(phoneNumber, saved)).then(() => saved);
+      });
+  }
+
+  /**
+   * List the subscriptions that haven't opted out, optionally only those to one kind of resource
+   * @param {string} resource - (optional) the resource name (default: every resource)
+   * @returns {Promise<Array<Object>>} - the subscriptions, each with its phoneNumber
+   */
+  list (resource) {
+    return Promise.resolve(this.backend.entries())
+      .then((entries) => Array.from(entries)
+        .map(([phoneNumber, subscription]) => ({ ...subscription, phoneNumber }))
+        .filter((subscription) => _isActive(subscription))
+        .filter((subscription) => resource === undefined || subscription.resource === resource));
+  }
+}
+
+// Helper functions
+export const _isActive = function (subscription) {
+  return !!subscription && !subscription.optedOut && Array.isArray(subscription.zips) && subscription.zips.length > 0;
+};
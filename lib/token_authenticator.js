@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import Logger from './logger';
+
+/**
+ * Class that checks requests send a shared secret token, as
+ * "Authorization: Bearer <token>", for routes only trusted clients may use
+ */
+export default class TokenAuthenticator {
+  /**
+   * Class constructor
+   * @param {string} token - the token requests must send
+   * @param {Logger} logger - (optional) the logger to log rejected requests with (default: Logger.root)
+   * @returns {TokenAuthenticator} - the created TokenAuthenticator instance
+   */
+  constructor (token, logger = Logger.root) {
+    if (!token) {
+      throw new Error('A token is required to authenticate requests');
+    }
+    this.token = token;
+    this.logger = logger;
+  }
+
+  /**
+   * Build the Express middleware rejecting requests without the token with 401 Unauthorized
+   * @returns {Function} - the middleware
+   */
+  middleware () {
+    return (req, res, next) => {
+      if (this.isValid(req)) {
+        next();
+        return;
+      }
+      this.logger.warn('Rejected request with a missing or wrong token', { method: req.method, url: req.originalUrl });
+      res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'Unauthorized' });
+    };
+  }
+
+  /**
+   * Check a request's token
+   * @param {express.Request} req - the request
+   * @returns {boolean} - whether the request sent the token
+   */
+  isValid (req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match !== null && _tokensMatch(match[1], this.token);
+  }
+}
+
+// Helper functions
+export const _tokensMatch = function (given, expected) {
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
@@ -0,0 +1,40 @@
+import DataUpdater from './data_updater';
+import DataValidator from './data_validator';
+import Logger from './logger';
+
+/* Worker process for DataUpdater#fetchLocationDataInWorker: fetches and
+   parses the location data off the main process's event loop, and sends
+   it back as the entries of the location data Map. See
+   DataUpdater.WORKER_PATH for the IPC protocol. */
+process.on('message', (message) => {
+  if (!message || message.type !== 'fetch') {
+    Logger.root.error('Update worker received unknown message', { received: message });
+    return;
+  }
+  Logger.root.setLevel(message.log.level);
+  const log = Logger.root.child(message.log.fields);
+  const updater = new DataUpdater(message.dataUrl, message.fields, message.format, false,
+    DataUpdater.WORKER_TIMEOUT, DataUpdater.WORKER_RETRIES, log);
+  const { maxDrop, maxRejected, maxZipMiles, dropConfirmations } = message.validator;
+  updater.validator = new DataValidator(maxDrop, maxRejected, maxZipMiles, dropConfirmations);
+  updater.etag = message.etag;
+  updater.lastModified = message.lastModified;
+  updater.fetchLocationData(message.previousFeatureCount)
+    .then((data) => {
+      if (data === null) {
+        process.send({ type: 'notModified', id: message.id });
+        return;
+      }
+      process.send({
+        type: 'result',
+        id: message.id,
+        entries: Array.from(data.entries()),
+        etag: updater.etag,
+        lastModified: updater.lastModified
+      });
+    })
+    .catch((e) => {
+      process.send({ type: 'error', id: message.id, message: e.message, droppedFeatureCount: e.droppedFeatureCount });
+    });
+});
+process.send({ type: 'ready' });
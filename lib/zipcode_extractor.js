@@ -6,27 +6,31 @@ import zipcodes from 'zipcodes';
 export default class ZipcodeExtractor {
   /**
    * Constructor
+   * @param {number} maxZipCodes - (optional) the most zipcodes to extract from one message, the first found
+   *   (default: Infinity, for no limit)
    * @returns {ZipcodeExtractor} - the created ZipcodeExtractor instance
    */
-  constructor () { }
+  constructor (maxZipCodes = Infinity) {
+    this.maxZipCodes = maxZipCodes;
+  }
   
   /**
-   * Extracts zipcode strings from the message string
+   * Extracts zipcode strings from the message string, each once
    * @param {string} message - the message string to extract from
-   * @returns {Array<string>} - the resulting array of zipcode strings
+   * @returns {Array<string>} - the resulting array of zipcode strings, at most maxZipCodes
    */
   extractMessageZipCodes (message) {
     const zipCodeRegex = RegExp('[0-9]{5}', 'g');
     let matches = [];
     let match;
-    while ((match = zipCodeRegex.exec(message)) != null) {
-      matches.push(match[0]).toString();
+    while (matches.length < this.maxZipCodes && (match = zipCodeRegex.exec(message)) != null) {
+      const z = match[0];
+      // ensure valid US/Canada zip codes found
+      const zipInfo = matches.includes(z) ? null : zipcodes.lookup(z);
+      if (zipInfo && zipInfo.hasOwnProperty('zip')) {
+        matches.push(z);
+      }
     }
-    // ensure valid US/Canada zip codes found
-    return matches.filter((z) => {
-      const zipInfo = zipcodes.lookup(z);
-      if (!zipInfo) { return false; }
-      return zipInfo.hasOwnProperty('zip');
-    });
+    return matches;
   }
 }
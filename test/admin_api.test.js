@@ -0,0 +1,112 @@
+import AdminApi from '../lib/admin_api';
+
+import { expect } from 'chai';
+import express from 'express';
+import http from 'http';
+
+// Fixtures: stand-in DataUpdaters
+const newUpdater = function (updateInProgress = false) {
+  return {
+    updateInProgress,
+    updates: 0,
+    forced: 0,
+    performUpdate (childProcess, force) {
+      this.updates += 1;
+      if (force) { this.forced += 1; }
+    },
+    status () { return { updateInProgress: this.updateInProgress, featureCount: 12, zipCount: 3 }; }
+  };
+};
+const token = 's3cret';
+
+const request = function (server, method, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port: server.address().port, method, path, headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+};
+
+describe('AdminApi', () => {
+  let updaters, server;
+  const auth = { Authorization: `Bearer ${token}` };
+
+  beforeEach((done) => {
+    updaters = { shelters: newUpdater(), food: newUpdater(true) };
+    const app = express();
+    app.use('/admin', new AdminApi(updaters, token).router());
+    server = http.createServer(app).listen(0, done);
+  });
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  describe('constructor', () => {
+    it('requires a token', () => {
+      expect(() => new AdminApi({}, '')).to.throw(/token/);
+    });
+  });
+
+  describe('authentication', () => {
+    it('rejects requests without the token', () => {
+      return request(server, 'GET', '/admin/status')
+        .then((res) => {
+          expect(res.status).to.eql(401);
+          expect(res.headers['www-authenticate']).to.eql('Bearer');
+        });
+    });
+    it('rejects requests with the wrong token', () => {
+      return request(server, 'GET', '/admin/status', { Authorization: 'Bearer nope' })
+        .then((res) => expect(res.status).to.eql(401));
+    });
+  });
+
+  describe('GET /admin/status', () => {
+    it('reports the update status of each resource', () => {
+      return request(server, 'GET', '/admin/status', auth)
+        .then((res) => {
+          expect(res.status).to.eql(200);
+          expect(res.body.resources).to.deep.eql({
+            shelters: { updateInProgress: false, featureCount: 12, zipCount: 3 },
+            food: { updateInProgress: true, featureCount: 12, zipCount: 3 }
+          });
+          expect(res.body.now).to.be.a('string');
+        });
+    });
+  });
+
+  describe('POST /admin/refresh', () => {
+    it('starts updates, skipping those in progress', () => {
+      return request(server, 'POST', '/admin/refresh', auth)
+        .then((res) => {
+          expect(res.status).to.eql(202);
+          expect(res.body).to.deep.eql({ started: ['shelters'], alreadyInProgress: ['food'] });
+          expect(updaters.shelters.updates).to.eql(1);
+          expect(updaters.food.updates).to.eql(0);
+        });
+    });
+    it('refreshes only the resource asked for', () => {
+      return request(server, 'POST', '/admin/refresh?resource=shelters', auth)
+        .then((res) => {
+          expect(res.body).to.deep.eql({ started: ['shelters'], alreadyInProgress: [] });
+          return request(server, 'POST', '/admin/refresh?resource=ice', auth);
+        })
+        .then((res) => {
+          expect(res.status).to.eql(404);
+        });
+    });
+    it('forces updates past the feature count drop check when asked to', () => {
+      return request(server, 'POST', '/admin/refresh?resource=shelters', auth)
+        .then(() => request(server, 'POST', '/admin/refresh?resource=shelters&force=true', auth))
+        .then((res) => {
+          expect(res.status).to.eql(202);
+          expect(updaters.shelters).to.include({ updates: 2, forced: 1 });
+        });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import AlertSender from '../lib/alert_sender';
+import SubscriptionStore from '../lib/subscription_store';
+import SheltersFinder from '../lib/shelters_finder';
+import DataUpdater from '../lib/data_updater';
+import Logger from '../lib/logger';
+
+import { expect } from 'chai';
+
+// Fixtures: two shelters in Uptown New Orleans, and one in Baton Rouge
+const record = (id, shelter, zip, latitude, longitude, accepting = 'yes') => ({
+  type: 'Feature',
+  properties: { id, shelter, address: `${id}00 Any Street`, zip, accepting, archived: false, latitude, longitude }
+});
+const extract = (features) => new DataUpdater('some url').extractGeoJsonData(features);
+const previousData = extract([
+  record(1, 'Shelter 1', '70118', 29.9504, -90.1236),
+  record(2, 'Shelter 2', '70118', 29.9604, -90.1236, 'no')
+]);
+const locationData = extract([
+  record(1, 'Shelter 1', '70118', 29.9504, -90.1236),
+  record(2, 'Shelter 2', '70118', 29.9604, -90.1236),
+  record(3, 'Shelter 3', '70802', 30.4515, -91.1871)
+]);
+
+const fakeClient = function () {
+  const sent = [];
+  return { sent, messages: { create: (message) => { sent.push(message); return Promise.resolve({ sid: 'SM1' }); } } };
+};
+
+describe('AlertSender', () => {
+  describe('send(...)', () => {
+    it('sends to subscribers at the limited rate', () => {
+      const client = fakeClient(), store = new SubscriptionStore();
+      const a = new AlertSender(client, '+15045550199', store, 20);
+      const start = Date.now();
+      return store.subscribe('+15045550100', { zips: ['70118'] })
+        .then(() => Promise.all([a.send('+15045550100', 'one'), a.send('+15045550100', 'two'), a.send('+15045550100', 'three')]))
+        .then((results) => {
+          expect(results).to.deep.eql([true, true, true]);
+          expect(client.sent.map((m) => m.body)).to.deep.eql(['one', 'two', 'three']);
+          expect(client.sent[0]).to.include({ to: '+15045550100', from: '+15045550199' });
+          expect(Date.now() - start).to.be.at.least(90);
+        });
+    });
+    it('drops queued messages to subscribers who opted out', () => {
+      const client = fakeClient(), store = new SubscriptionStore();
+      const a = new AlertSender(client, '+15045550199', store, 20);
+      return store.subscribe('+15045550100', { zips: ['70118'] })
+        .then(() => {
+          const sends = [a.send('+15045550100', 'one'), a.send('+15045550100', 'two')];
+          sends[0].then(() => store.optOut('+15045550100'));
+          return Promise.all(sends);
+        })
+        .then((results) => {
+          expect(results).to.deep.eql([true, false]);
+          expect(client.sent.map((m) => m.body)).to.deep.eql(['one']);
+        });
+    });
+    it('rejects when Twilio does', () => {
+      const store = new SubscriptionStore();
+      const client = { messages: { create: () => Promise.reject(new Error('Invalid number')) } };
+      const a = new AlertSender(client, '+15045550199', store, 20);
+      return store.subscribe('+15045550100', { zips: ['70118'] })
+        .then(() => a.send('+15045550100', 'one'))
+        .then(() => { throw new Error('should reject'); }, (e) => {
+          expect(e.message).to.eql('Invalid number');
+        });
+    });
+  });
+
+  describe('notify(...)', () => {
+    it('alerts the subscribers near shelters that opened', () => {
+      const client = fakeClient(), store = new SubscriptionStore();
+      const a = new AlertSender(client, '+15045550199', store, 50);
+      const finder = new SheltersFinder(locationData, 30);
+      let sends = [];
+      a.send = (to, body) => {
+        sends.push({ to, body });
+        return Promise.resolve(true);
+      };
+      return Promise.all([
+        store.subscribe('+15045550100', { zips: ['70118'], resource: 'shelters', locale: 'en' }),
+        store.subscribe('+15045550101', { zips: ['70802'], resource: 'shelters', locale: 'es' }),
+        store.subscribe('+15045550102', { zips: ['77002'], resource: 'shelters', locale: 'en' }),
+        store.subscribe('+15045550103', { zips: ['70118'], resource: 'food', locale: 'en' })
+      ])
+        .then(() => a.notify(finder, previousData))
+        .then((alerted) => {
+          expect(alerted).to.eql(2);
+          expect(sends.map((s) => s.to)).to.deep.eql(['+15045550100', '+15045550101']);
+          expect(sends[0].body).to.match(/^ALERT: More shelters are open near you\.\n\nFound 1 shelters near 70118:\n\nShelter 2\n/);
+          expect(sends[0].body).to.match(/\n\nText STOP to stop these alerts\.$/);
+          expect(sends[1].body).to.match(/^ALERTA: Hay más refugios abiertos cerca de usted\.\n\n.*\n\nShelter 3\n/);
+        });
+    });
+    it('logs the alerts that fail to send, with the error', () => {
+      const lines = [], store = new SubscriptionStore();
+      const client = { messages: { create: () => Promise.reject(new Error('Invalid number')) } };
+      const a = new AlertSender(client, '+15045550199', store, 50, new Logger({}, 'info', (line) => lines.push(line)));
+      return store.subscribe('+15045550100', { zips: ['70118'], resource: 'shelters', locale: 'en' })
+        .then(() => a.notify(new SheltersFinder(locationData, 30), previousData))
+        .then(() => new Promise((resolve) => setTimeout(resolve, 50)))
+        .then(() => {
+          const failure = lines.map((line) => JSON.parse(line)).find((e) => e.level === 'error');
+          expect(failure.message).to.eql('Failed to send alert');
+          expect(failure.error.message).to.eql('Invalid number');
+          expect(failure.error.stack).to.match(/^Error: Invalid number\n/);
+        });
+    });
+    it('alerts nobody when nothing opened', () => {
+      const a = new AlertSender(fakeClient(), '+15045550199', new SubscriptionStore());
+      return a.notify(new SheltersFinder(previousData, 30), previousData)
+        .then((alerted) => {
+          expect(alerted).to.eql(0);
+        });
+    });
+  });
+});
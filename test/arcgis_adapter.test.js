@@ -0,0 +1,57 @@
+import ArcGisAdapter, { _pointGeometry } from '../lib/input_adapters/arcgis_adapter';
+
+import { expect } from 'chai';
+import fs from 'fs';
+
+// Fixtures
+const arcGisFixture = fs.readFileSync(`${__dirname}/fixtures/arcgis.json`, 'utf8');
+
+describe('ArcGisAdapter', () => {
+  describe('parseText(...)', () => {
+    it('turns FeatureServer features into geo.json features', () => {
+      const features = new ArcGisAdapter().parseText(arcGisFixture);
+      expect(features).to.have.lengthOf(3);
+      expect(features[0].type).to.eql('Feature');
+      expect(features[0].properties).to.include({ SHELTER_NAME: 'Lexington High School', ZIP: '68850' });
+      expect(features[0].geometry.type).to.eql('Point');
+      expect(features[0].geometry.coordinates[0]).to.be.closeTo(-99.7487, 0.0001);
+      expect(features[0].geometry.coordinates[1]).to.be.closeTo(40.7868, 0.0001);
+    });
+    it('gives null for features without attributes', () => {
+      const text = JSON.stringify({ features: [{ geometry: { x: -90, y: 30 } }, { attributes: { a: 1 } }] });
+      expect(new ArcGisAdapter().parseText(text)).to.deep.eql([
+        null,
+        { type: 'Feature', geometry: null, properties: { a: 1 } }
+      ]);
+    });
+    it('rejects FeatureServer errors', () => {
+      const text = JSON.stringify({ error: { code: 400, message: 'Invalid query parameters' } });
+      expect(() => new ArcGisAdapter().parseText(text)).to.throw('ArcGIS error 400: Invalid query parameters');
+    });
+    it('rejects responses cut off at the transfer limit', () => {
+      const text = JSON.stringify({ features: [], exceededTransferLimit: true });
+      expect(() => new ArcGisAdapter().parseText(text)).to.throw(/exceeded the transfer limit/);
+    });
+    it('rejects other JSON', () => {
+      expect(() => new ArcGisAdapter().parseText('{"type":"FeatureCollection"}')).to.throw(/Not an ArcGIS/);
+    });
+  });
+
+  describe('helpers', () => {
+    describe('_pointGeometry(...)', () => {
+      it('reads WGS 84 points as they are', () => {
+        expect(_pointGeometry({ x: -90.1, y: 29.9 }, 4326)).to.deep.eql({ type: 'Point', coordinates: [-90.1, 29.9] });
+      });
+      it('projects Web Mercator points to WGS 84', () => {
+        const { coordinates } = _pointGeometry({ x: -10032669.1, y: 3497265.8 }, 102100);
+        expect(coordinates[0]).to.be.closeTo(-90.125, 0.001);
+        expect(coordinates[1]).to.be.closeTo(29.9511, 0.001);
+      });
+      it('gives null for other projections and missing points', () => {
+        expect(_pointGeometry({ x: 3000000, y: 700000 }, 2881)).to.be.null;
+        expect(_pointGeometry(null, 4326)).to.be.null;
+        expect(_pointGeometry({ x: 'NaN', y: 1 }, 4326)).to.be.null;
+      });
+    });
+  });
+});
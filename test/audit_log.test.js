@@ -0,0 +1,62 @@
+import AuditLog from '../lib/audit_log';
+import Logger from '../lib/logger';
+
+import { expect } from 'chai';
+
+const newAuditLog = function (hashKey = 'secret') {
+  const lines = [];
+  const auditLog = new AuditLog(new Logger({}, 'info', (line) => lines.push(line)), hashKey);
+  return { auditLog, entries: () => lines.map((line) => JSON.parse(line)) };
+};
+
+const reply = {
+  messages: ['Found 2 shelters near 70118:...'],
+  shelters: [{ shelter: 'Shelter 1', phone: '504-555-0100' }, { shelter: 'Shelter 2' }],
+  zips: ['70118', { label: 'Metairie, LA', latitude: 29.98, longitude: -90.15 }],
+  locale: 'en',
+  action: 'lookup'
+};
+
+describe('AuditLog', () => {
+  describe('hashSender(...)', () => {
+    it('hashes senders the same way with the same key', () => {
+      const a = newAuditLog().auditLog, b = newAuditLog().auditLog;
+      expect(a.hashSender('+15045550100')).to.match(/^[0-9a-f]{16}$/);
+      expect(a.hashSender('+15045550100')).to.eql(b.hashSender('+15045550100'));
+      expect(a.hashSender('+15045550100')).not.to.eql(a.hashSender('+15045550199'));
+    });
+    it('hashes senders differently with another key', () => {
+      const a = newAuditLog('one').auditLog, b = newAuditLog('two').auditLog;
+      expect(a.hashSender('+15045550100')).not.to.eql(b.hashSender('+15045550100'));
+    });
+    it('hashes no sender as null', () => {
+      expect(newAuditLog().auditLog.hashSender(undefined)).to.be.null;
+    });
+  });
+
+  describe('record(...)', () => {
+    it('records what was asked and answered, without the sender\'s number', () => {
+      const { auditLog, entries } = newAuditLog();
+      auditLog.record('+15045550100', reply, 3, 42);
+      const [entry] = entries();
+      expect(entry).to.deep.include({
+        level: 'info',
+        type: 'audit',
+        sender: auditLog.hashSender('+15045550100'),
+        action: 'lookup',
+        locale: 'en',
+        zips: ['70118', 'Metairie, LA'],
+        shelters: ['Shelter 1', 'Shelter 2'],
+        messages: 1,
+        segments: 3,
+        latencyMs: 42
+      });
+      expect(JSON.stringify(entry)).not.to.include('5045550100');
+    });
+    it('records with the request\'s logger', () => {
+      const { auditLog, entries } = newAuditLog();
+      auditLog.record('+15045550100', reply, null, 5, auditLog.logger.child({ requestId: 'SM123', channel: 'sms' }));
+      expect(entries()[0]).to.include({ requestId: 'SM123', channel: 'sms', segments: null });
+    });
+  });
+});
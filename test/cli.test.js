@@ -0,0 +1,108 @@
+import Cli, { _parseArgs, _dataUrl } from '../lib/cli';
+import Logger from '../lib/logger';
+
+import { expect } from 'chai';
+import { PassThrough, Writable } from 'stream';
+
+const fixturePath = `${__dirname}/fixtures/geo.json`;
+
+const newOutput = function () {
+  const output = new Writable({
+    write (chunk, encoding, callback) {
+      output.text += chunk.toString();
+      callback();
+    }
+  });
+  output.text = '';
+  return output;
+};
+
+const newCli = function () {
+  const output = newOutput(), errorOutput = newOutput();
+  const cli = new Cli(output, errorOutput, new Logger({}, 'warn', () => {}));
+  return { cli, output, errorOutput };
+};
+
+describe('Cli', () => {
+  describe('run(...)', () => {
+    it('loads a file and answers each message in turn, with segment counts', () => {
+      const { cli, output } = newCli();
+      return cli.run([fixturePath, '93555', 'DETAILS 1'])
+        .then((code) => {
+          expect(code).to.eql(0);
+          expect(output.text).to.match(/^Loaded 8 locations in 7 ZIP codes from .*geo\.json\.\n/);
+          expect(output.text).to.include('--- Message 1 of 1: 355 characters, GSM-7, 3 segments ---\n' +
+            'Found 2 shelters near 93555:\n');
+          expect(output.text).to.include('=== 1 message, 3 segments ===\n');
+          expect(output.text).to.include('Kerr McGee Community Center (Parking Lot - Outside)\n' +
+            'Ridgecrest City Hall, 100 W California Ave, Ridgecrest, CA 93555, USA\nAccepting: unknown');
+        });
+    });
+    it('answers messages read a line at a time when given none', () => {
+      const { cli, output } = newCli();
+      const input = new PassThrough();
+      const run = cli.run([fixturePath], input);
+      input.end('93555\nMORE\n');
+      return run
+        .then((code) => {
+          expect(code).to.eql(0);
+          expect(output.text).to.include('Found 2 shelters near 93555:');
+          expect(output.text).to.include('Sorry, I don\'t know about any more shelters near 93555.');
+        });
+    });
+    it('fails when the data can\'t be loaded', () => {
+      const { cli, errorOutput } = newCli();
+      return cli.run([`${__dirname}/fixtures/missing.json`, '93555'])
+        .then((code) => {
+          expect(code).to.eql(1);
+          expect(errorOutput.text).to.match(/^Couldn't load .*missing\.json: ENOENT/);
+        });
+    });
+    it('prints the usage for bad arguments', () => {
+      const { cli, errorOutput } = newCli();
+      return cli.run(['--radius'])
+        .then((code) => {
+          expect(code).to.eql(2);
+          expect(errorOutput.text).to.match(/^Missing value for --radius\n\nUsage: /);
+        });
+    });
+  });
+
+  describe('render(...)', () => {
+    it('numbers the messages and counts the segments of each as sent', () => {
+      const { cli } = newCli();
+      return cli.run(['--max-segments', '1', fixturePath, '93555'])
+        .then(() => {
+          expect(cli.render(['Hola', 'Envíe MÁS'])).to.eql(
+            '--- Message 1 of 2: 13 characters, GSM-7, 1 segment ---\n[1 of 2] Hola\n' +
+            '--- Message 2 of 2: 18 characters, UCS-2, 1 segment ---\n[2 of 2] Envíe MÁS\n' +
+            '=== 2 messages, 2 segments ===\n'
+          );
+        });
+    });
+  });
+
+  describe('_parseArgs(...)', () => {
+    it('reads the options, the source and the messages', () => {
+      const options = _parseArgs(['--format', 'csv', '--fields', '{"shelter":"NAME"}', 'shelters.csv', '70118', '-i']);
+      expect(options).to.deep.include({
+        source: 'shelters.csv',
+        messages: ['70118'],
+        format: 'csv',
+        fields: { shelter: 'NAME' },
+        interactive: true
+      });
+    });
+    it('requires a source', () => {
+      expect(() => _parseArgs([])).to.throw(/Give the file or URL/);
+      expect(_parseArgs(['--help']).help).to.be.true;
+    });
+  });
+
+  describe('_dataUrl(...)', () => {
+    it('turns file paths into file: URLs, leaving URLs as they are', () => {
+      expect(_dataUrl('/data/geo.json')).to.eql('file:///data/geo.json');
+      expect(_dataUrl('https://example.org/geo.json')).to.eql('https://example.org/geo.json');
+    });
+  });
+});
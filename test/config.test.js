@@ -0,0 +1,103 @@
+import Config, { _parseValue } from '../lib/config';
+
+import { expect } from 'chai';
+
+const env = {
+  DATA_URL: 'https://api.hurricane-response.org/api/v1/shelters/geo.json',
+  ALLOW_UNSIGNED_REQUESTS: 'true'
+};
+
+describe('Config', () => {
+  describe('constructor(...)', () => {
+    it('reads and types the settings from the environment, with defaults', () => {
+      const config = new Config({ ...env, MILE_RADIUS: '12.5', PORT: '8080', TRANSLITERATE: 'false',
+        DATA_FIELDS: '{"shelter": "SHELTER_NAME"}', DATA_MAX_DROP: '0.8' });
+      expect(config).to.deep.include({
+        port: 8080,
+        mileRadius: 12.5,
+        dataMaxDrop: 0.8,
+        transliterate: false,
+        allowUnsignedRequests: true,
+        dataFields: { shelter: 'SHELTER_NAME' },
+        logLevel: 'info',
+        resources: [],
+        maxSegments: undefined
+      });
+    });
+    it('reads a YAML file named by CONFIG_FILE, under the environment', () => {
+      const config = new Config({ CONFIG_FILE: `${__dirname}/fixtures/config.yml`, MILE_RADIUS: '40' });
+      expect(config).to.deep.include({ mileRadius: 40, maxSegments: 3, allowUnsignedRequests: true });
+      expect(config.resources[0].keywords).to.deep.eql(['FOOD', 'MEALS']);
+    });
+    it('lists every missing and invalid setting in one error', () => {
+      expect(() => new Config({ MILE_RADIUS: 'far', PORT: '70000', LOG_LEVEL: 'loud' })).to.throw(
+        'Invalid configuration:\n' +
+        '- PORT: must be at most 65535\n' +
+        '- LOG_LEVEL: expected one of debug, info, warn, error, got "loud"\n' +
+        '- DATA_URL (or dataUrl in CONFIG_FILE): required\n' +
+        '- MILE_RADIUS: expected a number, got "far"\n' +
+        '- TWILIO_AUTH_TOKEN (or twilioAuthToken in CONFIG_FILE): required unless ALLOW_UNSIGNED_REQUESTS is true'
+      );
+    });
+    it('rejects unknown and invalid settings in a JSON file', () => {
+      expect(() => new Config({ ...env, CONFIG_FILE: `${__dirname}/fixtures/config.json` })).to.throw(
+        'Invalid configuration:\n' +
+        '- shelterRadius in CONFIG_FILE: unknown setting\n' +
+        '- mileRadius in CONFIG_FILE: expected a number, got "far"'
+      );
+    });
+    it('fails when the file can\'t be read', () => {
+      expect(() => new Config({ ...env, CONFIG_FILE: `${__dirname}/fixtures/missing.yml` }))
+        .to.throw(/^Couldn't read CONFIG_FILE .*missing\.yml: ENOENT/);
+    });
+    it('checks each resource, and that each is served once', () => {
+      const resources = JSON.stringify([
+        { name: 'food', url: 'example.org/food.json', radius: 5 },
+        { name: 'shelters', url: 'https://example.org/shelters.json', sheltersPerLookup: 0 }
+      ]);
+      expect(() => new Config({ ...env, RESOURCES: resources })).to.throw(
+        'Invalid configuration:\n' +
+        '- RESOURCES[0].radius: unknown setting\n' +
+        '- RESOURCES[0].url: expected an absolute URL (http: https: file:), got "example.org/food.json"\n' +
+        '- RESOURCES[1].sheltersPerLookup: must be at least 1\n' +
+        '- RESOURCES[1].name: shelters is already served from DATA_URL'
+      );
+    });
+  });
+
+  describe('resourceDefinitions()', () => {
+    it('lists shelters, then the other resources, each with its own settings or the global ones', () => {
+      const config = new Config({ CONFIG_FILE: `${__dirname}/fixtures/config.yml`, DATA_SOURCE: 'Hurricane Response' });
+      expect(config.resourceDefinitions()).to.deep.eql([{
+        name: 'shelters',
+        url: 'https://api.hurricane-response.org/api/v1/shelters/geo.json',
+        source: 'Hurricane Response',
+        format: undefined,
+        fields: undefined,
+        mileRadius: 25,
+        sheltersPerLookup: undefined,
+        refreshIntervalMinutes: undefined
+      }, {
+        name: 'food',
+        url: 'https://example.org/food_pods/geo.json',
+        keywords: ['FOOD', 'MEALS'],
+        mileRadius: 10,
+        sheltersPerLookup: undefined,
+        refreshIntervalMinutes: 30
+      }]);
+    });
+  });
+
+  describe('_parseValue(...)', () => {
+    it('checks values against the setting\'s type', () => {
+      expect(_parseValue('3', { type: 'integer' })).to.eql(3);
+      expect(() => _parseValue('2.5', { type: 'integer' })).to.throw('expected a whole number, got "2.5"');
+      expect(() => _parseValue('0', { type: 'number', above: 0 })).to.throw('must be more than 0');
+      expect(() => _parseValue('yes', { type: 'boolean' })).to.throw('expected true or false, got "yes"');
+      expect(() => _parseValue('{"a": 1}', { type: 'array' })).to.throw('expected an array, got {"a":1}');
+      expect(() => _parseValue(['FOOD', 1], { type: 'array', items: 'string' })).to.throw(/only string values/);
+      expect(() => _parseValue(5, { type: 'string' })).to.throw('expected a string, got 5');
+      expect(_parseValue('file:///data/geo.json', { type: 'url' })).to.eql('file:///data/geo.json');
+    });
+  });
+});
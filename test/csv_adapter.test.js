@@ -0,0 +1,78 @@
+import CsvAdapter, { _parseCsv } from '../lib/input_adapters/csv_adapter';
+
+import { expect } from 'chai';
+import fs from 'fs';
+import { PassThrough } from 'stream';
+
+// Fixtures
+const csvFixture = fs.readFileSync(`${__dirname}/fixtures/shelters.csv`, 'utf8');
+
+describe('CsvAdapter', () => {
+  describe('accepts(...)', () => {
+    it('accepts the media types CSV exports are served as', () => {
+      const a = new CsvAdapter();
+      expect(a.accepts('text/csv; charset=utf-8')).to.be.true;
+      expect(a.accepts('application/octet-stream')).to.be.true;
+      expect(a.accepts('application/json')).to.be.false;
+      expect(a.accepts(undefined)).to.be.false;
+    });
+  });
+
+  describe('parseText(...)', () => {
+    it('turns each row into a feature with properties named by the header', () => {
+      const features = new CsvAdapter().parseText(csvFixture);
+      expect(features).to.have.lengthOf(3);
+      expect(features[0]).to.deep.eql({
+        type: 'Feature',
+        geometry: null,
+        properties: {
+          SHELTER_NAME: 'Lexington High School',
+          ADDRESS_1: '1308 N Adams St',
+          CITY: 'Lexington',
+          STATE: 'NE',
+          ZIP: '68850',
+          LATITUDE: '40.7868',
+          LONGITUDE: '-99.7487',
+          PHONE: null,
+          NOTES: null
+        }
+      });
+      expect(features[1].properties).to.include({
+        SHELTER_NAME: 'Kerr McGee Community Center',
+        NOTES: 'Enter on the "East" side,\nby the gym'
+      });
+    });
+    it('gives null for rows that do not match the header', () => {
+      const features = new CsvAdapter().parseText('\uFEFFname,zip\r\nA,70118\r\nB\r\n\r\nC,70119,extra\r\n');
+      expect(features).to.deep.eql([
+        { type: 'Feature', geometry: null, properties: { name: 'A', zip: '70118' } },
+        null,
+        null
+      ]);
+    });
+    it('gives no features for an empty export', () => {
+      expect(new CsvAdapter().parseText('')).to.deep.eql([]);
+    });
+  });
+
+  describe('parse(...)', () => {
+    it('reads the whole stream before parsing', () => {
+      const stream = new PassThrough();
+      const promise = new CsvAdapter().parse(stream);
+      stream.write(csvFixture.slice(0, 100));
+      stream.end(csvFixture.slice(100));
+      return promise.then((features) => {
+        expect(features).to.have.lengthOf(3);
+        expect(features[2].properties.SHELTER_NAME).to.eql('Bolton Ave. Community Center');
+      });
+    });
+  });
+
+  describe('helpers', () => {
+    describe('_parseCsv(...)', () => {
+      it('splits quoted and unquoted values across lines', () => {
+        expect(_parseCsv('a,"b ""c"", d"\n1,"2\r\n3"')).to.deep.eql([['a', 'b "c", d'], ['1', '2\r\n3']]);
+      });
+    });
+  });
+});
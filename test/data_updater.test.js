@@ -1,12 +1,16 @@
 import DataUpdater from '../lib/data_updater';
+import DataValidator from '../lib/data_validator';
 
 import { expect } from 'chai';
 import nock from 'nock';
 import fs from 'fs';
 import url from 'url';
+import http from 'http';
 
 // Fixtures
 const dataFixture = fs.readFileSync(`${__dirname}/fixtures/geo.json`);
+const csvFixture = fs.readFileSync(`${__dirname}/fixtures/shelters.csv`);
+const arcGisFixture = fs.readFileSync(`${__dirname}/fixtures/arcgis.json`);
 
 // Mock https.get
 const default_url = 'https://localhost:3000/api/v2/shelters/geo.json';
@@ -31,6 +35,269 @@ describe('DataUpdater', () => {
       const d = new DataUpdater('some_url');
       expect(d instanceof DataUpdater).to.be.true;
     });
+    it('rejects unknown feed formats', () => {
+      expect(() => new DataUpdater('some_url', {}, 'kml')).to.throw('Unknown data format: kml (expected one of geojson, csv, arcgis)');
+    });
+  });
+
+  describe('mapFeatureProperties(...)', () => {
+    it('reads mapped properties and takes missing coordinates from the geometry', () => {
+      const d = new DataUpdater('some_url', { shelter: 'site_name', zip: 'postal_code' });
+      const properties = d.mapFeatureProperties({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [-90.1236, 29.9504] },
+        properties: { site_name: 'Food Bank', postal_code: '70118' }
+      });
+      expect(properties).to.include({ shelter: 'Food Bank', zip: '70118', latitude: 29.9504, longitude: -90.1236 });
+    });
+  });
+
+  describe('status()', () => {
+    it('reports the last successful update and recent failures', () => {
+      const d = new DataUpdater('some_url');
+      expect(d.status()).to.include({ lastSuccessfulUpdateAt: null, featureCount: 0, zipCount: 0 });
+      d.recordUpdate(new Map([['70118', [{}, {}]], ['70119', [{}]]]));
+      for (let i = 0; i < DataUpdater.MAX_FAILURES + 1; i++) {
+        d.recordFailure(new Error(`failure ${i}`));
+      }
+      const status = d.status();
+      expect(status.lastSuccessfulUpdateAt).to.be.instanceOf(Date);
+      expect(status).to.include({ updateInProgress: false, featureCount: 3, zipCount: 2 });
+      expect(status.failures).to.have.lengthOf(DataUpdater.MAX_FAILURES);
+      expect(status.failures[0].error).to.eql('failure 1');
+    });
+  });
+
+  describe('validateLocationData(...)', () => {
+    const features = JSON.parse(dataFixture.toString()).features;
+    it('drops invalid features', () => {
+      const d = new DataUpdater('some_url');
+      const invalid = { ...features[0], properties: { ...features[0].properties, address: null } };
+      const data = d.validateLocationData(features.concat([invalid, null]), 0);
+      expect(Array.from(data.values()).reduce((n, records) => n + records.length, 0)).to.eql(features.length);
+    });
+    it('rejects datasets failing the sanity checks', () => {
+      const d = new DataUpdater('some_url');
+      expect(() => d.validateLocationData(features.slice(0, 3), 8)).to.throw(/Rejected update: feature count dropped from 8 to 3/);
+      expect(() => d.validateLocationData(features.concat([null, null, null]), 0)).to.throw(/3 of 11 features failed/);
+    });
+  });
+
+  describe('performUpdate() with bad upstream data', () => {
+    const path = '/bad/geo.json';
+    it('keeps the previous data when the request fails', () => {
+      data_api_mock.get(path).reply(500, 'oops', { 'Content-Type': 'text/plain' });
+      const d = new DataUpdater(`${data_url_origin}${path}`);
+      let failure = null;
+      d.on('update', () => { throw new Error('should not update'); });
+      d.on('failure', (e) => { failure = e; });
+      return d.performUpdate()
+        .then(() => {
+          expect(d.status().failures[0].error).to.match(/Status Code: 500/);
+          expect(failure.message).to.match(/Status Code: 500/);
+        });
+    });
+    it('keeps the previous data when the response is truncated', () => {
+      data_api_mock.get(path).reply(200, dataFixture.slice(0, 2000), { 'Content-Type': 'application/json' });
+      const d = new DataUpdater(`${data_url_origin}${path}`);
+      d.recordUpdate(new Map([['68850', new Array(8).fill({})]]));
+      d.on('update', () => { throw new Error('should not update'); });
+      return d.performUpdate()
+        .then(() => {
+          expect(d.status().featureCount).to.eql(8);
+          expect(d.status().failures[0].error).to.match(/^Rejected update: /);
+        });
+    });
+  });
+
+  describe('performUpdate() after a sharp drop', () => {
+    const fileUrl = url.pathToFileURL(`${__dirname}/fixtures/geo.json`).href;
+    const lastGoodData = new Map([['68850', new Array(20).fill({})]]);
+    it('accepts the drop once updates have been rejected for it enough times in a row', () => {
+      const d = new DataUpdater(fileUrl, {}, 'geojson', false, undefined, undefined, undefined,
+        new DataValidator(undefined, undefined, undefined, 2));
+      d.recordUpdate(lastGoodData);
+      let updates = 0;
+      d.on('update', () => { updates += 1; });
+      return d.performUpdate()
+        .then(() => d.performUpdate())
+        .then(() => {
+          expect(updates).to.eql(0);
+          expect(d.status()).to.include({ featureCount: 20, consecutiveFailures: 2 });
+          expect(d.status().droppedFeatureCounts).to.deep.eql([8, 8]);
+          expect(d.previousFeatureCount()).to.eql(8);
+          return d.performUpdate();
+        })
+        .then(() => {
+          expect(updates).to.eql(1);
+          expect(d.status()).to.include({ featureCount: 8, consecutiveFailures: 0 });
+          expect(d.status().droppedFeatureCounts).to.deep.eql([]);
+        });
+    });
+    it('rejects the first update after a snapshot is loaded when it drops sharply from the snapshot', () => {
+      const d = new DataUpdater(fileUrl);
+      const savedAt = new Date('2019-07-11T18:52:43.000Z');
+      // As the server does with a snapshot loaded at startup, before starting updates
+      d.recordUpdate(lastGoodData, savedAt);
+      let updates = 0;
+      d.on('update', () => { updates += 1; });
+      return d.performUpdate()
+        .then(() => {
+          expect(updates).to.eql(0);
+          expect(d.status()).to.include({ lastSuccessfulUpdateAt: savedAt, featureCount: 20, consecutiveFailures: 1 });
+          expect(d.status().failures[0].error).to.eql('Rejected update: feature count dropped from 20 to 8');
+        });
+    });
+    it('accepts the drop at once when forced', () => {
+      const d = new DataUpdater(fileUrl);
+      d.recordUpdate(lastGoodData);
+      return d.performUpdate(false, true)
+        .then(() => {
+          expect(d.status()).to.include({ featureCount: 8, consecutiveFailures: 0 });
+        });
+    });
+  });
+
+  describe('fetchLocationData(...) from a file: URL', () => {
+    it('reads the local file', () => {
+      const d = new DataUpdater(url.pathToFileURL(`${__dirname}/fixtures/geo.json`).href);
+      return d.fetchLocationData()
+        .then((data) => {
+          expect(data.size).to.eql(7);
+          expect(data.get('93555').map((record) => record.shelter)).to.include('Kerr McGee Community Center');
+        });
+    });
+    it('rejects when the file is missing', () => {
+      const d = new DataUpdater(url.pathToFileURL(`${__dirname}/fixtures/missing.json`).href);
+      return d.fetchLocationData()
+        .then(() => { throw new Error('should not load'); }, (e) => {
+          expect(e.code).to.eql('ENOENT');
+        });
+    });
+  });
+
+  describe('performUpdate() with other feed formats', () => {
+    it('reads CSV exports, mapping their columns', () => {
+      data_api_mock.get('/shelters.csv').reply(200, csvFixture, { 'Content-Type': 'text/csv' });
+      const fields = {
+        shelter: 'SHELTER_NAME', address: 'ADDRESS_1', zip: 'ZIP', phone: 'PHONE', latitude: 'LATITUDE', longitude: 'LONGITUDE'
+      };
+      const d = new DataUpdater(`${data_url_origin}/shelters.csv`, fields, 'csv');
+      let update;
+      d.on('update', (data) => { update = data; });
+      return d.performUpdate()
+        .then(() => {
+          expect(update.size).to.eql(3);
+          expect(update.get('93555')[0]).to.include({
+            shelter: 'Kerr McGee Community Center',
+            address: '138 S China Lake Blvd',
+            phone: '(760) 555-0100',
+            latitude: '35.6208',
+            shelterIndex: 2
+          });
+        });
+    });
+    it('reads ArcGIS FeatureServer query responses, taking coordinates from the geometry', () => {
+      data_api_mock.get('/FeatureServer/0/query').query(true)
+        .reply(200, arcGisFixture, { 'Content-Type': 'text/plain; charset=utf-8' });
+      const fields = { shelter: 'SHELTER_NAME', address: 'ADDRESS', zip: 'ZIP', phone: 'PHONE' };
+      const d = new DataUpdater(`${data_url_origin}/FeatureServer/0/query?where=1%3D1&outFields=*&f=json`, fields, 'arcgis');
+      let update;
+      d.on('update', (data) => { update = data; });
+      return d.performUpdate()
+        .then(() => {
+          expect(update.size).to.eql(3);
+          const record = update.get('71301')[0];
+          expect(record).to.include({ shelter: 'Bolton Ave. Community Center', phone: null, SHELTER_STATUS: 'CLOSED' });
+          expect(record.latitude).to.be.closeTo(31.3076, 0.0001);
+        });
+    });
+    it('rejects responses of another media type', () => {
+      data_api_mock.get('/shelters.csv').reply(200, dataFixture, { 'Content-Type': 'application/json' });
+      const d = new DataUpdater(`${data_url_origin}/shelters.csv`, {}, 'csv');
+      return d.performUpdate()
+        .then(() => {
+          expect(d.status().failures[0].error).to.match(/Expected text\/csv or .* but received application\/json/);
+        });
+    });
+  });
+
+  describe('performUpdate() with conditional requests', () => {
+    const path = '/conditional/geo.json';
+    it('asks for the data only if it changed, and emits unchanged on 304 Not Modified', () => {
+      const lastModified = 'Tue, 29 Aug 2017 12:00:00 GMT';
+      data_api_mock.get(path)
+        .reply(200, dataFixture, { 'Content-Type': 'application/json', 'ETag': '"v1"', 'Last-Modified': lastModified });
+      data_api_mock.get(path)
+        .matchHeader('If-None-Match', '"v1"')
+        .matchHeader('If-Modified-Since', lastModified)
+        .reply(304);
+      const d = new DataUpdater(`${data_url_origin}${path}`);
+      let updates = 0, unchanged = 0;
+      d.on('update', () => { updates += 1; });
+      d.on('unchanged', () => { unchanged += 1; });
+      return d.performUpdate()
+        .then(() => {
+          expect(d.conditionalHeaders()).to.eql({ 'If-None-Match': '"v1"', 'If-Modified-Since': lastModified });
+          return d.performUpdate();
+        })
+        .then(() => {
+          expect(updates).to.eql(1);
+          expect(unchanged).to.eql(1);
+          expect(d.status()).to.include({ updateInProgress: false, zipCount: 7, consecutiveFailures: 0 });
+          expect(d.status().lastCheckedAt).to.be.above(d.status().lastSuccessfulUpdateAt);
+        });
+    });
+    it('does not keep the validators of rejected data', () => {
+      data_api_mock.get(path)
+        .reply(200, dataFixture.slice(0, 2000), { 'Content-Type': 'application/json', 'ETag': '"broken"' });
+      const d = new DataUpdater(`${data_url_origin}${path}`);
+      return d.performUpdate()
+        .then(() => {
+          expect(d.conditionalHeaders()).to.eql({});
+        });
+    });
+  });
+
+  describe('nextUpdateDelay()', () => {
+    it('waits the refresh interval after a success', () => {
+      const d = new DataUpdater(data_url);
+      expect(d.nextUpdateDelay()).to.eql(DataUpdater.DEFAULT_REFRESH_INTERVAL);
+      d.refreshInterval = 60000;
+      expect(d.nextUpdateDelay()).to.eql(60000);
+    });
+    it('backs off exponentially with jitter after failures, up to the maximum', () => {
+      const d = new DataUpdater(data_url);
+      for (let failures = 1; failures <= 10; failures++) {
+        d.recordFailure(new Error('oops'));
+        const backoff = Math.min(DataUpdater.MAX_BACKOFF, DataUpdater.BACKOFF_BASE * Math.pow(2, failures - 1));
+        const delay = d.nextUpdateDelay();
+        expect(delay).to.be.within(backoff / 2, backoff);
+      }
+      d.recordUpdate(new Map());
+      expect(d.nextUpdateDelay()).to.eql(DataUpdater.DEFAULT_REFRESH_INTERVAL);
+    });
+  });
+
+  describe('startUpdates(...)', () => {
+    it('updates now and then on schedule until stopped', (done) => {
+      const d = new DataUpdater(data_url);
+      let calls = 0;
+      d.performUpdate = () => {
+        calls += 1;
+        if (calls === 3) {
+          d.stopUpdates();
+          expect(d.status().nextUpdateAt).to.be.null;
+          setTimeout(() => {
+            expect(calls).to.eql(3);
+            done();
+          }, 50);
+        }
+        return Promise.resolve();
+      };
+      d.startUpdates(5);
+      expect(calls).to.eql(1);
+    });
   });
 
   describe('performUpdate()', () => {
@@ -46,23 +313,98 @@ describe('DataUpdater', () => {
       }
     });
     
-    it.skip('launches a child process for the update', (done) => {
+    it('does an update on the main loop when specified', (done) => {
       const d = new DataUpdater(data_url);
       d.on('update', (data) => {
-        console.log(`CHILD PROCESS VERSION - test process received 'update' event with data Map of size ${data.size}`);
+        console.log(`MAIN LOOP VERSION - test process received 'update' event with data Map of size ${data.size}`);
         expect(data).to.be.instanceOf(Map);
         done();
       });
-      d.performUpdate(true);
+      d.performUpdate(false);
     });
-    it('does an update on the main loop when specified', (done) => {
-      const d = new DataUpdater(data_url);
+  });
+
+  describe('performUpdate() in a worker process', function () {
+    this.timeout(20000);
+    let server, requests, hang, etag;
+
+    // nock can't reach into the worker, so serve the fixture for real
+    before((done) => {
+      server = http.createServer((req, res) => {
+        requests += 1;
+        if (hang) { return; }
+        if (etag && req.headers['if-none-match'] === etag) {
+          res.writeHead(304);
+          res.end();
+          return;
+        }
+        res.writeHead(200, etag ? { 'Content-Type': 'application/json', 'ETag': etag } : { 'Content-Type': 'application/json' });
+        res.end(dataFixture);
+      }).listen(0, done);
+    });
+    after((done) => {
+      server.close(done);
+    });
+    beforeEach(() => {
+      requests = 0;
+      hang = false;
+      etag = null;
+    });
+
+    it('emits the data fetched and parsed by the worker', (done) => {
+      const d = new DataUpdater(`http://localhost:${server.address().port}/geo.json`, {}, 'geojson', true);
       d.on('update', (data) => {
-        console.log(`MAIN LOOP VERSION - test process received 'update' event with data Map of size ${data.size}`);
         expect(data).to.be.instanceOf(Map);
+        expect(data.size).to.eql(7);
+        expect(data.get('68850')[0]).to.include({ shelter: 'Lexington High School', shelterIndex: 1 });
+        expect(d.status()).to.include({ updateInProgress: false, zipCount: data.size });
         done();
       });
-      d.performUpdate(false);
+      d.performUpdate();
+    });
+    it('passes the validators through the worker and emits unchanged on 304 Not Modified', () => {
+      etag = '"v1"';
+      const d = new DataUpdater(`http://localhost:${server.address().port}/geo.json`, {}, 'geojson', true);
+      let updates = 0, unchanged = 0;
+      d.on('update', () => { updates += 1; });
+      d.on('unchanged', () => { unchanged += 1; });
+      return d.performUpdate()
+        .then(() => {
+          expect(d.etag).to.eql('"v1"');
+          return d.performUpdate();
+        })
+        .then(() => {
+          expect(requests).to.eql(2);
+          expect(updates).to.eql(1);
+          expect(unchanged).to.eql(1);
+        });
+    });
+    it('kills workers that time out and retries, then records the failure', () => {
+      hang = true;
+      const d = new DataUpdater(`http://localhost:${server.address().port}/geo.json`, {}, 'geojson', true, 5000, 1);
+      return d.performUpdate()
+        .then(() => {
+          expect(requests).to.eql(2);
+          expect(d.status().failures).to.have.lengthOf(1);
+          expect(d.status().failures[0].error).to.match(/timed out after 5000ms/);
+        });
+    });
+    it('passes rejections for a drop back from the worker with the feature count', () => {
+      const d = new DataUpdater(`http://localhost:${server.address().port}/geo.json`, {}, 'geojson', true);
+      d.recordUpdate(new Map([['68850', new Array(20).fill({})]]));
+      return d.performUpdate()
+        .then(() => {
+          expect(d.status().failures[0].error).to.eql('Rejected update: feature count dropped from 20 to 8');
+          expect(d.status().droppedFeatureCounts).to.deep.eql([8]);
+        });
+    });
+    it('does not retry when the upstream request fails', () => {
+      const d = new DataUpdater('http://localhost:1/geo.json', {}, 'geojson', true, 10000, 2);
+      return d.performUpdate()
+        .then(() => {
+          expect(d.status().failures).to.have.lengthOf(1);
+          expect(d.status().failures[0].error).to.match(/ECONNREFUSED/);
+        });
     });
   });
 });
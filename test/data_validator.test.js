@@ -0,0 +1,92 @@
+import DataValidator, { _approximateMiles } from '../lib/data_validator';
+
+import { expect } from 'chai';
+
+// Fixtures
+const record = {
+  shelter: 'Shelter 1',
+  address: '100 Any Street, New Orleans, LA 70118',
+  zip: '70118',
+  latitude: 29.9504,
+  longitude: -90.1236
+};
+
+describe('DataValidator', () => {
+  describe('constructor', () => {
+    it('creates a DataValidator object with the default thresholds', () => {
+      const v = new DataValidator();
+      expect(v).to.be.instanceOf(DataValidator);
+      expect(v).to.include({
+        maxDrop: DataValidator.DEFAULT_MAX_DROP,
+        maxRejected: DataValidator.DEFAULT_MAX_REJECTED,
+        maxZipMiles: DataValidator.DEFAULT_MAX_ZIP_MILES
+      });
+    });
+  });
+
+  describe('checkFeature(...)', () => {
+    it('accepts features with properties', () => {
+      expect(new DataValidator().checkFeature({ type: 'Feature', properties: record })).to.deep.eql([]);
+    });
+    it('rejects anything else', () => {
+      const v = new DataValidator();
+      expect(v.checkFeature(null)).to.deep.eql(['not a geo.json Feature']);
+      expect(v.checkFeature({ type: 'FeatureCollection' })).to.deep.eql(['not a geo.json Feature']);
+      expect(v.checkFeature({ type: 'Feature', properties: null })).to.deep.eql(['no properties']);
+    });
+  });
+
+  describe('checkRecord(...)', () => {
+    it('accepts complete records located in their zip code', () => {
+      expect(new DataValidator().checkRecord(record)).to.deep.eql([]);
+      expect(new DataValidator().checkRecord({ ...record, latitude: '29.9504', longitude: '-90.1236' })).to.deep.eql([]);
+    });
+    it('reports missing names and addresses, and unknown zip codes', () => {
+      expect(new DataValidator().checkRecord({ ...record, shelter: ' ', address: null, zip: '00000' }))
+        .to.deep.eql(['missing shelter', 'missing address', 'unknown zip 00000']);
+    });
+    it('reports missing coordinates', () => {
+      expect(new DataValidator().checkRecord({ ...record, latitude: null })).to.deep.eql(['missing coordinates']);
+      expect(new DataValidator().checkRecord({ ...record, longitude: 190 })).to.deep.eql(['missing coordinates']);
+    });
+    it('reports coordinates far from the zip code', () => {
+      expect(new DataValidator().checkRecord({ ...record, latitude: 30.4515, longitude: -91.1871 }))
+        .to.deep.eql(['coordinates 72mi from zip 70118']);
+      expect(new DataValidator(0.5, 0.2, 100).checkRecord({ ...record, latitude: 30.4515, longitude: -91.1871 }))
+        .to.deep.eql([]);
+    });
+  });
+
+  describe('checkDataset(...)', () => {
+    it('accepts datasets with few invalid features', () => {
+      expect(new DataValidator().checkDataset(100, 90)).to.be.null;
+      expect(new DataValidator().checkDataset(10, 10)).to.be.null;
+    });
+    it('rejects empty datasets', () => {
+      expect(new DataValidator().checkDataset(0, 0)).to.eql('no features');
+    });
+    it('rejects datasets with many invalid features', () => {
+      expect(new DataValidator().checkDataset(100, 70)).to.eql('30 of 100 features failed validation');
+    });
+  });
+
+  describe('checkDrop(...)', () => {
+    it('accepts feature counts with no sharp drop, or no last good data', () => {
+      expect(new DataValidator().checkDrop(90, 120)).to.be.null;
+      expect(new DataValidator().checkDrop(60, 100)).to.be.null;
+      expect(new DataValidator().checkDrop(10)).to.be.null;
+    });
+    it('rejects feature counts dropping by more than maxDrop', () => {
+      expect(new DataValidator().checkDrop(40, 100)).to.eql('feature count dropped from 100 to 40');
+      expect(new DataValidator(0.3).checkDrop(60, 100)).to.eql('feature count dropped from 100 to 60');
+    });
+  });
+
+  describe('helpers', () => {
+    describe('_approximateMiles(...)', () => {
+      it('approximates the distance between coordinates', () => {
+        expect(_approximateMiles(29.9504, -90.1236, 30.4515, -91.1871)).to.be.within(70, 74);
+      });
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import JsonFormatter from '../lib/reply_formatters/json_formatter';
+
+import { expect } from 'chai';
+
+describe('JsonFormatter', () => {
+  describe('render(...)', () => {
+    it('renders the messages, locale and the public fields of each shelter', () => {
+      const f = new JsonFormatter();
+      const reply = {
+        messages: ['Encontré 1 refugios cerca de 70118:'],
+        locale: 'es',
+        shelters: [{
+          shelter: 'Shelter 1',
+          address: '100 Any Street',
+          phone: null,
+          latitude: 29.9504,
+          longitude: -90.1236,
+          distances: { '70118': 1609.3 },
+          message: '\n\nShelter 1'
+        }]
+      };
+      expect(JSON.parse(f.render(reply))).to.deep.eql({
+        messages: ['Encontré 1 refugios cerca de 70118:'],
+        locale: 'es',
+        shelters: [{ shelter: 'Shelter 1', address: '100 Any Street', latitude: 29.9504, longitude: -90.1236 }]
+      });
+    });
+  });
+
+  describe('respond(...)', () => {
+    it('sends the JSON with its content type', () => {
+      const f = new JsonFormatter();
+      const res = {
+        writeHead: (status, headers) => { res.status = status; res.headers = headers; },
+        end: (body) => { res.body = body; }
+      };
+      f.respond(res, { messages: ['Hello'], locale: 'en', shelters: [] });
+      expect(res.status).to.eql(200);
+      expect(res.headers).to.deep.eql({ 'Content-Type': 'application/json' });
+      expect(JSON.parse(res.body)).to.deep.eql({ messages: ['Hello'], locale: 'en', shelters: [] });
+    });
+  });
+});
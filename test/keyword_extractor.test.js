@@ -0,0 +1,45 @@
+import KeywordExtractor from '../lib/keyword_extractor';
+
+import { expect } from 'chai';
+
+const keywords = {
+  PETS: ['PETS', 'PET'],
+  ACCEPTING: ['ACCEPTING'],
+  SPECIAL_NEEDS: ['SPECIAL NEEDS']
+};
+
+describe('KeywordExtractor', () => {
+  describe('constructor()', () => {
+    it('creates a KeywordExtractor object', () => {
+      const ke = new KeywordExtractor(keywords);
+      expect(ke).to.be.instanceOf(KeywordExtractor);
+    });
+  });
+  describe('extractMessageKeywords(...)', () => {
+    it('extracts a command from a message with a keyword and a zipcode', () => {
+      const ke = new KeywordExtractor(keywords);
+      expect(ke.extractMessageKeywords('PETS 70118')).to.deep.eql(['PETS']);
+    });
+    it('matches keywords regardless of case and through aliases', () => {
+      const ke = new KeywordExtractor(keywords);
+      expect(ke.extractMessageKeywords('i have a pet, 70118')).to.deep.eql(['PETS']);
+    });
+    it('matches multi-word keywords across any whitespace', () => {
+      const ke = new KeywordExtractor(keywords);
+      expect(ke.extractMessageKeywords('special   needs 70118')).to.deep.eql(['SPECIAL_NEEDS']);
+    });
+    it('extracts several commands in configured order', () => {
+      const ke = new KeywordExtractor(keywords);
+      const message = 'Accepting shelters with pets near 70118';
+      expect(ke.extractMessageKeywords(message)).to.deep.eql(['PETS', 'ACCEPTING']);
+    });
+    it('does not match keywords inside other words', () => {
+      const ke = new KeywordExtractor(keywords);
+      expect(ke.extractMessageKeywords('carpets 70118')).to.deep.eql([]);
+    });
+    it('returns no commands for an empty message', () => {
+      const ke = new KeywordExtractor(keywords);
+      expect(ke.extractMessageKeywords(undefined)).to.deep.eql([]);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import LocationExtractor from '../lib/location_extractor';
+
+import { expect } from 'chai';
+
+describe('LocationExtractor', () => {
+  describe('constructor()', () => {
+    it('creates a LocationExtractor object', () => {
+      const le = new LocationExtractor();
+      expect(le).to.be.instanceOf(LocationExtractor);
+    });
+  });
+  describe('extractMessageLocations(...)', () => {
+    it('extracts a city and state abbreviation', () => {
+      const le = new LocationExtractor();
+      const locations = le.extractMessageLocations('Lake Charles LA');
+      expect(locations).to.have.lengthOf(1);
+      expect(locations[0].label).to.eql('Lake Charles, LA');
+      expect(locations[0].latitude).to.be.closeTo(30.2, 0.2);
+      expect(locations[0].longitude).to.be.closeTo(-93.2, 0.2);
+      expect(locations[0].zip).to.match(/^706\d\d$/);
+    });
+    it('extracts a city and full state name regardless of case and punctuation', () => {
+      const le = new LocationExtractor();
+      const locations = le.extractMessageLocations('we are in lake charles, louisiana!');
+      expect(locations.map((l) => l.label)).to.deep.eql(['Lake Charles, LA']);
+    });
+    it('extracts a state abbreviation in lower case only after a comma', () => {
+      const le = new LocationExtractor();
+      expect(le.extractMessageLocations('lake charles, la').map((l) => l.label)).to.deep.eql(['Lake Charles, LA']);
+      expect(le.extractMessageLocations('lake charles la')).to.deep.eql([]);
+    });
+    it('does not take words for state abbreviations', () => {
+      const le = new LocationExtractor();
+      const labels = (message) => le.extractMessageLocations(message).map((l) => l.label);
+      expect(labels('shelters in Lafayette in Louisiana')).to.not.include('Lafayette, IN');
+      expect(labels('shelters near Portland or Salem')).to.deep.eql([]);
+      expect(labels('can you help me')).to.deep.eql([]);
+      expect(labels('Tulsa ok')).to.deep.eql([]);
+      expect(labels('Hilo hi there')).to.deep.eql([]);
+      expect(labels('Dover de')).to.deep.eql([]);
+      expect(labels('Tulsa OK')).to.deep.eql(['Tulsa, OK']);
+    });
+    it('extracts the city from a street address', () => {
+      const le = new LocationExtractor();
+      const locations = le.extractMessageLocations('I\'m at 1308 N Adams St Lexington NE');
+      expect(locations.map((l) => l.label)).to.deep.eql(['Lexington, NE']);
+    });
+    it('expands abbreviations in city names', () => {
+      const le = new LocationExtractor();
+      const locations = le.extractMessageLocations('St. Louis, MO');
+      expect(locations.map((l) => l.label)).to.deep.eql(['Saint Louis, MO']);
+    });
+    it('extracts several locations once each', () => {
+      const le = new LocationExtractor();
+      const message = 'Baton Rouge LA or Houston TX, maybe baton rouge la';
+      const locations = le.extractMessageLocations(message);
+      expect(locations.map((l) => l.label)).to.deep.eql(['Baton Rouge, LA', 'Houston, TX']);
+    });
+    it('extracts at most the maximum number of locations, the first found', () => {
+      const le = new LocationExtractor(1);
+      const locations = le.extractMessageLocations('Baton Rouge LA or Houston TX');
+      expect(locations.map((l) => l.label)).to.deep.eql(['Baton Rouge, LA']);
+    });
+    it('does not extract words that are not a city in the state', () => {
+      const le = new LocationExtractor();
+      expect(le.extractMessageLocations('please text me back ok')).to.deep.eql([]);
+      expect(le.extractMessageLocations('Springfield ZZ')).to.deep.eql([]);
+      expect(le.extractMessageLocations(undefined)).to.deep.eql([]);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import Logger from '../lib/logger';
+
+import { expect } from 'chai';
+
+const newLogger = function (fields = {}, level = 'info') {
+  const lines = [];
+  const logger = new Logger(fields, level, (line) => lines.push(line));
+  return { logger, entries: () => lines.map((line) => JSON.parse(line)) };
+};
+
+describe('Logger', () => {
+  describe('log(...)', () => {
+    it('writes one JSON entry per line with the time, level, message and fields', () => {
+      const { logger, entries } = newLogger({ service: 'bot' });
+      logger.info('Update complete', { zipCodes: 3 });
+      const [entry] = entries();
+      expect(entry).to.include({ level: 'info', message: 'Update complete', service: 'bot', zipCodes: 3 });
+      expect(Date.parse(entry.time)).to.be.a('number').and.not.NaN;
+    });
+    it('skips entries below the level', () => {
+      const { logger, entries } = newLogger({}, 'warn');
+      logger.debug('one');
+      logger.info('two');
+      logger.warn('three');
+      logger.error('four');
+      expect(entries().map((e) => e.message)).to.deep.eql(['three', 'four']);
+    });
+    it('writes errors with their message and stack', () => {
+      const { logger, entries } = newLogger();
+      logger.error('Update failed', { error: new Error('boom') });
+      const { error } = entries()[0];
+      expect(error.message).to.eql('boom');
+      expect(error.stack).to.match(/^Error: boom/);
+    });
+  });
+
+  describe('child(...)', () => {
+    it('adds its fields to every entry', () => {
+      const { logger, entries } = newLogger({ resource: 'shelters' });
+      logger.child({ updateId: '1-2' }).info('Starting update');
+      expect(entries()[0]).to.include({ resource: 'shelters', updateId: '1-2' });
+    });
+    it('shares its parent\'s level and output', () => {
+      const { logger, entries } = newLogger();
+      const child = logger.child({ requestId: 'abc' });
+      logger.setLevel('debug');
+      child.debug('Looked up shelters');
+      expect(entries()).to.have.lengthOf(1);
+    });
+  });
+
+  describe('setLevel(...)', () => {
+    it('rejects unknown levels', () => {
+      expect(() => new Logger().setLevel('verbose')).to.throw(/Unknown log level: verbose/);
+    });
+  });
+});
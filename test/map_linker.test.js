@@ -0,0 +1,50 @@
+import MapLinker, { _fillTemplate } from '../lib/map_linker';
+
+import { expect } from 'chai';
+
+const shelters = [
+  { shelter: 'Shelter 1', latitude: '29.95', longitude: '-90.12' },
+  { shelter: 'Shelter 2', latitude: 29.97, longitude: -90.1 },
+  { shelter: 'Shelter 3', latitude: null, longitude: null }
+];
+
+describe('MapLinker', () => {
+  describe('link(...)', () => {
+    it('builds no links by default', () => {
+      expect(new MapLinker().link(shelters[0])).to.be.null;
+    });
+    it('builds geo: URIs', () => {
+      expect(new MapLinker('geo').link(shelters[0])).to.eql('geo:29.95,-90.12');
+    });
+    it('builds links from a URL template with the shelter\'s properties', () => {
+      const m = new MapLinker('https://maps.example.org/?q={latitude},{longitude}&label={shelter}');
+      expect(m.link(shelters[1])).to.eql('https://maps.example.org/?q=29.97,-90.1&label=Shelter%202');
+    });
+    it('builds no link for shelters without coordinates', () => {
+      expect(new MapLinker('geo').link(shelters[2])).to.be.null;
+    });
+  });
+
+  describe('imageUrl(...)', () => {
+    it('builds no image URL by default', () => {
+      expect(new MapLinker('geo').imageUrl(shelters)).to.be.null;
+    });
+    it('centers the image on the shelters with coordinates and marks each', () => {
+      const m = new MapLinker(null, 'https://tiles.example.org/static?center={latitude},{longitude}&markers={markers}');
+      expect(m.imageUrl(shelters)).to.eql(
+        'https://tiles.example.org/static?center=29.96,-90.11&markers=29.95%2C-90.12%7C29.97%2C-90.1'
+      );
+    });
+    it('builds no image URL when no shelter has coordinates', () => {
+      expect(new MapLinker(null, 'https://tiles.example.org/{markers}').imageUrl([shelters[2]])).to.be.null;
+    });
+  });
+
+  describe('helpers', () => {
+    describe('_fillTemplate(...)', () => {
+      it('URL-encodes values, leaving missing ones empty', () => {
+        expect(_fillTemplate('{a}/{b}/{c}', { a: 'x y&z', b: null })).to.eql('x%20y%26z//');
+      });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import MessageCatalog from '../lib/message_catalog';
+import SheltersFinder from '../lib/shelters_finder';
+
+import { expect } from 'chai';
+
+describe('MessageCatalog', () => {
+  describe('constructor', () => {
+    it('creates a MessageCatalog object with the bundled locales', () => {
+      const c = new MessageCatalog();
+      expect(c).to.be.instanceOf(MessageCatalog);
+      expect(Object.keys(c.bundles)).to.deep.eql(['en', 'es', 'vi']);
+      expect(c.defaultLocale).to.eql('en');
+    });
+    it('rejects a default locale without a bundle', () => {
+      expect(() => new MessageCatalog(MessageCatalog.BUNDLES, 'fr')).to.throw(/fr/);
+    });
+  });
+
+  describe('bundles', () => {
+    it('provide every English template, label and mark in each locale', () => {
+      const en = MessageCatalog.BUNDLES.en;
+      for (let locale in MessageCatalog.BUNDLES) {
+        const bundle = MessageCatalog.BUNDLES[locale];
+        expect(Object.keys(bundle.messages), locale).to.have.members(Object.keys(en.messages));
+        expect(Object.keys(bundle.filterLabels), locale).to.have.members(Object.keys(SheltersFinder.FILTERS));
+        expect(Object.keys(bundle.marks), locale).to.have.members(Object.keys(SheltersFinder.ELIGIBILITY));
+        expect(Object.keys(bundle.detailLabels), locale).to.have.members(Object.keys(en.detailLabels));
+        expect(Object.keys(bundle.commands), locale).to.have.members(['MORE', 'DETAILS', 'SUBSCRIBE', 'STOP', 'START', 'HELP']);
+        expect(Object.keys(bundle.resources), locale).to.have.members(Object.keys(SheltersFinder.RESOURCES));
+      }
+    });
+  });
+
+  describe('translate(...)', () => {
+    it('renders a template with its params', () => {
+      const c = new MessageCatalog();
+      expect(c.translate('en', 'found', { noun: 'shelters', count: 2, more: false, filters: [], place: '70118' }))
+        .to.eql('Found 2 shelters near 70118:');
+      const params = { noun: 'refugios', count: 2, more: true, filters: ['aceptan mascotas'], place: '70118' };
+      expect(c.translate('es', 'found', params))
+        .to.eql('Encontré 2 refugios más (aceptan mascotas) cerca de 70118:');
+      expect(c.translate('vi', 'distance', { miles: 3 })).to.eql('Cách khoảng 3 dặm');
+    });
+    it('falls back to the default locale', () => {
+      const c = new MessageCatalog();
+      expect(c.translate('fr', 'distance', { miles: 0.4 })).to.eql('Under 1mi away');
+    });
+    it('throws on unknown keys', () => {
+      const c = new MessageCatalog();
+      expect(() => c.translate('en', 'nope')).to.throw(/nope/);
+    });
+  });
+
+  describe('filterLabels(...), mark(...) and detailLabel(...)', () => {
+    it('return the strings for the locale', () => {
+      const c = new MessageCatalog();
+      expect(c.filterLabels('es', ['PETS', 'ACCEPTING'])).to.deep.eql(['aceptan mascotas', 'abiertos']);
+      expect(c.mark('vi', 'full')).to.eql('HẾT CHỖ');
+      expect(c.detailLabel('es', 'phone')).to.eql('Teléfono');
+    });
+  });
+
+  describe('resourceNoun(...)', () => {
+    it('prefers the resource\'s own nouns, then the bundles\', then the name', () => {
+      const c = new MessageCatalog();
+      expect(c.resourceNoun('es', { name: 'food' })).to.eql('sitios de distribución de comida');
+      expect(c.resourceNoun('es', { name: 'food', nouns: { es: 'comedores' } })).to.eql('comedores');
+      expect(c.resourceNoun('vi', { name: 'ice', nouns: { en: 'ice pickup sites' } })).to.eql('ice pickup sites');
+      expect(c.resourceNoun('en', { name: 'ice' })).to.eql('ice');
+    });
+  });
+
+  describe('commandKeywords(...) and filterKeywords(...)', () => {
+    it('combine keywords from every locale', () => {
+      const c = new MessageCatalog();
+      expect(c.commandKeywords('MORE')).to.include.members(['MORE', 'MÁS', 'THÊM']);
+      const keywords = c.filterKeywords({ PETS: ['PETS'] });
+      expect(keywords).to.deep.eql({ PETS: ['PETS', 'MASCOTAS', 'MASCOTA', 'ANIMALES', 'THÚ CƯNG', 'THU CUNG'] });
+    });
+  });
+
+  describe('detectLocale(...)', () => {
+    it('detects the locale a message asks for', () => {
+      const c = new MessageCatalog();
+      expect(c.detectLocale('AYUDA 70118')).to.eql('es');
+      expect(c.detectLocale('español')).to.eql('es');
+      expect(c.detectLocale('tiếng việt')).to.eql('vi');
+      expect(c.detectLocale('English please')).to.eql('en');
+    });
+    it('detects the locale of HELP keywords that also select one as that locale', () => {
+      const c = new MessageCatalog();
+      expect(c.detectLocale('AYUDA')).to.eql('es');
+      expect(c.detectLocale('GIÚP ĐỠ')).to.eql('vi');
+      expect(c.detectLocale('HELP')).to.be.null;
+      expect(c.detectLocale('INFO')).to.be.null;
+    });
+    it('returns null when the message does not ask for a locale', () => {
+      const c = new MessageCatalog();
+      expect(c.detectLocale('70118')).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,440 @@
+import MessageHandler from '../lib/message_handler';
+import SheltersFinder from '../lib/shelters_finder';
+import DataUpdater from '../lib/data_updater';
+import SessionStore from '../lib/session_store';
+import MessageCatalog from '../lib/message_catalog';
+import SubscriptionStore from '../lib/subscription_store';
+import Logger from '../lib/logger';
+import RateLimiter from '../lib/rate_limiter';
+import MessagePacker from '../lib/message_packer';
+
+import { expect } from 'chai';
+
+// Fixtures: five shelters spread out from Uptown New Orleans
+const features = [0, 1, 2, 3, 4].map((i) => ({
+  type: 'Feature',
+  properties: {
+    shelter: `Shelter ${i + 1}`,
+    address: `${i + 1}00 Any Street, New Orleans, LA 70118`,
+    zip: '70118',
+    phone: i == 0 ? '504-555-0100' : null,
+    accepting: 'yes',
+    pets: i % 2 == 0 ? 'Yes' : 'No',
+    archived: false,
+    latitude: 29.9504 + i * 0.01,
+    longitude: -90.1236
+  }
+}));
+const from = '+15045550100';
+
+const newHandler = function () {
+  const d = new DataUpdater('some url');
+  const s = new SheltersFinder(d.extractGeoJsonData(features), 30);
+  return new MessageHandler(s);
+};
+
+describe('MessageHandler', () => {
+  describe('constructor', () => {
+    it('creates a MessageHandler object', () => {
+      const h = new MessageHandler(new SheltersFinder(new Map(), 5));
+      expect(h).to.be.instanceOf(MessageHandler);
+    });
+  });
+
+  describe('handleMessage(...)', () => {
+    it('replies that no ZIP codes were found when there are none', () => {
+      return newHandler().handleMessage(from, 'hello')
+        .then((messages) => {
+          expect(messages).to.deep.eql(['Sorry, I couldn\'t find a ZIP code or a city and state in your text message. Please try again.']);
+        });
+    });
+    it('replies with shelters near a city and state when there are no ZIP codes', () => {
+      return newHandler().handleMessage(from, 'New Orleans, LA')
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Found 3 shelters near New Orleans, LA:\n\nShelter /);
+        });
+    });
+    it('replies with the nearest shelters and how to follow up', () => {
+      return newHandler().handleMessage(from, 'I am in 70118')
+        .then((messages) => {
+          expect(messages).to.have.lengthOf(1);
+          expect(messages[0]).to.match(/^Found 3 shelters near 70118:\n\nShelter 1\n/);
+          expect(messages[0]).to.match(/Text MORE for more shelters, or DETAILS 1-3 for details\.$/);
+        });
+    });
+    it('replies with the next page of shelters on MORE', () => {
+      const h = newHandler();
+      return h.handleMessage(from, '70118')
+        .then(() => h.handleMessage(from, 'more'))
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Found 2 more shelters near 70118:\n\nShelter 4\n/);
+          expect(messages[0]).to.include('Shelter 5');
+          return h.handleMessage(from, 'MORE');
+        })
+        .then((messages) => {
+          expect(messages).to.deep.eql(['Sorry, I don\'t know about any more shelters near 70118.']);
+        });
+    });
+    it('packs the stale data warning and the follow-up hint within the segment budget', () => {
+      const d = new DataUpdater('some url');
+      const packer = new MessagePacker(1);
+      const s = new SheltersFinder(d.extractGeoJsonData(features), 30, {}, {}, 60000, packer);
+      const updatedAt = s.dataUpdatedAt.getTime();
+      s.now = () => new Date(updatedAt + 3 * 60 * 60000);
+      const h = new MessageHandler(s);
+      const replies = [];
+      return h.handleMessage(from, '70118')
+        .then((messages) => {
+          replies.push(messages);
+          return h.handleMessage(from, 'MORE');
+        })
+        .then((messages) => {
+          replies.push(messages);
+          replies.forEach((reply) => {
+            expect(reply.length).to.be.above(1);
+            reply.forEach((message) => expect(packer.fits(message)).to.be.true);
+            expect(reply[0]).to.match(/^WARNING: This information was last refreshed 3h ago/);
+            expect(reply[reply.length - 1]).to.match(/Text MORE for more shelters, or DETAILS 1-\d for details\.$/);
+          });
+        });
+    });
+    it('keeps the filters from the first message on MORE', () => {
+      const h = newHandler();
+      return h.handleMessage(from, 'PETS 70118')
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Found 3 pet-friendly shelters near 70118:/);
+          return h.handleMessage(from, 'MORE');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Sorry, I don't know about any more pet-friendly shelters near 70118\./);
+        });
+    });
+    it('asks for a ZIP code on MORE without a previous lookup', () => {
+      return newHandler().handleMessage(from, 'MORE')
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Please text a ZIP code first/);
+        });
+    });
+    it('replies with the details of a shelter from the previous reply', () => {
+      const h = newHandler();
+      return h.handleMessage(from, '70118')
+        .then(() => h.handleMessage(from, 'DETAILS 1'))
+        .then((messages) => {
+          expect(messages).to.deep.eql([
+            'Shelter 1\n100 Any Street, New Orleans, LA 70118\nPhone: 504-555-0100\nAccepting: yes\nPets: Yes'
+          ]);
+          return h.handleMessage(from, 'details 4');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Sorry, my last reply only listed 3 shelters/);
+        });
+    });
+    it('replies in the language asked for, and keeps replying in it', () => {
+      const h = newHandler();
+      return h.handleMessage(from, 'AYUDA 70118')
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Encontré 3 refugios cerca de 70118:\n\nShelter 1\n/);
+          expect(messages[0]).to.include('A menos de 1 milla');
+          expect(messages[0]).to.match(/Envíe MÁS para ver más refugios, o DETALLES 1-3 para más información\.$/);
+          return h.handleMessage(from, 'más');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Encontré 2 refugios más cerca de 70118:/);
+          return h.handleMessage(from, 'DETALLES 1');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Shelter 4\n400 Any Street, New Orleans, LA 70118\nAceptando: yes/);
+          return h.handleMessage(from, '70118');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Encontré 3 refugios/);
+        });
+    });
+    it('acknowledges a language request without a location', () => {
+      const h = newHandler();
+      return h.handleMessage(from, 'Tiếng Việt')
+        .then((messages) => {
+          expect(messages).to.deep.eql(['Tôi sẽ trả lời bằng tiếng Việt. Nhắn mã ZIP hoặc thành phố và tiểu bang để tìm nơi trú ẩn.']);
+          return h.handleMessage(from, 'THÚ CƯNG 70118');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Tìm thấy 3 nơi trú ẩn \(nhận thú cưng\) gần 70118:/);
+          return h.handleMessage(from, 'hello');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Xin lỗi, tôi không tìm thấy mã ZIP/);
+        });
+    });
+    it('replies with a localized apology when something goes wrong', () => {
+      const h = newHandler();
+      const lines = [];
+      h.logger = new Logger({}, 'info', (line) => lines.push(line));
+      h.finders.shelters.lookupShelters = () => { throw new Error('boom'); };
+      return h.handleMessage(from, 'ESPAÑOL 70118')
+        .then((messages) => {
+          expect(messages).to.deep.eql(['Lo siento, algo salió mal. Por favor, inténtelo más tarde.']);
+          expect(JSON.parse(lines[0])).to.deep.include({ level: 'error', action: 'lookup' });
+          expect(JSON.parse(lines[0]).error.message).to.eql('boom');
+        });
+    });
+    it('looks up the kind of resource named in the message', () => {
+      const d = new DataUpdater('some url');
+      const food = features.slice(0, 2).map((f) => ({
+        ...f,
+        properties: { ...f.properties, shelter: f.properties.shelter.replace('Shelter', 'Pantry') }
+      }));
+      const h = new MessageHandler({
+        shelters: new SheltersFinder(d.extractGeoJsonData(features), 30),
+        food: new SheltersFinder(d.extractGeoJsonData(food), 30, {}, { name: 'food' })
+      });
+      return h.handleMessage(from, 'FOOD 70118')
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Found 2 food distribution sites near 70118:\n\nPantry 1\n/);
+          expect(messages[0]).to.match(/Text MORE for more food distribution sites, or DETAILS 1-2 for details\.$/);
+          return h.handleMessage(from, 'DETAILS 2');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Pantry 2\n/);
+          return h.handleMessage(from, 'MORE');
+        })
+        .then((messages) => {
+          expect(messages).to.deep.eql(['Sorry, I don\'t know about any more food distribution sites near 70118.']);
+          return h.handleMessage(from, 'shelter 70118');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Found 3 shelters near 70118:\n\nShelter 1\n/);
+        });
+    });
+    it('subscribes senders to alerts and opts them out on STOP', () => {
+      const subscriptions = new SubscriptionStore();
+      const h = new MessageHandler(newHandler().finders, new SessionStore(), new MessageCatalog(), subscriptions);
+      return h.handleMessage(from, 'SUBSCRIBE 70118')
+        .then((messages) => {
+          expect(messages).to.deep.eql([
+            'You\'re subscribed. I\'ll text you when shelters open near 70118. Text STOP to unsubscribe.'
+          ]);
+          return subscriptions.get(from);
+        })
+        .then((subscription) => {
+          expect(subscription).to.include({ resource: 'shelters', locale: 'en' });
+          expect(subscription.zips).to.deep.eql(['70118']);
+          return h.handleMessage(from, 'stop');
+        })
+        .then((messages) => {
+          expect(messages).to.deep.eql([
+            'You\'re unsubscribed and won\'t get any more alerts. Text START to resubscribe.'
+          ]);
+          return subscriptions.isSubscribed(from);
+        })
+        .then((subscribed) => {
+          expect(subscribed).to.be.false;
+          return h.handleMessage(from, 'yes');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Sorry, I couldn't find a ZIP code/);
+          return subscriptions.isSubscribed(from);
+        })
+        .then((subscribed) => {
+          expect(subscribed).to.be.false;
+          return h.handleMessage(from, 'START');
+        })
+        .then((messages) => {
+          expect(messages).to.deep.eql([
+            'You\'re resubscribed. I\'ll text you when shelters open near 70118. Text STOP to unsubscribe.'
+          ]);
+          return subscriptions.isSubscribed(from);
+        })
+        .then((subscribed) => {
+          expect(subscribed).to.be.true;
+        });
+    });
+    it('asks for a ZIP code to subscribe to', () => {
+      const h = new MessageHandler(newHandler().finders, new SessionStore(), new MessageCatalog(), new SubscriptionStore());
+      return h.handleMessage(from, 'SUBSCRIBE')
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Please text SUBSCRIBE and a ZIP code/);
+          return h.handleMessage(from, 'ESPAÑOL');
+        })
+        .then(() => h.handleMessage(from, 'SUSCRIBIR Baton Rouge, LA'))
+        .then((messages) => {
+          expect(messages).to.deep.eql([
+            'Está suscrito. Le enviaré un mensaje cuando abran refugios cerca de Baton Rouge, LA. Envíe PARAR para cancelar.'
+          ]);
+        });
+    });
+    it('does not offer alerts without a SubscriptionStore', () => {
+      return newHandler().handleMessage(from, 'SUBSCRIBE 70118')
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Found 3 shelters near 70118:/);
+        });
+    });
+    it('acknowledges STOP and START before looking for a location, with or without a SubscriptionStore', () => {
+      const h = newHandler();
+      return h.handleMessage(from, 'STOP')
+        .then((messages) => {
+          expect(messages[0]).to.match(/^You're unsubscribed/);
+          return h.handleMessage(from, 'unstop');
+        })
+        .then((messages) => {
+          expect(messages).to.deep.eql(['Welcome back. Text a ZIP code or a city and state to find shelters.']);
+        });
+    });
+    it('throttles senders over the rate limit, answering only the first message refused, but not STOP', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(features), 30);
+      const h = new MessageHandler(s, new SessionStore(), new MessageCatalog(), null, undefined, new RateLimiter(2, 1));
+      return h.handleMessage(from, '70118')
+        .then(() => h.handleReply(from, 'MORE'))
+        .then((reply) => {
+          expect(reply.action).to.eql('more');
+          return h.handleReply(from, 'DETAILS 1');
+        })
+        .then((reply) => {
+          expect(reply.action).to.eql('throttled');
+          expect(reply.messages).to.deep.eql([
+            'You\'re sending messages faster than I can answer them. Please wait a minute and try again.'
+          ]);
+          return h.handleReply(from, 'DETAILS 1');
+        })
+        .then((reply) => {
+          expect(reply.action).to.eql('throttled');
+          expect(reply.messages).to.deep.eql([]);
+          return h.handleMessage(from, 'STOP');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^You're unsubscribed/);
+          return h.handleMessage('+15045550199', '70118');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Found 3 shelters near 70118:/);
+        });
+    });
+    it('throttles messages without a sender, rather than letting them past the limit', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(features), 30);
+      const h = new MessageHandler(s, new SessionStore(), new MessageCatalog(), null, undefined, new RateLimiter(1, 1));
+      return h.handleReply(undefined, '70118')
+        .then((reply) => {
+          expect(reply.action).to.eql('lookup');
+          return h.handleReply(undefined, '70118');
+        })
+        .then((reply) => {
+          expect(reply.action).to.eql('throttled');
+          expect(reply.messages[0]).to.match(/^You're sending messages faster than I can answer them/);
+        });
+    });
+    it('throttles messages under the rate key given, rather than the sender', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(features), 30);
+      const h = new MessageHandler(s, new SessionStore(), new MessageCatalog(), null, undefined, new RateLimiter(1, 1));
+      return h.handleReply('chat:a', '70118', undefined, '127.0.0.1')
+        .then((reply) => {
+          expect(reply.action).to.eql('lookup');
+          return h.handleReply('chat:b', '70118', undefined, '127.0.0.1');
+        })
+        .then((reply) => {
+          expect(reply.action).to.eql('throttled');
+          return h.handleReply('chat:b', '70118');
+        })
+        .then((reply) => {
+          expect(reply.action).to.eql('lookup');
+        });
+    });
+    it('looks up at most the maximum number of ZIP codes in a message', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(features), 30);
+      const h = new MessageHandler(s, new SessionStore(), new MessageCatalog(), null, undefined, null, 1);
+      return h.handleReply(from, '70118 70124 70471')
+        .then((reply) => {
+          expect(reply.zips).to.deep.eql(['70118']);
+        });
+    });
+    it('describes how to use the bot and where its data comes from on HELP or INFO', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(features), 30, {}, { url: 'https://api.example.org/geo.json' });
+      return new MessageHandler(s).handleMessage(from, 'info')
+        .then((messages) => {
+          expect(messages).to.have.lengthOf(1);
+          expect(messages[0]).to.match(/^Text a ZIP code or a city and state to find shelters near you/);
+          expect(messages[0]).to.include('Data from api.example.org.');
+          expect(messages[0]).to.not.include('SUBSCRIBE');
+          const h = new MessageHandler(s, new SessionStore(), new MessageCatalog(), new SubscriptionStore());
+          return h.handleMessage(from, 'HELP');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.include('Text SUBSCRIBE 70118 for alerts');
+        });
+    });
+    it('answers AYUDA in Spanish and keeps answering in Spanish', () => {
+      const h = newHandler();
+      return h.handleMessage(from, 'AYUDA')
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Envíe un código postal/);
+          return h.handleMessage(from, '70118');
+        })
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Encontré 3 refugios cerca de 70118:/);
+        });
+    });
+    it('answers a HELP keyword that also selects a language with help in that language, and keeps to it', () => {
+      const h = newHandler();
+      return h.handleMessage(from, '70118')
+        .then(() => h.handleReply(from, 'GIÚP ĐỠ'))
+        .then((reply) => {
+          expect(reply).to.include({ action: 'help', locale: 'vi' });
+          expect(reply.messages[0]).to.match(/^Nhắn mã ZIP/);
+          return h.handleReply(from, 'HELP');
+        })
+        .then((reply) => {
+          expect(reply).to.include({ action: 'help', locale: 'vi' });
+          return h.handleReply(from, 'AYUDA 70118');
+        })
+        .then((reply) => {
+          expect(reply).to.include({ action: 'lookup', locale: 'es' });
+        });
+    });
+    it('replies with the shelters listed, for channels that show them', () => {
+      const h = newHandler();
+      return h.handleReply(from, 'ESPAÑOL 70118')
+        .then((reply) => {
+          expect(reply.locale).to.eql('es');
+          expect(reply.action).to.eql('lookup');
+          expect(reply.zips).to.deep.eql(['70118']);
+          expect(reply.messages[0]).to.match(/^Encontré 3 refugios cerca de 70118:/);
+          expect(reply.shelters.map((sh) => sh.shelter)).to.deep.eql(['Shelter 1', 'Shelter 2', 'Shelter 3']);
+          return h.handleReply(from, 'DETALLES 2');
+        })
+        .then((reply) => {
+          expect(reply.action).to.eql('details');
+          expect(reply.shelters.map((sh) => sh.shelter)).to.deep.eql(['Shelter 2']);
+          return h.handleReply(from, 'MÁS');
+        })
+        .then((reply) => {
+          expect(reply.action).to.eql('more');
+          expect(reply.zips).to.deep.eql(['70118']);
+          return h.handleReply(from, 'AYUDA');
+        })
+        .then((reply) => {
+          expect(reply.action).to.eql('help');
+          expect(reply.shelters).to.deep.eql([]);
+          expect(reply.zips).to.deep.eql([]);
+        });
+    });
+    it('keeps separate conversations for each sender', () => {
+      const h = newHandler();
+      return h.handleMessage(from, '70118')
+        .then(() => h.handleMessage('+15045550199', 'DETAILS 1'))
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Please text a ZIP code first/);
+        });
+    });
+    it('does not remember anything for messages without a sender', () => {
+      const h = newHandler();
+      return h.handleMessage(undefined, '70118')
+        .then(() => h.handleMessage(undefined, 'MORE'))
+        .then((messages) => {
+          expect(messages[0]).to.match(/^Please text a ZIP code first/);
+        });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import MessagePacker, { _transliterate } from '../lib/message_packer';
+
+import { expect } from 'chai';
+
+describe('MessagePacker', () => {
+  describe('constructor', () => {
+    it('creates a MessagePacker object with the default segment budget', () => {
+      const p = new MessagePacker();
+      expect(p).to.be.instanceOf(MessagePacker);
+      expect(p.maxSegments).to.eql(MessagePacker.DEFAULT_MAX_SEGMENTS);
+      expect(p.transliterate).to.be.false;
+    });
+    it('rejects budgets of less than one segment', () => {
+      expect(() => new MessagePacker(0)).to.throw(/Invalid segment budget/);
+      expect(() => new MessagePacker('lots')).to.throw(/Invalid segment budget/);
+    });
+  });
+
+  describe('encoding(...)', () => {
+    it('detects GSM-7, including its accented letters and extension characters', () => {
+      const p = new MessagePacker();
+      expect(p.encoding('Shelter 1, 100 Any Street')).to.eql('GSM-7');
+      expect(p.encoding('Envíe a [Niño] €5')).to.eql('UCS-2');
+      expect(p.encoding('Envié a [Niño] €5')).to.eql('GSM-7');
+    });
+    it('detects UCS-2 from a single character outside GSM-7', () => {
+      const p = new MessagePacker();
+      expect(p.encoding('Nhắn mã ZIP')).to.eql('UCS-2');
+      expect(p.encoding('Shelter’s address')).to.eql('UCS-2');
+    });
+  });
+
+  describe('segmentCount(...)', () => {
+    it('counts GSM-7 segments of 160 septets, or 153 when concatenated', () => {
+      const p = new MessagePacker();
+      expect(p.segmentCount('')).to.eql(0);
+      expect(p.segmentCount('x'.repeat(160))).to.eql(1);
+      expect(p.segmentCount('x'.repeat(161))).to.eql(2);
+      expect(p.segmentCount('x'.repeat(306))).to.eql(2);
+      expect(p.segmentCount('x'.repeat(307))).to.eql(3);
+    });
+    it('counts extension characters as two septets', () => {
+      const p = new MessagePacker();
+      expect(p.segmentCount('['.repeat(80))).to.eql(1);
+      expect(p.segmentCount('['.repeat(81))).to.eql(2);
+    });
+    it('counts UCS-2 segments of 70 characters, or 67 when concatenated', () => {
+      const p = new MessagePacker();
+      expect(p.segmentCount('ó'.repeat(70))).to.eql(1);
+      expect(p.segmentCount('ó'.repeat(71))).to.eql(2);
+      expect(p.segmentCount(`${'x'.repeat(133)}ó`)).to.eql(2);
+      expect(p.segmentCount(`${'x'.repeat(134)}ó`)).to.eql(3);
+    });
+  });
+
+  describe('fits(...)', () => {
+    it('leaves room for the reserve', () => {
+      const p = new MessagePacker(1, false, '[1 of 2] ');
+      // "[1 of 2] " takes 11 septets, its brackets being extension characters
+      expect(p.fits('x'.repeat(149))).to.be.true;
+      expect(p.fits('x'.repeat(150))).to.be.false;
+      expect(new MessagePacker(1, false, '').fits('x'.repeat(160))).to.be.true;
+    });
+  });
+
+  describe('pack(...)', () => {
+    it('packs entries into as few messages as fit the budget', () => {
+      const p = new MessagePacker(1, false, '');
+      const entries = ['Found 3 shelters:', `\n\n${'a'.repeat(60)}`, `\n\n${'b'.repeat(60)}`, `\n\n${'c'.repeat(60)}`];
+      expect(p.pack(entries)).to.deep.eql([
+        `Found 3 shelters:\n\n${'a'.repeat(60)}\n\n${'b'.repeat(60)}`,
+        'c'.repeat(60)
+      ]);
+    });
+    it('packs fewer entries per message once one needs UCS-2', () => {
+      const p = new MessagePacker(1, false, '');
+      const entries = [`${'a'.repeat(30)}`, `\n${'b'.repeat(30)}`, `\n${'ó'.repeat(30)}`];
+      expect(p.pack(entries)).to.deep.eql([`${'a'.repeat(30)}\n${'b'.repeat(30)}`, 'ó'.repeat(30)]);
+    });
+    it('never splits an entry, sending one over the budget on its own', () => {
+      const p = new MessagePacker(1, false, '');
+      const long = 'x'.repeat(200);
+      expect(p.pack(['header', `\n\n${long}`, '\n\nlast'])).to.deep.eql(['header', `${long}`, 'last']);
+    });
+    it('transliterates entries when configured to, and counts them as sent', () => {
+      const p = new MessagePacker(1, true, '');
+      const entries = [`${'ó'.repeat(60)}`, `${'í'.repeat(60)}`];
+      expect(p.pack(entries)).to.deep.eql([`${'o'.repeat(60)}${'i'.repeat(60)}`]);
+    });
+  });
+
+  describe('helpers', () => {
+    describe('_transliterate(...)', () => {
+      it('drops accents that GSM-7 lacks, keeping the letters it has', () => {
+        expect(_transliterate('Refugio Niño, Envíe MÁS, Café')).to.eql('Refugio Niño, Envie MAS, Café');
+        expect(_transliterate('Nhắn mã ZIP để tìm nơi trú ẩn')).to.eql('Nhan ma ZIP de tìm noi tru an');
+      });
+      it('replaces typographic punctuation', () => {
+        expect(_transliterate('Shelter’s “open” – 9am…5pm')).to.eql('Shelter\'s "open" - 9am...5pm');
+      });
+      it('leaves characters it cannot replace', () => {
+        expect(_transliterate('避难所 🏠')).to.eql('避难所 🏠');
+      });
+    });
+  });
+});
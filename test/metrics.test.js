@@ -0,0 +1,88 @@
+import Metrics, { _labelString } from '../lib/metrics';
+
+import { expect } from 'chai';
+
+describe('Metrics', () => {
+  describe('define(...)', () => {
+    it('rejects unknown types', () => {
+      expect(() => new Metrics().define('smsbot_things', 'summary', 'Things')).to.throw(/Unknown metric type: summary/);
+    });
+    it('ignores a metric defined again the same way, but not as another type', () => {
+      const m = new Metrics();
+      m.define('smsbot_things_total', 'counter', 'Things');
+      m.increment('smsbot_things_total');
+      m.define('smsbot_things_total', 'counter', 'Things');
+      expect(m.render()).to.include('smsbot_things_total 1\n');
+      expect(() => m.define('smsbot_things_total', 'gauge', 'Things')).to.throw(/already defined as a counter/);
+    });
+  });
+
+  describe('increment(...) and set(...)', () => {
+    it('keeps a series for each set of labels', () => {
+      const m = new Metrics();
+      m.define('smsbot_messages_total', 'counter', 'Messages');
+      m.define('smsbot_dataset_features', 'gauge', 'Features');
+      m.increment('smsbot_messages_total', { channel: 'sms' });
+      m.increment('smsbot_messages_total', { channel: 'sms' }, 2);
+      m.increment('smsbot_messages_total', { channel: 'chat' });
+      m.set('smsbot_dataset_features', 8, { resource: 'shelters' });
+      expect(m.render()).to.eql(
+        '# HELP smsbot_messages_total Messages\n' +
+        '# TYPE smsbot_messages_total counter\n' +
+        'smsbot_messages_total{channel="sms"} 3\n' +
+        'smsbot_messages_total{channel="chat"} 1\n' +
+        '# HELP smsbot_dataset_features Features\n' +
+        '# TYPE smsbot_dataset_features gauge\n' +
+        'smsbot_dataset_features{resource="shelters"} 8\n'
+      );
+    });
+    it('rejects undefined metrics and setting counters', () => {
+      const m = new Metrics();
+      m.define('smsbot_messages_total', 'counter', 'Messages');
+      expect(() => m.increment('smsbot_other_total')).to.throw(/smsbot_other_total is not defined/);
+      expect(() => m.set('smsbot_messages_total', 3)).to.throw(/not defined as a gauge/);
+    });
+  });
+
+  describe('observe(...)', () => {
+    it('counts observations in cumulative buckets, with their sum and count', () => {
+      const m = new Metrics();
+      m.define('smsbot_lookup_duration_seconds', 'histogram', 'Lookup time', [0.1, 1]);
+      m.observe('smsbot_lookup_duration_seconds', 0.05, { resource: 'food' });
+      m.observe('smsbot_lookup_duration_seconds', 0.5, { resource: 'food' });
+      m.observe('smsbot_lookup_duration_seconds', 2, { resource: 'food' });
+      expect(m.render()).to.include(
+        'smsbot_lookup_duration_seconds_bucket{le="0.1",resource="food"} 1\n' +
+        'smsbot_lookup_duration_seconds_bucket{le="1",resource="food"} 2\n' +
+        'smsbot_lookup_duration_seconds_bucket{le="+Inf",resource="food"} 3\n' +
+        'smsbot_lookup_duration_seconds_sum{resource="food"} 2.55\n' +
+        'smsbot_lookup_duration_seconds_count{resource="food"} 3\n'
+      );
+    });
+    it('times things in seconds', () => {
+      const m = new Metrics();
+      m.define('smsbot_lookup_duration_seconds', 'histogram', 'Lookup time');
+      const elapsed = m.startTimer('smsbot_lookup_duration_seconds')();
+      expect(elapsed).to.be.within(0, 1);
+      expect(m.render()).to.include('smsbot_lookup_duration_seconds_count 1\n');
+    });
+  });
+
+  describe('render()', () => {
+    it('runs the collectors first', () => {
+      const m = new Metrics();
+      m.define('smsbot_dataset_age_seconds', 'gauge', 'Age');
+      let age = 30;
+      m.collect((metrics) => metrics.set('smsbot_dataset_age_seconds', age));
+      expect(m.render()).to.include('smsbot_dataset_age_seconds 30\n');
+      age = 90;
+      expect(m.render()).to.include('smsbot_dataset_age_seconds 90\n');
+    });
+  });
+
+  describe('_labelString(...)', () => {
+    it('escapes label values', () => {
+      expect(_labelString({ resource: 'say "hi"\\\n' })).to.eql('{resource="say \\"hi\\"\\\\\\n"}');
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import RateLimiter from '../lib/rate_limiter';
+
+import { expect } from 'chai';
+
+const from = '+15045550100';
+
+describe('RateLimiter', () => {
+  describe('constructor(...)', () => {
+    it('rejects limits that would refuse every message', () => {
+      expect(() => new RateLimiter(0)).to.throw(/Invalid rate limit capacity: 0/);
+      expect(() => new RateLimiter(5, 0)).to.throw(/Invalid rate limit refill rate: 0/);
+    });
+  });
+
+  describe('take(...)', () => {
+    it('allows a burst of messages, then throttles the first message refused and drops the rest', () => {
+      const r = new RateLimiter(3, 1);
+      const results = [0, 1, 2, 3, 4, 5].map((i) => r.take(from, i * 1000));
+      expect(results).to.deep.eql(['allowed', 'allowed', 'allowed', 'throttled', 'dropped', 'dropped']);
+    });
+    it('allows messages again as tokens refill, throttling again after', () => {
+      const r = new RateLimiter(1, 2);
+      expect(r.take(from, 0)).to.eql('allowed');
+      expect(r.take(from, 1000)).to.eql('throttled');
+      expect(r.take(from, 20000)).to.eql('dropped');
+      expect(r.take(from, 31000)).to.eql('allowed');
+      expect(r.take(from, 32000)).to.eql('throttled');
+    });
+    it('limits each sender separately', () => {
+      const r = new RateLimiter(1, 1);
+      expect(r.take(from, 0)).to.eql('allowed');
+      expect(r.take('+15045550199', 0)).to.eql('allowed');
+      expect(r.take(from, 0)).to.eql('throttled');
+    });
+    it('limits messages without a sender together, under one shared bucket', () => {
+      const r = new RateLimiter(2, 1);
+      expect([r.take(undefined, 0), r.take('', 0), r.take(null, 0), r.take(undefined, 0)])
+        .to.deep.eql(['allowed', 'allowed', 'throttled', 'dropped']);
+      expect(r.take(from, 0)).to.eql('allowed');
+      expect(Array.from(r.buckets.keys())).to.deep.eql([RateLimiter.NO_SENDER_KEY, from]);
+    });
+  });
+
+  describe('prune(...)', () => {
+    it('forgets the senders whose buckets have refilled', () => {
+      const r = new RateLimiter(2, 1);
+      r.take(from, 0);
+      r.take('+15045550199', 50000);
+      expect(r.prune(60000)).to.eql(1);
+      expect(Array.from(r.buckets.keys())).to.deep.eql(['+15045550199']);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import SessionStore from '../lib/session_store';
+
+import { expect } from 'chai';
+
+describe('SessionStore', () => {
+  describe('constructor', () => {
+    it('creates a SessionStore object backed by a Map by default', () => {
+      const s = new SessionStore();
+      expect(s).to.be.instanceOf(SessionStore);
+      expect(s.backend).to.be.instanceOf(Map);
+      expect(s.ttl).to.eql(SessionStore.DEFAULT_TTL);
+    });
+  });
+
+  describe('set(...) and get(...)', () => {
+    it('remembers a session by phone number', () => {
+      const s = new SessionStore();
+      return s.set('+15045550100', { zips: ['70118'] })
+        .then(() => s.get('+15045550100'))
+        .then((session) => {
+          expect(session.zips).to.deep.eql(['70118']);
+          expect(session.updatedAt).to.be.a('number');
+        });
+    });
+    it('returns undefined for unknown or missing phone numbers', () => {
+      const s = new SessionStore();
+      return Promise.all([s.get('+15045550100'), s.get(undefined)])
+        .then((sessions) => {
+          expect(sessions).to.deep.eql([undefined, undefined]);
+        });
+    });
+    it('does not remember sessions without a phone number', () => {
+      const s = new SessionStore();
+      return s.set(undefined, { zips: ['70118'] })
+        .then(() => {
+          expect(s.backend.size).to.eql(0);
+        });
+    });
+    it('forgets expired sessions', () => {
+      const s = new SessionStore(new Map(), 1000);
+      s.backend.set('+15045550100', { zips: ['70118'], updatedAt: Date.now() - 2000 });
+      return s.get('+15045550100')
+        .then((session) => {
+          expect(session).to.be.undefined;
+          expect(s.backend.has('+15045550100')).to.be.false;
+        });
+    });
+    it('works with asynchronous backends', () => {
+      const data = new Map();
+      const backend = {
+        get: (k) => Promise.resolve(data.get(k)),
+        set: (k, v) => Promise.resolve(data.set(k, v)),
+        delete: (k) => Promise.resolve(data.delete(k))
+      };
+      const s = new SessionStore(backend);
+      return s.set('+15045550100', { page: 1 })
+        .then(() => s.get('+15045550100'))
+        .then((session) => {
+          expect(session.page).to.eql(1);
+        });
+    });
+  });
+
+  describe('delete(...)', () => {
+    it('forgets a session', () => {
+      const s = new SessionStore();
+      return s.set('+15045550100', { page: 1 })
+        .then(() => s.delete('+15045550100'))
+        .then(() => s.get('+15045550100'))
+        .then((session) => {
+          expect(session).to.be.undefined;
+        });
+    });
+  });
+
+  describe('prune()', () => {
+    it('removes expired sessions from Map backends', () => {
+      const s = new SessionStore(new Map(), 1000);
+      s.backend.set('+15045550100', { updatedAt: Date.now() - 2000 });
+      s.backend.set('+15045550101', { updatedAt: Date.now() });
+      expect(s.prune()).to.eql(1);
+      expect(Array.from(s.backend.keys())).to.deep.eql(['+15045550101']);
+    });
+  });
+});
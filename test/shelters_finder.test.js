@@ -1,5 +1,8 @@
-import SheltersFinder, { _dedupeArray, _deepCopyArray } from '../lib/shelters_finder';
+import SheltersFinder, { _dedupeArray, _deepCopyArray, _isAffirmative } from '../lib/shelters_finder';
 import DataUpdater from '../lib/data_updater';
+import MessagePacker from '../lib/message_packer';
+import MapLinker from '../lib/map_linker';
+import Metrics from '../lib/metrics';
 import zipcodes from 'zipcodes';
 import LatLon from 'geodesy/latlon-ellipsoidal-vincenty';
 
@@ -17,6 +20,31 @@ describe('SheltersFinder', () => {
       const s = new SheltersFinder(new Map(), 5);
       expect(s).to.be.instanceOf(SheltersFinder);
     });
+    it('applies the default eligibility policy', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      expect(s.eligibilityPolicy).to.deep.eql({ archived: 'exclude', full: 'exclude' });
+    });
+    it('overrides the default eligibility policy with the one provided', () => {
+      const s = new SheltersFinder(new Map(), 5, { full: 'mark' });
+      expect(s.eligibilityPolicy).to.deep.eql({ archived: 'exclude', full: 'mark' });
+    });
+    it('rejects unknown eligibility conditions and treatments', () => {
+      expect(() => new SheltersFinder(new Map(), 5, { flooded: 'exclude' })).to.throw(/Unknown/);
+      expect(() => new SheltersFinder(new Map(), 5, { full: 'hide' })).to.throw(/Invalid/);
+    });
+    it('finds shelters unless given another kind of resource', () => {
+      expect(new SheltersFinder(new Map(), 5).resource.name).to.eql('shelters');
+      const s = new SheltersFinder(new Map(), 5, {}, { name: 'water', nouns: { en: 'water points' } });
+      expect(s.resource.keywords).to.deep.eql(SheltersFinder.RESOURCES.water.keywords);
+      expect(s.resourceNoun('en')).to.eql('water points');
+    });
+    it('credits the resource\'s data to its source, or else the host it comes from', () => {
+      expect(new SheltersFinder(new Map(), 5, {}, { url: 'https://api.example.org/geo.json' }).resource.source)
+        .to.eql('api.example.org');
+      expect(new SheltersFinder(new Map(), 5, {}, { url: 'https://api.example.org/geo.json', source: 'Example Org' })
+        .resource.source).to.eql('Example Org');
+      expect(new SheltersFinder(new Map(), 5).resource.source).to.be.null;
+    });
   });
 
   describe('updateLocationData', () => {
@@ -30,6 +58,241 @@ describe('SheltersFinder', () => {
     });
   });
 
+  describe('findShelters(...)', () => {
+    it('only returns shelters matching the requested filters', () => {
+      const d = new DataUpdater('some url');
+      const locationData = d.extractGeoJsonData(dataFixture.features);
+      const s = new SheltersFinder(locationData, 30);
+      const unfiltered = s.findShelters(['93555']);
+      expect(unfiltered[0]).to.match(/^Found 2 shelters near 93555:/);
+      const filtered = s.findShelters(['93555'], ['ACCEPTING']);
+      expect(filtered[0]).to.match(/^Found 1 accepting shelters near 93555:/);
+      expect(filtered[0]).not.to.include('Parking Lot');
+    });
+    it('says when no shelters match the requested filters', () => {
+      const d = new DataUpdater('some url');
+      const locationData = d.extractGeoJsonData(dataFixture.features);
+      const s = new SheltersFinder(locationData, 30);
+      expect(s.findShelters(['68850'], ['PETS'])).to.deep.eql([
+        'Sorry, I don\'t know about any pet-friendly shelters near 68850. Please try again later!'
+      ]);
+    });
+  });
+
+  describe('findShelters(...) by location', () => {
+    it('finds shelters near a location', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(dataFixture.features), 30);
+      const location = { label: 'Ridgecrest, CA', latitude: 35.6225, longitude: -117.6709, zip: '93555' };
+      const messages = s.findShelters([location]);
+      expect(messages[0]).to.match(/^Found 2 shelters near Ridgecrest, CA:/);
+      const notFound = s.findShelters([{ label: 'New Orleans, LA', latitude: 29.95, longitude: -90.07, zip: '70112' }]);
+      expect(notFound).to.deep.eql(['Sorry, I don\'t know about any shelters near New Orleans, LA. Please try again later!']);
+    });
+  });
+
+  describe('lookupShelters(...)', () => {
+    it('returns the messages and the shelters listed in them', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(dataFixture.features), 30);
+      const result = s.lookupShelters(['93555']);
+      expect(result.messages).to.deep.eql(s.findShelters(['93555']));
+      expect(result.shelters.map((sh) => sh.shelter)).to.have.members([
+        'Kerr McGee Community Center',
+        'Kerr McGee Community Center (Parking Lot - Outside)'
+      ]);
+    });
+    it('returns the requested page of shelters', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(dataFixture.features), 30);
+      const result = s.lookupShelters(['93555'], [], 1);
+      expect(result.shelters).to.deep.eql([]);
+      expect(result.messages).to.deep.eql(['Sorry, I don\'t know about any more shelters near 93555.']);
+    });
+    it('sends the configured number of shelters per page', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(dataFixture.features), 30, {}, {}, undefined, undefined,
+        undefined, undefined, 1);
+      expect(s.lookupShelters(['93555']).shelters).to.have.lengthOf(1);
+      expect(s.lookupShelters(['93555'], [], 1).shelters).to.have.lengthOf(1);
+      expect(s.lookupShelters(['93555'], [], 2).shelters).to.deep.eql([]);
+    });
+    it('times each lookup', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(dataFixture.features), 30);
+      s.metrics = new Metrics();
+      s.metrics.define('smsbot_lookup_duration_seconds', 'histogram', 'Lookup time');
+      s.lookupShelters(['93555']);
+      s.lookupShelters(['68850']);
+      expect(s.metrics.render()).to.include('smsbot_lookup_duration_seconds_count{resource="shelters"} 2');
+    });
+  });
+
+  describe('buildDetailsMessage(...)', () => {
+    it('lists everything known about the shelter', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      s.now = () => new Date('2019-07-11T20:52:43-05:00');
+      const shelter = {
+        ...dataFixture.features[0].properties,
+        phone: '308-555-0100',
+        pets_notes: 'Crated dogs only',
+        notes: 'Enter from the east lot'
+      };
+      expect(s.buildDetailsMessage(shelter)).to.eql(
+        'Lexington High School\n1308 N Adams St, Lexington, NE 68850, USA\nPhone: 308-555-0100\n' +
+        'Accepting: yes\nPets: No (Crated dogs only)\nNotes: Enter from the east lot\nUpdated: 7h ago'
+      );
+    });
+    it('ends with a map link when configured to', () => {
+      const s = new SheltersFinder(new Map(), 5, {}, {}, undefined, undefined,
+        new MapLinker('https://maps.example.org/?q={latitude},{longitude}'));
+      const shelter = { shelter: 'Shelter 1', address: '100 Any Street', latitude: 29.95, longitude: -90.12 };
+      expect(s.buildDetailsMessage(shelter)).to.eql('Shelter 1\n100 Any Street\nhttps://maps.example.org/?q=29.95,-90.12');
+    });
+  });
+
+  describe('openedShelters(...)', () => {
+    const record = (properties) => ({
+      shelter: 'Shelter', address: '1 Main St', zip: '70118', accepting: 'yes', archived: false, ...properties
+    });
+    it('finds shelters added or now accepting, matched by id or name and address', () => {
+      const previousData = new Map([['70118', [
+        record({ id: 1, shelter: 'Shelter 1' }),
+        record({ id: 2, shelter: 'Shelter 2', accepting: 'no' }),
+        record({ shelter: 'Shelter 3', accepting: 'unknown' }),
+        record({ id: 7, shelter: 'Shelter 7', accepting: 'Full' })
+      ]]]);
+      const s = new SheltersFinder(new Map([['70118', [
+        record({ id: 1, shelter: 'Shelter 1 (renamed)' }),
+        record({ id: 2, shelter: 'Shelter 2' }),
+        record({ shelter: 'Shelter 3', accepting: 'unknown' }),
+        record({ id: 4, shelter: 'Shelter 4' }),
+        record({ id: 5, shelter: 'Shelter 5', accepting: 'no' }),
+        record({ id: 6, shelter: 'Shelter 6', archived: true }),
+        record({ id: 7, shelter: 'Shelter 7' })
+      ]]]), 5);
+      expect(s.openedShelters(previousData).map((sh) => sh.shelter))
+        .to.deep.eql(['Shelter 2', 'Shelter 4', 'Shelter 7']);
+    });
+  });
+
+  describe('buildAlertMessages(...)', () => {
+    const shelters = [
+      { shelter: 'Near', address: '1 Main St', zip: '70118', latitude: 29.9504, longitude: -90.1236, shelterIndex: 1 },
+      { shelter: 'Far', address: '2 Main St', zip: '70802', latitude: 30.4515, longitude: -91.1871, shelterIndex: 2 }
+    ];
+    it('lists the shelters within the radius of the zips', () => {
+      const s = new SheltersFinder(new Map(), 30);
+      expect(s.buildAlertMessages(shelters, ['70118'])).to.deep.eql([
+        'ALERT: More shelters are open near you.\n\nFound 1 shelters near 70118:\n\nNear\n1 Main St\nUnder 1mi away' +
+        '\n\nText STOP to stop these alerts.'
+      ]);
+    });
+    it('returns no messages when none are near', () => {
+      const s = new SheltersFinder(new Map(), 30);
+      expect(s.buildAlertMessages(shelters, ['77002'])).to.deep.eql([]);
+    });
+  });
+
+  describe('buildEntry(...)', () => {
+    const record = { shelter: 'Pantry', address: '1 Main St', phone: null, hours: '9-5', accepting: 'no' };
+    it('lists the name, address and phone by default', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      expect(s.buildEntry({ ...record, phone: '555-0100' })).to.eql('Pantry\n1 Main St\n555-0100');
+    });
+    it('fills in the resource\'s template, leaving out empty lines', () => {
+      const s = new SheltersFinder(new Map(), 5, { full: 'mark' },
+        { name: 'food', template: '{shelter}\n{address}\n{phone}\nOpen {hours}' });
+      expect(s.buildEntry(record)).to.eql('Pantry (FULL)\n1 Main St\nOpen 9-5');
+    });
+  });
+
+  describe('findShelters(...) eligibility', () => {
+    const features = dataFixture.features.map((f) => {
+      const { shelter } = f.properties;
+      if (shelter === 'Kerr McGee Community Center') {
+        return { ...f, properties: { ...f.properties, archived: true } };
+      }
+      if (shelter === 'Kerr McGee Community Center (Parking Lot - Outside)') {
+        return { ...f, properties: { ...f.properties, accepting: 'no' } };
+      }
+      return f;
+    });
+    it('drops archived and full shelters by default, saying how many were held back', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(features), 30);
+      expect(s.findShelters(['93555'])).to.deep.eql([
+        'Sorry, I don\'t know about any shelters near 93555. (Not shown: 2 closed or full.) Please try again later!'
+      ]);
+    });
+    it('marks full shelters when configured to', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(features), 30, { full: 'mark' });
+      const messages = s.findShelters(['93555']);
+      expect(messages).to.have.lengthOf(1);
+      expect(messages[0]).to.match(/^Found 1 shelters near 93555:/);
+      expect(messages[0]).to.include('Kerr McGee Community Center (Parking Lot - Outside) (FULL)\n');
+      expect(messages[0]).to.match(/\(Not shown: 1 closed or full\.\)$/);
+    });
+    it('includes archived shelters when configured to', () => {
+      const d = new DataUpdater('some url');
+      const s = new SheltersFinder(d.extractGeoJsonData(features), 30, { archived: 'mark', full: 'mark' });
+      const messages = s.findShelters(['93555']);
+      expect(messages[0]).to.match(/^Found 2 shelters near 93555:/);
+      expect(messages[0]).to.include('Kerr McGee Community Center (CLOSED)\n');
+      expect(messages[0]).not.to.include('Not shown');
+    });
+  });
+
+  describe('applyEligibilityPolicy(...)', () => {
+    it('splits shelters into eligible and held back', () => {
+      const s = new SheltersFinder(new Map(), 5, { full: 'exclude' });
+      const shelters = [
+        { shelterIndex: 1, archived: false, accepting: 'yes' },
+        { shelterIndex: 2, archived: true, accepting: 'yes' },
+        { shelterIndex: 3, archived: false, accepting: 'no' },
+        { shelterIndex: 4, archived: false, accepting: 'unknown' }
+      ];
+      const { eligible, heldBack } = s.applyEligibilityPolicy(shelters);
+      expect(eligible.map((sh) => sh.shelterIndex)).to.deep.eql([1, 4]);
+      expect(heldBack.map((sh) => sh.shelterIndex)).to.deep.eql([2, 3]);
+    });
+  });
+
+  describe('eligibilityMarks(...)', () => {
+    it('marks shelters meeting conditions with the mark policy', () => {
+      const s = new SheltersFinder(new Map(), 5, { archived: 'mark', full: 'mark' });
+      expect(s.eligibilityMarks({ archived: false, accepting: 'yes' })).to.eql('');
+      expect(s.eligibilityMarks({ archived: false, accepting: 'No' })).to.eql(' (FULL)');
+      expect(s.eligibilityMarks({ archived: true, accepting: 'no' })).to.eql(' (CLOSED) (FULL)');
+    });
+  });
+
+  describe('filterShelters(...)', () => {
+    it('returns shelters passing every filter', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      const shelters = [
+        { shelterIndex: 1, pets: 'Yes', accepting: 'yes' },
+        { shelterIndex: 2, pets: 'No', accepting: 'yes' },
+        { shelterIndex: 3, pets: 'Yes - dogs only', accepting: 'no' },
+        { shelterIndex: 4, pets: null, accepting: 'unknown' },
+        { shelterIndex: 5, pets: 'Yes', accepting: 'Full' }
+      ];
+      expect(s.filterShelters(shelters, []).map((sh) => sh.shelterIndex)).to.deep.eql([1, 2, 3, 4, 5]);
+      expect(s.filterShelters(shelters, ['PETS']).map((sh) => sh.shelterIndex)).to.deep.eql([1, 3, 5]);
+      expect(s.filterShelters(shelters, ['PETS', 'ACCEPTING']).map((sh) => sh.shelterIndex)).to.deep.eql([1]);
+      expect(s.filterShelters(shelters, ['ACCEPTING']).map((sh) => sh.shelterIndex)).to.deep.eql([1, 2]);
+    });
+  });
+
+  describe('filterKeywords()', () => {
+    it('returns the keyword aliases for each filter', () => {
+      const keywords = SheltersFinder.filterKeywords();
+      expect(Object.keys(keywords)).to.deep.eql(Object.keys(SheltersFinder.FILTERS));
+      expect(keywords.SPECIAL_NEEDS).to.include('SPECIAL NEEDS');
+    });
+  });
+
   describe('zipCodesWithShelters()', () => {
     it('returns an array of zip codes', () => {
       const d = new DataUpdater('some url');
@@ -70,36 +333,49 @@ describe('SheltersFinder', () => {
         expect(augmentedZips[idx].latlon).to.be.instanceOf(LatLon);
       }
     });
-    it('returns an array of objects with an zipsInMileRadius property with an array of objects matching interface zipcodes.ZipCode', () => {
+    it('returns location objects keyed by their label', () => {
       const s = new SheltersFinder(new Map(), 5);
-      const zips = ['70471', '70118'];
-      const augmentedZips = s.augmentLookupZipCodes(zips);
-      for (let idx in augmentedZips) {
-        expect(augmentedZips[idx]).to.have.ownProperty('zipsInMileRadius');
-        expect(augmentedZips[idx].zipsInMileRadius).to.be.an('array');
-        augmentedZips[idx].zipsInMileRadius.forEach((z) => {
-          expect(z).to.be.a('string');
-        });
-      }
+      const location = { label: 'New Orleans, LA', latitude: 29.95, longitude: -90.07, zip: '70112' };
+      const [augmented] = s.augmentLookupZipCodes([location]);
+      expect(augmented.zip).to.eql('New Orleans, LA');
+      expect(augmented.info).to.eql(location);
+      expect(augmented.latlon).to.be.instanceOf(LatLon);
+      expect(augmented.latlon.lat).to.eql(29.95);
     });
   });
 
   describe('computeFoundShelters(...)', () => {
-    it('returns known zipcodes within the mile radius of each of the lookup zipcodes', () => {
-      const s = new SheltersFinder(new Map(), 5);
-      const lookups = ['70471', '70118'].map((z, _idx, _ary, sf = s) => {
-        return {
-          zipsInMileRadius: zipcodes.radius(z, sf.mileRadius)
-        };
-      });
-      const knowns = ['70124', '70003', '70116', '70471'];
-      const found = s.computeFoundShelters(lookups, knowns);
-      const expected = ['70124', '70116', '70471'];
-      for (let zip of expected) { expect(found).includes(zip); }
+    const nearby = (name, zip, latitude, longitude) => ({ shelter: name, zip, latitude, longitude });
+    const locationData = new Map([
+      ['70124', [nearby('Lakeview', '70124', 30.0071, -90.1103)]],
+      ['70003', [nearby('Metairie', '70003', 29.9963, -90.2115)]],
+      ['70116', [nearby('Treme', '70116', 29.9683, -90.0646)]],
+      ['70471', [nearby('Mandeville', '70471', 30.3894, -90.0647)]]
+    ]);
+    it('returns shelters within the mile radius of each of the lookup zipcodes', () => {
+      const s = new SheltersFinder(locationData, 5);
+      const lookups = s.augmentLookupZipCodes(['70471', '70118']);
+      const found = s.computeFoundShelters(lookups);
+      expect(found.map((sh) => sh.shelter)).to.have.members(['Mandeville', 'Lakeview', 'Treme']);
+    });
+    it('uses the shelters\' own coordinates rather than their zip codes', () => {
+      const s = new SheltersFinder(new Map([
+        ['70003', [nearby('Just over the line', '70003', 29.95, -90.135)]]
+      ]), 1);
+      const found = s.computeFoundShelters(s.augmentLookupZipCodes(['70118']));
+      expect(found.map((sh) => sh.shelter)).to.deep.eql(['Just over the line']);
     });
   });
 
   describe('augmentShelterRecord(...)', () => {
+    it('returns an object with property inRadius agreeing with distances', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      const shelter = { shelter: 'Near', latitude: 29.96, longitude: -90.12 };
+      const augmented = s.augmentShelterRecord(shelter, s.augmentLookupZipCodes(['70118', '70471']));
+      expect(augmented.inRadius).to.deep.eql({ '70118': true, '70471': false });
+      expect(augmented.distances['70118']).to.be.below(5 * 1609.344);
+      expect(augmented.distances['70471']).to.be.above(5 * 1609.344);
+    });
     it('returns an object with property distances having keys lookups', () => {
       const s = new SheltersFinder(new Map(), 5);
       const shelter = dataFixture.features[0].properties;
@@ -138,8 +414,7 @@ describe('SheltersFinder', () => {
       const locationData = d.extractGeoJsonData(dataFixture.features);
       const s = new SheltersFinder(locationData, 5);
       const lookups = s.augmentLookupZipCodes(['68850', '71301']);
-      const knowns = s.zipCodesWithShelters();
-      const foundShelters = s.computeFoundShelters(lookups, knowns);
+      const foundShelters = s.computeFoundShelters(lookups);
       const collected = s.collectShelters(foundShelters, lookups);
       const expected = Array.from(
         JSON.parse('[{"accepting":"yes","shelter":"Lexington High School","address":"1308 N Adams St, Lexington, NE 68850, USA","city":"LEXINGTON","state":"NE","county":"Dawson County","zip":"68850","phone":null,"updated_by":null,"notes":null,"volunteer_needs":null,"longitude":-99.7487,"latitude":40.7868,"supply_needs":null,"source":"FEMA GeoServer, Shelter ID: 223259, Org ID: 121390, FORT KEARNEY CHAPTER","google_place_id":null,"special_needs":null,"id":2,"archived":false,"pets":"No","pets_notes":null,"needs":[],"updated_at":"2019-07-11T13:52:43-05:00","updatedAt":"2019-07-11T13:52:43-05:00","last_updated":"2019-07-11T13:52:43-05:00","cleanPhone":"badphone","shelterIndex":1},{"accepting":"yes","shelter":"Bolton Ave. Community Center","address":"226 Bolton Ave, Alexandria, LA 71301, USA","city":"ALEXANDRIA","state":"LA","county":"Rapides Parish","zip":"71301","phone":null,"updated_by":null,"notes":null,"volunteer_needs":null,"longitude":-92.458,"latitude":31.3076,"supply_needs":null,"source":"FEMA GeoServer, Shelter ID: 328703, Org ID: 121263, Central Louisiana Chapter","google_place_id":null,"special_needs":null,"id":8,"archived":false,"pets":"No","pets_notes":null,"needs":[],"updated_at":"2019-07-11T19:42:07-05:00","updatedAt":"2019-07-11T19:42:07-05:00","last_updated":"2019-07-11T19:42:07-05:00","cleanPhone":"badphone","shelterIndex":8}]')
@@ -181,6 +456,17 @@ describe('SheltersFinder', () => {
     });
   });
 
+  describe('countInRadiusShelters(...)', () => {
+    it('counts in-radius shelters for each lookup', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      const shelters = [
+        { inRadius: { '70471': true, '70118': false } },
+        { inRadius: { '70471': true, '70118': true } }
+      ];
+      expect(s.countInRadiusShelters(shelters, ['70471', '70118'])).to.deep.eql({ '70471': 2, '70118': 1 });
+    });
+  });
+
   describe('sortSheltersByDistance(...)', () => {
     it('sorts by ascending distance from the given lookup', () => {
       const s = new SheltersFinder(new Map(), 5);
@@ -232,6 +518,13 @@ describe('SheltersFinder', () => {
         }
       }
     });
+    it('skips the specified number of shelters first', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      const shelters = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+      expect(s.truncateShelterList(shelters, 3, 3)).to.deep.eql([3, 4, 5]);
+      expect(s.truncateShelterList(shelters, 3, 9)).to.deep.eql([9]);
+      expect(s.truncateShelterList(shelters, 3, 12)).to.deep.eql([]);
+    });
   });
 
   describe('sortedShelterListsByLookupZip', () => {
@@ -343,6 +636,103 @@ describe('SheltersFinder', () => {
         expect(s.buildMessages(sorts)).to.deep.include(message);
       }
     });
+    it('says how recently each shelter was updated', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      s.now = () => new Date('2019-07-11T15:52:43-05:00');
+      const sorts = {
+        '70118': [{
+          distances: { '70118': 1609.3 },
+          updated_at: '2019-07-11T13:52:43-05:00',
+          message: '\n\nSHELTER NUMBER TWO\n123 Any Street, New Orleans, LA 70118'
+        }]
+      };
+      expect(s.buildMessages(sorts)).to.deep.eql([
+        'Found 1 shelters near 70118:\n\nSHELTER NUMBER TWO\n123 Any Street, New Orleans, LA 70118\nAbout 1mi away, updated 2h ago'
+      ]);
+      expect(s.buildMessages(sorts, [], {}, false, 'es')[0]).to.match(/A unas 1 millas, actualizado hace 2 h$/);
+    });
+    it('splits long lists between shelters within the segment budget', () => {
+      const s = new SheltersFinder(new Map(), 5, {}, {}, undefined, new MessagePacker(1));
+      const sorts = {
+        '70118': [1, 2, 3].map((i) => ({
+          distances: { '70118': 1609.3 * i },
+          message: `\n\nSHELTER NUMBER ${i}\n${i}00 Any Street, New Orleans, LA 70118`
+        }))
+      };
+      const messages = s.buildMessages(sorts);
+      expect(messages).to.deep.eql([
+        'Found 3 shelters near 70118:\n\nSHELTER NUMBER 1\n100 Any Street, New Orleans, LA 70118\nAbout 1mi away',
+        'SHELTER NUMBER 2\n200 Any Street, New Orleans, LA 70118\nAbout 2mi away\n\n' +
+          'SHELTER NUMBER 3\n300 Any Street, New Orleans, LA 70118\nAbout 3mi away'
+      ]);
+      messages.forEach((message) => expect(s.messagePacker.fits(message)).to.be.true);
+    });
+    it('adds a map link to each shelter when configured to', () => {
+      const s = new SheltersFinder(new Map(), 5, {}, {}, undefined, undefined, new MapLinker('geo'));
+      const sorts = {
+        '70118': [
+          { distances: { '70118': 1609.3 }, latitude: '29.95', longitude: '-90.12', message: '\n\nSHELTER NUMBER ONE' },
+          { distances: { '70118': 3218.6 }, message: '\n\nSHELTER NUMBER TWO' }
+        ]
+      };
+      expect(s.buildMessages(sorts)).to.deep.eql([
+        'Found 2 shelters near 70118:\n\nSHELTER NUMBER ONE\nAbout 1mi away\ngeo:29.95,-90.12\n\n' +
+          'SHELTER NUMBER TWO\nAbout 2mi away'
+      ]);
+    });
+    it('transliterates messages when the packer does', () => {
+      const s = new SheltersFinder(new Map(), 5, {}, {}, undefined, new MessagePacker(5, true));
+      const sorts = {
+        '70118': [{ distances: { '70118': 1609.3 }, message: '\n\nREFUGIO NÚMERO UNO' }]
+      };
+      const messages = s.buildMessages(sorts, [], {}, false, 'es');
+      expect(messages[0]).to.match(/^Encontré 1 refugios cerca de 70118:\n\nREFUGIO NUMERO UNO\nA unas 1 millas$/);
+      expect(s.messagePacker.encoding(messages[0])).to.eql('GSM-7');
+    });
+  });
+
+  describe('recordAgeMinutes(...)', () => {
+    it('reads the first update time the record has', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      s.now = () => new Date('2019-07-11T14:00:00-05:00');
+      expect(s.recordAgeMinutes({ last_updated: '2019-07-11T13:30:00-05:00', updatedAt: '2019-07-10T13:30:00-05:00' }))
+        .to.eql(30);
+      expect(s.recordAgeMinutes({ updated_at: '2019-07-11T15:00:00-05:00' })).to.eql(0);
+      expect(s.recordAgeMinutes({ updated_at: 'yesterday' })).to.be.null;
+      expect(s.recordAgeMinutes({})).to.be.null;
+    });
+  });
+
+  describe('staleDataBanner(...)', () => {
+    it('warns once the data has not been updated within the window', () => {
+      const s = new SheltersFinder(new Map(), 5, {}, {}, 30 * 60000);
+      const updatedAt = s.dataUpdatedAt.getTime();
+      expect(s.staleDataBanner()).to.be.null;
+      s.now = () => new Date(updatedAt + 3 * 60 * 60000);
+      expect(s.staleDataBanner()).to.eql('WARNING: This information was last refreshed 3h ago and may be out of date.');
+    });
+    it('is added to the start of lookup replies', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      const updatedAt = s.dataUpdatedAt.getTime();
+      s.now = () => new Date(updatedAt + SheltersFinder.DEFAULT_STALE_AFTER + 60000);
+      expect(s.findShelters(['70118'])[0]).to.match(/^WARNING: This information was last refreshed 1h ago .*\n\nSorry, /);
+      expect(s.findShelters([])[0]).to.match(/^Sorry, /);
+      s.updateLocationData(new Map());
+      expect(s.findShelters(['70118'])[0]).to.match(/^Sorry, /);
+    });
+    it('measures the age of data loaded earlier from when it was fetched', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      s.updateLocationData(new Map(), new Date(s.now().getTime() - 2 * 60 * 60000));
+      expect(s.staleDataBanner()).to.match(/last refreshed 2h ago/);
+    });
+    it('stops warning once the data is found unchanged upstream', () => {
+      const s = new SheltersFinder(new Map(), 5);
+      const updatedAt = s.dataUpdatedAt.getTime();
+      s.now = () => new Date(updatedAt + 3 * 60 * 60000);
+      expect(s.staleDataBanner()).to.match(/last refreshed 3h ago/);
+      s.markLocationDataCurrent();
+      expect(s.staleDataBanner()).to.be.null;
+    });
   });
 
   describe('helpers', () => {
@@ -374,6 +764,19 @@ describe('SheltersFinder', () => {
       });
     });
 
+    describe('_isAffirmative(...)', () => {
+      it('treats yes, true and descriptive values as affirmative', () => {
+        for (let value of ['yes', 'Yes', true, 'Yes - dogs and cats', 'Medical staff on site']) {
+          expect(_isAffirmative(value)).to.be.true;
+        }
+      });
+      it('treats no, unknown and empty values as not affirmative', () => {
+        for (let value of ['no', 'No', 'unknown', 'N/A', '', null, undefined, false]) {
+          expect(_isAffirmative(value)).to.be.false;
+        }
+      });
+    });
+
     describe('_deepCopyArray(...)', () => {
       it('deep-copies an array of arbitrary data types', () => {
         const arr = [0, 'string', false, ['another', 'array', 5], {
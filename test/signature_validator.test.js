@@ -0,0 +1,105 @@
+import SignatureValidator from '../lib/signature_validator';
+import Logger from '../lib/logger';
+
+import { expect } from 'chai';
+import express from 'express';
+import bodyParser from 'body-parser';
+import http from 'http';
+import querystring from 'querystring';
+import fs from 'fs';
+
+// Fixtures: a request signed by Twilio, and the same request unsigned
+const fixtures = JSON.parse(fs.readFileSync(`${__dirname}/fixtures/twilio_requests.json`).toString());
+const baseUrl = fixtures.url.replace(/\/sms$/, '');
+
+const post = function (server, params, signature) {
+  return new Promise((resolve, reject) => {
+    const body = querystring.stringify(params);
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', 'Content-Length': Buffer.byteLength(body) };
+    if (signature) { headers['X-Twilio-Signature'] = signature; }
+    const req = http.request({ port: server.address().port, method: 'POST', path: '/sms', headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+};
+
+describe('SignatureValidator', () => {
+  let server;
+  const listen = function (validator, done) {
+    const app = express();
+    app.use(bodyParser.urlencoded({ extended: false }));
+    app.post('/sms', validator.middleware(), (req, res) => res.send('ok'));
+    server = http.createServer(app).listen(0, done);
+  };
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  describe('constructor', () => {
+    beforeEach((done) => listen(new SignatureValidator(fixtures.authToken), done));
+    it('requires an auth token unless unsigned requests are allowed', () => {
+      expect(() => new SignatureValidator(undefined)).to.throw(/auth token/);
+      expect(new SignatureValidator(undefined, null, true).allowUnsigned).to.be.true;
+    });
+  });
+
+  describe('middleware()', () => {
+    describe('by default', () => {
+      beforeEach((done) => listen(new SignatureValidator(fixtures.authToken, `${baseUrl}/`), done));
+      it('accepts signed requests', () => {
+        return post(server, fixtures.signed.params, fixtures.signed.signature)
+          .then((status) => expect(status).to.eql(200));
+      });
+      it('rejects requests whose parameters do not match the signature', () => {
+        return post(server, { ...fixtures.signed.params, Body: 'PETS 70119' }, fixtures.signed.signature)
+          .then((status) => expect(status).to.eql(403));
+      });
+      it('rejects unsigned requests', () => {
+        return post(server, fixtures.unsigned.params)
+          .then((status) => expect(status).to.eql(403));
+      });
+    });
+
+    describe('allowing unsigned requests', () => {
+      beforeEach((done) => listen(new SignatureValidator(fixtures.authToken, baseUrl, true), done));
+      it('accepts unsigned requests', () => {
+        return post(server, fixtures.unsigned.params)
+          .then((status) => expect(status).to.eql(200));
+      });
+      it('still rejects requests with a bad signature', () => {
+        return post(server, fixtures.unsigned.params, 'bm90IGEgc2lnbmF0dXJl')
+          .then((status) => expect(status).to.eql(403));
+      });
+    });
+
+    describe('with a logger', () => {
+      const lines = [];
+      beforeEach((done) => {
+        const logger = new Logger({ channel: 'sms' }, 'info', (line) => lines.push(line));
+        listen(new SignatureValidator(fixtures.authToken, baseUrl, false, logger), done);
+      });
+      it('logs rejected requests with it', () => {
+        return post(server, fixtures.unsigned.params)
+          .then(() => {
+            expect(JSON.parse(lines[0])).to.include({
+              level: 'warn',
+              message: 'Rejected request with a missing or invalid X-Twilio-Signature',
+              channel: 'sms',
+              url: '/sms'
+            });
+          });
+      });
+    });
+
+    describe('without a base URL', () => {
+      beforeEach((done) => listen(new SignatureValidator(fixtures.authToken), done));
+      it('checks the signature against the URL the request was made to', () => {
+        return post(server, fixtures.signed.params, fixtures.signed.signature)
+          .then((status) => expect(status).to.eql(403));
+      });
+    });
+  });
+});
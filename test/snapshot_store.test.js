@@ -0,0 +1,66 @@
+import SnapshotStore from '../lib/snapshot_store';
+import Logger from '../lib/logger';
+
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Fixtures
+const locationData = new Map([
+  ['70118', [{ shelter: 'Shelter 1', zip: '70118', latitude: 29.9504, longitude: -90.1236, shelterIndex: 1 }]],
+  ['70119', [{ shelter: 'Shelter 2', zip: '70119', latitude: 29.9757, longitude: -90.0852, shelterIndex: 2 }]]
+]);
+const savedAt = new Date('2019-07-11T13:52:43-05:00');
+const hours = (n) => n * 60 * 60 * 1000;
+
+describe('SnapshotStore', () => {
+  let dir, filePath;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'));
+    filePath = path.join(dir, 'nested', 'shelters.json');
+  });
+  afterEach(() => {
+    if (fs.existsSync(filePath)) { fs.unlinkSync(filePath); }
+    if (fs.existsSync(path.dirname(filePath))) { fs.rmdirSync(path.dirname(filePath)); }
+    fs.rmdirSync(dir);
+  });
+
+  describe('save(...) and load(...)', () => {
+    it('round-trip the location data and when it was saved', () => {
+      const s = new SnapshotStore(filePath);
+      return s.save(locationData, savedAt)
+        .then(() => s.load(new Date(savedAt.getTime() + hours(1))))
+        .then((snapshot) => {
+          expect(snapshot.data).to.deep.eql(locationData);
+          expect(snapshot.savedAt).to.deep.eql(savedAt);
+          expect(fs.readdirSync(path.dirname(filePath))).to.deep.eql(['shelters.json']);
+        });
+    });
+    it('ignore snapshots older than the maximum age', () => {
+      const s = new SnapshotStore(filePath, hours(6));
+      return s.save(locationData, savedAt)
+        .then(() => s.load(new Date(savedAt.getTime() + hours(7))))
+        .then((snapshot) => expect(snapshot).to.be.null);
+    });
+  });
+
+  describe('load(...)', () => {
+    it('returns null when there is no snapshot', () => {
+      return new SnapshotStore(filePath).load()
+        .then((snapshot) => expect(snapshot).to.be.null);
+    });
+    it('returns null when the snapshot is corrupt', () => {
+      fs.mkdirSync(path.dirname(filePath));
+      fs.writeFileSync(filePath, '{"savedAt": "2019-07-11T18:52:43.000Z", "entries": [["701');
+      const lines = [];
+      return new SnapshotStore(filePath, undefined, new Logger({}, 'info', (line) => lines.push(line))).load()
+        .then((snapshot) => {
+          expect(snapshot).to.be.null;
+          const [entry] = lines.map((line) => JSON.parse(line));
+          expect(entry).to.include({ level: 'error', message: 'Failed to load snapshot', filePath });
+          expect(entry.error.message).to.match(/JSON/);
+        });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import SpatialIndex, { _isValidCoordinate } from '../lib/spatial_index';
+
+import { expect } from 'chai';
+
+const records = [
+  { name: 'Uptown', latitude: 29.9504, longitude: -90.1236 },
+  { name: 'Metairie', latitude: 29.9963, longitude: -90.2115 },
+  { name: 'Mandeville', latitude: 30.3894, longitude: -90.0647 },
+  { name: 'Lake Charles', latitude: 30.2266, longitude: -93.2174 },
+  { name: 'No coordinates', latitude: null, longitude: null }
+];
+
+describe('SpatialIndex', () => {
+  describe('constructor', () => {
+    it('indexes records with valid coordinates', () => {
+      const i = new SpatialIndex(records);
+      expect(i).to.be.instanceOf(SpatialIndex);
+      expect(i.size).to.eql(4);
+    });
+  });
+
+  describe('search(...)', () => {
+    it('returns records within the radius, nearest first', () => {
+      const i = new SpatialIndex(records);
+      const found = i.search(29.9504, -90.1236, 10);
+      expect(found.map((r) => r.name)).to.deep.eql(['Uptown', 'Metairie']);
+    });
+    it('finds records in neighboring cells', () => {
+      const i = new SpatialIndex(records, 0.1);
+      const found = i.search(29.9504, -90.1236, 35);
+      expect(found.map((r) => r.name)).to.deep.eql(['Uptown', 'Metairie', 'Mandeville']);
+    });
+    it('returns nothing for invalid coordinates', () => {
+      const i = new SpatialIndex(records);
+      expect(i.search(NaN, -90.1236, 10)).to.deep.eql([]);
+    });
+    it('accepts coordinates given as strings', () => {
+      const i = new SpatialIndex([{ name: 'Strings', latitude: '29.95', longitude: '-90.12' }]);
+      expect(i.search(29.95, -90.12, 1).map((r) => r.name)).to.deep.eql(['Strings']);
+    });
+  });
+
+  describe('helpers', () => {
+    describe('_isValidCoordinate(...)', () => {
+      it('accepts finite latitudes and longitudes in range', () => {
+        expect(_isValidCoordinate(29.95, -90.12)).to.be.true;
+        expect(_isValidCoordinate(91, -90.12)).to.be.false;
+        expect(_isValidCoordinate(29.95, NaN)).to.be.false;
+      });
+    });
+  });
+});
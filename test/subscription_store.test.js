@@ -0,0 +1,112 @@
+import SubscriptionStore from '../lib/subscription_store';
+
+import { expect } from 'chai';
+
+describe('SubscriptionStore', () => {
+  describe('constructor', () => {
+    it('creates a SubscriptionStore object backed by a Map by default', () => {
+      const s = new SubscriptionStore();
+      expect(s).to.be.instanceOf(SubscriptionStore);
+      expect(s.backend).to.be.instanceOf(Map);
+    });
+  });
+
+  describe('subscribe(...) and get(...)', () => {
+    it('remembers a subscription by phone number, replacing the last one', () => {
+      const s = new SubscriptionStore();
+      return s.subscribe('+15045550100', { zips: ['70118'], resource: 'shelters', locale: 'en' })
+        .then(() => s.subscribe('+15045550100', { zips: ['70119'], resource: 'shelters', locale: 'es' }))
+        .then(() => s.get('+15045550100'))
+        .then((subscription) => {
+          expect(subscription).to.include({ resource: 'shelters', locale: 'es' });
+          expect(subscription.zips).to.deep.eql(['70119']);
+          expect(subscription.subscribedAt).to.be.a('number');
+        });
+    });
+    it('does not remember subscriptions without a phone number', () => {
+      const s = new SubscriptionStore();
+      return s.subscribe(undefined, { zips: ['70118'] })
+        .then(() => s.get(undefined))
+        .then((subscription) => {
+          expect(subscription).to.be.undefined;
+          expect(s.backend.size).to.eql(0);
+        });
+    });
+  });
+
+  describe('optOut(...), optIn(...) and isSubscribed(...)', () => {
+    it('keeps an opted-out subscription to restore when the number opts back in', () => {
+      const s = new SubscriptionStore();
+      return s.subscribe('+15045550100', { zips: ['70118'], resource: 'shelters' })
+        .then(() => s.isSubscribed('+15045550100'))
+        .then((subscribed) => {
+          expect(subscribed).to.be.true;
+          return s.optOut('+15045550100');
+        })
+        .then((subscription) => {
+          expect(subscription).to.include({ optedOut: true, resource: 'shelters' });
+          expect(subscription.optedOutAt).to.be.a('number');
+          return s.isSubscribed('+15045550100');
+        })
+        .then((subscribed) => {
+          expect(subscribed).to.be.false;
+          return s.optIn('+15045550100');
+        })
+        .then((subscription) => {
+          expect(subscription).to.not.have.any.keys('optedOut', 'optedOutAt');
+          expect(subscription.zips).to.deep.eql(['70118']);
+          return s.isSubscribed('+15045550100');
+        })
+        .then((subscribed) => {
+          expect(subscribed).to.be.true;
+        });
+    });
+    it('records opt-outs from numbers that never subscribed', () => {
+      const s = new SubscriptionStore();
+      return s.optOut('+15045550100')
+        .then(() => s.get('+15045550100'))
+        .then((subscription) => {
+          expect(subscription).to.include({ optedOut: true });
+          return s.optIn('+15045550100');
+        })
+        .then(() => s.isSubscribed('+15045550100'))
+        .then((subscribed) => {
+          expect(subscribed).to.be.false;
+        });
+    });
+    it('has nothing to opt in for numbers it never heard from', () => {
+      return new SubscriptionStore().optIn('+15045550100')
+        .then((subscription) => {
+          expect(subscription).to.be.undefined;
+        });
+    });
+  });
+
+  describe('list(...)', () => {
+    it('lists the subscriptions with their phone numbers, optionally to one resource', () => {
+      const s = new SubscriptionStore();
+      return Promise.all([
+        s.subscribe('+15045550100', { zips: ['70118'], resource: 'shelters' }),
+        s.subscribe('+15045550101', { zips: ['70119'], resource: 'food' })
+      ])
+        .then(() => Promise.all([s.list(), s.list('food')]))
+        .then(([all, food]) => {
+          expect(all.map((sub) => sub.phoneNumber)).to.deep.eql(['+15045550100', '+15045550101']);
+          expect(food).to.have.lengthOf(1);
+          expect(food[0]).to.include({ phoneNumber: '+15045550101', resource: 'food' });
+        });
+    });
+    it('leaves out subscriptions that opted out', () => {
+      const s = new SubscriptionStore();
+      return Promise.all([
+        s.subscribe('+15045550100', { zips: ['70118'], resource: 'shelters' }),
+        s.subscribe('+15045550101', { zips: ['70119'], resource: 'shelters' })
+      ])
+        .then(() => s.optOut('+15045550100'))
+        .then(() => s.list())
+        .then((subscriptions) => {
+          expect(subscriptions.map((sub) => sub.phoneNumber)).to.deep.eql(['+15045550101']);
+        });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import TokenAuthenticator from '../lib/token_authenticator';
+import Logger from '../lib/logger';
+
+import { expect } from 'chai';
+import express from 'express';
+import http from 'http';
+
+const token = 's3cret';
+
+const post = function (server, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port: server.address().port, method: 'POST', path: '/chat', headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+};
+
+describe('TokenAuthenticator', () => {
+  let server, lines;
+  beforeEach((done) => {
+    lines = [];
+    const authenticator = new TokenAuthenticator(token, new Logger({}, 'info', (line) => lines.push(line)));
+    const app = express();
+    app.post('/chat', authenticator.middleware(), (req, res) => res.send('ok'));
+    server = http.createServer(app).listen(0, done);
+  });
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  describe('constructor', () => {
+    it('requires a token', () => {
+      expect(() => new TokenAuthenticator('')).to.throw(/token/);
+    });
+  });
+
+  describe('middleware()', () => {
+    it('accepts requests with the token', () => {
+      return post(server, { Authorization: `Bearer ${token}` })
+        .then((res) => expect(res.statusCode).to.eql(200));
+    });
+    it('rejects requests without the token, logging them', () => {
+      return post(server)
+        .then((res) => {
+          expect(res.statusCode).to.eql(401);
+          expect(res.headers['www-authenticate']).to.eql('Bearer');
+          expect(JSON.parse(lines[0])).to.include({ level: 'warn', url: '/chat' });
+        });
+    });
+    it('rejects requests with the wrong token', () => {
+      return Promise.all([post(server, { Authorization: 'Bearer nope' }), post(server, { Authorization: token })])
+        .then((responses) => expect(responses.map((res) => res.statusCode)).to.deep.eql([401, 401]));
+    });
+  });
+});
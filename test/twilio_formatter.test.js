@@ -1,4 +1,6 @@
-import TwilioFormatter from '../lib/twilio_formatter';
+import TwilioFormatter from '../lib/reply_formatters/twilio_formatter';
+import MessagePacker from '../lib/message_packer';
+import MapLinker from '../lib/map_linker';
 
 import MessagingResponse from 'twilio/lib/twiml/MessagingResponse';
 
@@ -24,13 +26,23 @@ describe('TwilioFormatter', () => {
       const messages = [''.padEnd(10, 'x')];
       expect(tf.validateMessages(messages)).to.deep.eql(messages);
     });
-    it('truncates messages when length above max message length', () => {
+    it('truncates messages when length above max message length, marking them truncated', () => {
       const tf = new TwilioFormatter();
       const msg = ''.padEnd(TwilioFormatter.MAX_MESSAGE_SIZE + 1, 'x');
-      const truncated = msg.substring(0, TwilioFormatter.MAX_MESSAGE_SIZE);
+      const truncated = msg.substring(0, TwilioFormatter.MAX_MESSAGE_SIZE - 3) + '...';
       const messages = [msg];
       expect(tf.validateMessages(messages)).to.deep.eql([truncated]);
     });
+    it('truncates messages at the end of a line when there is one', () => {
+      const tf = new TwilioFormatter();
+      const msg = 'first line\n'.padEnd(TwilioFormatter.MAX_MESSAGE_SIZE + 1, 'x');
+      expect(tf.validateMessages([msg])).to.deep.eql(['first line\n...']);
+    });
+    it('transliterates messages when its packer does', () => {
+      const tf = new TwilioFormatter(new MessagePacker(5, true));
+      expect(tf.validateMessages(['Envíe “MÁS” — gracias'])).to.deep.eql(['Envie "MAS" - gracias']);
+      expect(new TwilioFormatter().validateMessages(['Envíe MÁS'])).to.deep.eql(['Envíe MÁS']);
+    });
   });
   describe('numberMessages(...)', () => {
     it('does not add a number prefix if there is only one message', () => {
@@ -46,6 +58,37 @@ describe('TwilioFormatter', () => {
     });
   });
 
+  describe('render(...)', () => {
+    it('renders the reply messages numbered in TwiML', () => {
+      const tf = new TwilioFormatter();
+      const reply = { messages: ['message 1', 'message 2'], shelters: [], locale: 'en' };
+      expect(tf.render(reply)).to.eql(tf.format(reply.messages).toString());
+      expect(tf.contentType).to.eql('text/xml');
+    });
+    it('attaches a map of the shelters to the first message when configured to', () => {
+      const tf = new TwilioFormatter(undefined, new MapLinker(null, 'https://tiles.example.org/{markers}.png'));
+      const reply = {
+        messages: ['message 1', 'message 2'],
+        shelters: [{ shelter: 'Shelter 1', latitude: 29.95, longitude: -90.12 }],
+        locale: 'en'
+      };
+      expect(tf.render(reply)).to.eql('<?xml version="1.0" encoding="UTF-8"?><Response>' +
+        '<Message><Body>[1 of 2] message 1</Body><Media>https://tiles.example.org/29.95%2C-90.12.png</Media></Message>' +
+        '<Message>[2 of 2] message 2</Message></Response>');
+      expect(tf.render({ ...reply, shelters: [] })).to.not.include('<Media>');
+    });
+  });
+
+  describe('countSegments(...)', () => {
+    it('counts the segments of the messages as numbered and sent', () => {
+      const tf = new TwilioFormatter();
+      // The first is 169 characters numbered, two segments
+      const reply = { messages: [''.padEnd(160, 'x'), 'message 2'], shelters: [], locale: 'en' };
+      expect(tf.countSegments(reply)).to.eql(3);
+      expect(tf.countSegments({ ...reply, messages: ['message 1'] })).to.eql(1);
+    });
+  });
+
   describe('format(...)', () => {
     it('returns a TwiML MessagingResponse', () => {
       const tf = new TwilioFormatter();
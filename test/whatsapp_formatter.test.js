@@ -0,0 +1,66 @@
+import WhatsAppFormatter from '../lib/reply_formatters/whatsapp_formatter';
+
+import { expect } from 'chai';
+
+const shelter = {
+  shelter: 'Shelter (Gym) 1',
+  address: '100 Any Street, New Orleans, LA 70118',
+  latitude: '29.9504',
+  longitude: '-90.1236'
+};
+
+describe('WhatsAppFormatter', () => {
+  describe('render(...)', () => {
+    it('joins the messages without numbering, pinning each shelter', () => {
+      const f = new WhatsAppFormatter();
+      const xml = f.render({
+        messages: ['Found 1 shelters near 70118:\n\nShelter (Gym) 1\n100 Any Street', 'Text MORE for more.'],
+        shelters: [shelter],
+        locale: 'en'
+      });
+      expect(xml).to.eql('<?xml version="1.0" encoding="UTF-8"?><Response><Message>' +
+        'Found 1 shelters near 70118:\n\n*Shelter (Gym) 1*\n100 Any Street\n\nText MORE for more.\n\n' +
+        '📍 Shelter (Gym) 1: https://maps.google.com/?q=29.9504,-90.1236' +
+        '</Message></Response>');
+    });
+    it('bolds names that start with another shelter\'s name whole', () => {
+      const f = new WhatsAppFormatter();
+      const xml = f.render({
+        messages: ['Center\n1 Main St\n\nCenter (Parking Lot)\n1 Main St'],
+        shelters: [{ shelter: 'Center' }, { shelter: 'Center (Parking Lot)' }],
+        locale: 'en'
+      });
+      expect(xml).to.include('*Center*\n1 Main St\n\n*Center (Parking Lot)*\n1 Main St');
+    });
+    it('sends messages up to the WhatsApp limit, longer than SMS allows, and truncates longer ones', () => {
+      expect(WhatsAppFormatter).to.have.ownProperty('MAX_MESSAGE_SIZE');
+      expect(WhatsAppFormatter.MAX_MESSAGE_SIZE).to.eql(4096);
+      const f = new WhatsAppFormatter();
+      const long = 'x'.repeat(2000);
+      expect(f.render({ messages: [long, long], shelters: [], locale: 'en' })).to.eql(
+        `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${long}\n\n${long}</Message></Response>`);
+      const tooLong = 'y'.repeat(WhatsAppFormatter.MAX_MESSAGE_SIZE + 1);
+      expect(f.render({ messages: [tooLong], shelters: [], locale: 'en' })).to.eql(
+        `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${tooLong.substring(0, 4093)}...</Message></Response>`);
+    });
+    it('does not pin shelters without coordinates', () => {
+      const f = new WhatsAppFormatter();
+      const xml = f.render({ messages: ['Sorry'], shelters: [{ shelter: 'Shelter 2' }], locale: 'en' });
+      expect(xml).to.eql('<?xml version="1.0" encoding="UTF-8"?><Response><Message>Sorry</Message></Response>');
+    });
+  });
+
+  describe('countSegments(...)', () => {
+    it('counts no segments, as WhatsApp messages aren\'t billed by the segment', () => {
+      expect(new WhatsAppFormatter().countSegments({ messages: ['message 1'], shelters: [], locale: 'en' })).to.be.null;
+    });
+  });
+
+  describe('joinMessages(...)', () => {
+    it('starts a new message when one would pass the maximum size', () => {
+      const f = new WhatsAppFormatter();
+      const long = 'x'.repeat(WhatsAppFormatter.MAX_MESSAGE_SIZE - 5);
+      expect(f.joinMessages(['one', 'two', long, 'three'])).to.deep.eql(['one\n\ntwo', long, 'three']);
+    });
+  });
+});
@@ -34,5 +34,14 @@ describe('ZipcodeExtractor', () => {
         expect(extracted).to.include(zip);
       }
     });
+    it('extracts each zipcode once', () => {
+      const ze = new ZipcodeExtractor();
+      expect(ze.extractMessageZipCodes('70118 or 70118?')).to.deep.eql(['70118']);
+    });
+    it('extracts at most the maximum number of zipcodes, the first valid ones found', () => {
+      const ze = new ZipcodeExtractor(2);
+      const message = '00000 70118 70118 70124 70471 70115';
+      expect(ze.extractMessageZipCodes(message)).to.deep.eql(['70118', '70124']);
+    });
   });
 });